@@ -1,34 +1,203 @@
 import { useEffect, useRef, useState } from "react";
 import logo from "/assets/openai-logomark.svg";
+import { debug, debugEnabled } from "../lib/debug";
+import { requestError } from "../lib/eventStream";
+import {
+  closeMediaSource,
+  closeMediaSources,
+  openMediaSource,
+} from "../lib/mediaSources";
+import { createAudioPlayer, startMicrophoneStream } from "../lib/relayAudio";
+import { createReplayChannel, parseRecording } from "../lib/replay";
+import { buildResumeItems } from "../lib/resume";
+import { reportUsage } from "../lib/usage";
+import { HOLDING_RESPONSE, createResponseQueue } from "../../shared/responseQueue.js";
+import { createSessionRecorder } from "../lib/sessionRecorder";
+import { settingsSessionUpdate } from "../lib/sessionSettings";
+import {
+  applyProgress,
+  buildToolsSessionUpdate,
+  findTool,
+  parseArguments,
+  parseFunctionCall,
+  runTool,
+} from "../lib/toolRegistry";
+import tools from "./tools";
+import ConnectionStatus from "./ConnectionStatus";
 import EventLog from "./EventLog";
 import SessionControls from "./SessionControls";
+import SessionList from "./SessionList";
 import ToolPanel from "./ToolPanel";
+import Transcript from "./Transcript";
 
-export default function App() {
+// Reconnect attempts after a dropped connection, waiting 1s, 2s, 4s, ...
+const MAX_RECONNECT_ATTEMPTS = 6;
+const MAX_RECONNECT_DELAY_MS = 15000;
+// ICE often recovers from "disconnected" on its own; give it this long
+const DISCONNECTED_GRACE_MS = 5000;
+// Refusals trying again won't fix: signed out, not allowed, rate limited or
+// over budget
+const REFUSED_STATUSES = [401, 403, 429];
+
+export default function App({ user, signOut }) {
   const [isSessionActive, setIsSessionActive] = useState(false);
+  // "disconnected", "connecting", "connected", "reconnecting" or "failed"
+  const [connectionStatus, setConnectionStatus] = useState("disconnected");
+  // Why the server refused the session ({ message, hint }), once it has
+  const [connectionError, setConnectionError] = useState(null);
   const [events, setEvents] = useState([]);
+  // Connection handlers outlive renders, so they read the log from a ref
+  const eventsRef = useRef([]);
   const [dataChannel, setDataChannel] = useState(null);
-  const [imageAnalysis, setImageAnalysis] = useState({
-    imageData: null,
-    analysisText: null,
-    isLoading: false
-  });
+  // Latest call of each tool by name: { status, args, output, display }
+  const [toolCalls, setToolCalls] = useState({});
+  // Captured images for the transcript, keyed by the function call_id or the
+  // item id of the watch alert they belong to
+  const [captures, setCaptures] = useState({});
+  // Which view the left pane shows: "transcript", "events" or "sessions"
+  const [logView, setLogView] = useState("transcript");
+  // Whether to record the mic and model audio along with the session
+  const [recordAudio, setRecordAudio] = useState(false);
+  // Whether the model says a holding phrase ("let me take a look…") while a
+  // slow tool such as take_picture runs
+  const [holdingPhrases, setHoldingPhrases] = useState(false);
+  // Playback speed for replays; Infinity plays events back to back
+  const [replaySpeed, setReplaySpeed] = useState(1);
+  // Realtime session settings (model, voice, instructions, ...), starting from
+  // the default preset. Null until loaded, when the server uses its default.
+  const [settings, setSettings] = useState(null);
+  const settingsRef = useRef(null);
+  const settingsUpdateTimer = useRef(null);
+  // Where take_picture gets its image when the model doesn't say:
+  // "camera" (a server camera), "webcam" or "screen"
+  const [captureSource, setCaptureSource] = useState("camera");
+  const captureSourceRef = useRef("camera");
+  // A camera frame the user pinned in the live preview; take_picture
+  // analyzes it until they go back to live
+  const [pinnedFrame, setPinnedFrame] = useState(null);
+  const pinnedFrameRef = useRef(null);
   const peerConnection = useRef(null);
   const audioElement = useRef(null);
+  // Relay mode state: the server runs the tools and we handle audio ourselves
+  const isRelay = useRef(false);
+  const audioPlayer = useRef(null);
+  const stopMicrophone = useRef(null);
+  // Saves the session's events, captures and audio to the server
+  const sessionRecorder = useRef(null);
+  // Sends response.create once the response in progress is done
+  const responseQueue = useRef(null);
+  // Displays of the relay's running tool calls, by call_id, built up from
+  // relay.tool_progress events
+  const relayProgress = useRef({});
+  // Reconnect state: whether the user wants a session, which connection is
+  // current (events from older ones are ignored), the attempts made so far
+  // and the recap to replay once the new connection opens
+  const sessionWanted = useRef(false);
+  const connectionId = useRef(0);
+  const activeChannel = useRef(null);
+  const reconnectAttempts = useRef(0);
+  const reconnectTimer = useRef(null);
+  const resumeItems = useRef(null);
+  // The id this session goes by on the server, kept across reconnects, so
+  // the watches it starts and their alerts stay its own
+  const clientId = useRef(null);
+  // For usage metering: the session's model and when it started
+  const sessionModel = useRef(null);
+  const sessionStartedAt = useRef(null);
 
   async function startSession() {
-    // Get a session token for OpenAI Realtime API
-    const tokenResponse = await fetch("/token");
+    sessionWanted.current = true;
+    clientId.current = crypto.randomUUID();
+    reconnectAttempts.current = 0;
+    setConnectionError(null);
+    setConnectionStatus("connecting");
+    try {
+      await connect();
+    } catch (error) {
+      console.error("❌ Failed to connect:", error);
+      handleConnectFailure(error);
+    }
+  }
+
+  // Open a connection to the Realtime API: through the relay, to the mock
+  // server or over WebRTC with a fresh token. Runs again on reconnects, which
+  // keep the recorder and the conversation on screen.
+  async function connect() {
+    const id = ++connectionId.current;
+
+    // Connect through the server when it holds the Realtime session
+    const relayResponse = await fetch("/relay/status");
+    const { enabled: relayEnabled, mock } = await relayResponse.json();
+    let mode = mock ? "mock" : "webrtc";
+    if (relayEnabled) mode = "relay";
+    if (!sessionRecorder.current) {
+      sessionRecorder.current = createSessionRecorder({ mode });
+    }
+    if (relayEnabled) {
+      isRelay.current = true;
+      const params = new URLSearchParams({ connection: clientId.current });
+      const model = settingsRef.current?.model;
+      if (model) params.set("model", model);
+      // The relay runs the tools, so it says the holding phrases too
+      if (holdingPhrases) params.set("holding", "true");
+      await startSocketSession(`/relay?${params}`, id);
+      return;
+    }
+
+    // Get a session token for OpenAI Realtime API, created with our settings
+    const tokenResponse = await fetch("/token", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ settings: settingsRef.current || undefined }),
+    });
     const data = await tokenResponse.json();
+    if (!tokenResponse.ok) {
+      throw Object.assign(requestError(data, tokenResponse.statusText), {
+        status: tokenResponse.status,
+      });
+    }
     const EPHEMERAL_KEY = data.client_secret.value;
 
+    // The mock Realtime server can't answer an SDP offer; it speaks the same
+    // events over a WebSocket
+    if (mock) {
+      await startSocketSession(`/mock/realtime?key=${EPHEMERAL_KEY}`, id);
+      return;
+    }
+
     // Create a peer connection
     const pc = new RTCPeerConnection();
+    peerConnection.current = pc;
+
+    // "failed" is final; "disconnected" may recover by itself
+    pc.addEventListener("connectionstatechange", () => {
+      if (id !== connectionId.current) return;
+      const state = pc.connectionState;
+      if (state === "failed") {
+        handleConnectionLost(id, "peer connection failed");
+      } else if (state === "disconnected") {
+        setConnectionStatus("reconnecting");
+        setTimeout(() => {
+          if (pc.connectionState === "disconnected") {
+            handleConnectionLost(id, "peer connection disconnected");
+          }
+        }, DISCONNECTED_GRACE_MS);
+      } else if (state === "connected" && sessionWanted.current) {
+        setConnectionStatus("connected");
+      }
+    });
 
     // Set up to play remote audio from the model
     audioElement.current = document.createElement("audio");
     audioElement.current.autoplay = true;
-    pc.ontrack = (e) => (audioElement.current.srcObject = e.streams[0]);
+    pc.ontrack = (e) => {
+      audioElement.current.srcObject = e.streams[0];
+      if (recordAudio) {
+        sessionRecorder.current?.recordAudio([ms, e.streams[0]]);
+      }
+    };
 
     // Add local audio track for microphone input in the browser
     const ms = await navigator.mediaDevices.getUserMedia({
@@ -36,8 +205,13 @@ export default function App() {
     });
     pc.addTrack(ms.getTracks()[0]);
 
-    // Set up data channel for sending and receiving events
+    // Set up data channel for sending and receiving events. The server
+    // closes it when the session ends, e.g. at its time limit.
     const dc = pc.createDataChannel("oai-events");
+    dc.addEventListener("close", () => {
+      handleConnectionLost(id, "data channel closed");
+    });
+    activeChannel.current = dc;
     setDataChannel(dc);
 
     // Start the session using the Session Description Protocol (SDP)
@@ -45,7 +219,7 @@ export default function App() {
     await pc.setLocalDescription(offer);
 
     const baseUrl = "https://api.openai.com/v1/realtime";
-    const model = "gpt-4o-realtime-preview-2024-12-17";
+    const model = data.model;
     const sdpResponse = await fetch(`${baseUrl}?model=${model}`, {
       method: "POST",
       body: offer.sdp,
@@ -55,34 +229,233 @@ export default function App() {
       },
     });
 
+    if (!sdpResponse.ok) {
+      throw new Error(`SDP exchange failed: ${sdpResponse.status}`);
+    }
+
     const answer = {
       type: "answer",
       sdp: await sdpResponse.text(),
     };
     await pc.setRemoteDescription(answer);
+  }
 
-    peerConnection.current = pc;
+  // Connect to the server's Realtime relay (or the mock Realtime server) over
+  // a WebSocket. It exposes the same send/close/message interface as the
+  // WebRTC data channel, so the rest of the app treats it as one.
+  async function startSocketSession(path, id) {
+    audioPlayer.current = createAudioPlayer();
+
+    const protocol = window.location.protocol === "https:" ? "wss" : "ws";
+    const ws = new WebSocket(`${protocol}://${window.location.host}${path}`);
+    // Set when the relay refuses the session, which it closes right after
+    let refusal = null;
+    ws.addEventListener("close", () => {
+      if (refusal) {
+        handleConnectionRefused(id, refusal);
+      } else {
+        handleConnectionLost(id, "socket closed");
+      }
+    });
+    activeChannel.current = ws;
+
+    ws.addEventListener("message", (e) => {
+      const event = JSON.parse(e.data);
+      if (event.type === "response.audio.delta") {
+        audioPlayer.current?.play(event.delta);
+      } else if (event.type === "input_audio_buffer.speech_started") {
+        audioPlayer.current?.clear();
+      } else if (
+        event.type === "error" &&
+        event.error?.code === "budget_exceeded"
+      ) {
+        refusal = event.error;
+      }
+    });
+
+    setDataChannel(ws);
+
+    // Audio goes straight to the socket rather than through sendClientEvent,
+    // so it doesn't flood the event log
+    const microphone = await startMicrophoneStream((audio) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: "input_audio_buffer.append", audio }));
+      }
+    });
+    stopMicrophone.current = microphone.stop;
+    if (recordAudio) {
+      sessionRecorder.current?.recordAudio([
+        microphone.mediaStream,
+        audioPlayer.current.stream,
+      ]);
+    }
   }
 
-  // Stop current session, clean up peer connection and data channel
-  function stopSession() {
-    if (dataChannel) {
-      dataChannel.close();
+  // Replay a recorded event stream through a fake data channel instead of a
+  // live session. Tools still run, and what the app sends back is kept in the
+  // channel's `sent` list as well as the event log.
+  function startReplay(recording) {
+    let records;
+    try {
+      records = parseRecording(recording);
+    } catch (error) {
+      console.error("❌ Invalid recording:", error);
+      return;
     }
 
-    peerConnection.current.getSenders().forEach((sender) => {
-      if (sender.track) {
-        sender.track.stop();
-      }
+    const channel = createReplayChannel(records, { speed: replaySpeed });
+    channel.addEventListener("ended", () => {
+      debug("🎬 Replay finished, client events sent:", channel.sent);
     });
+    debug(`🎬 Replaying ${records.length} server events at ${replaySpeed}x`);
+    setLogView("transcript");
+    setDataChannel(channel);
+  }
+
+  async function replaySession(id) {
+    try {
+      const response = await fetch(`/sessions/${id}/events.jsonl`);
+      if (!response.ok) {
+        throw new Error(`Failed to load recording: ${response.statusText}`);
+      }
+      startReplay(await response.text());
+    } catch (error) {
+      console.error("❌ Failed to replay session:", error);
+    }
+  }
+
+  // Close the connection's data channel or socket, peer connection, mic and
+  // audio player, leaving the session's state alone
+  function closeConnection() {
+    activeChannel.current?.close();
+    activeChannel.current = null;
 
     if (peerConnection.current) {
+      peerConnection.current.getSenders().forEach((sender) => {
+        if (sender.track) {
+          sender.track.stop();
+        }
+      });
       peerConnection.current.close();
+      peerConnection.current = null;
+    }
+
+    if (stopMicrophone.current) {
+      stopMicrophone.current();
+      stopMicrophone.current = null;
+    }
+    if (audioPlayer.current) {
+      audioPlayer.current.close();
+      audioPlayer.current = null;
+    }
+  }
+
+  // The connection dropped (Wi-Fi blip, ICE failure, expired session): keep
+  // the conversation on screen and connect again
+  function handleConnectionLost(id, reason) {
+    if (!sessionWanted.current || id !== connectionId.current) return;
+    console.warn("⚠️ Connection lost:", reason);
+    // Events from the dead connection are ignored from here on
+    connectionId.current++;
+    closeConnection();
+    setDataChannel(null);
+    scheduleReconnect();
+  }
+
+  // The server refused the session: say why rather than retrying, until the
+  // user reconnects themselves
+  function handleConnectionRefused(id, { message, hint }) {
+    if (!sessionWanted.current || id !== connectionId.current) return;
+    console.error("❌ Connection refused:", message);
+    connectionId.current++;
+    closeConnection();
+    setDataChannel(null);
+    setConnectionError({ message, hint });
+    setConnectionStatus("failed");
+  }
+
+  // A connection attempt threw: a refusal, or something worth retrying
+  function handleConnectFailure(error) {
+    if (REFUSED_STATUSES.includes(error.status)) {
+      handleConnectionRefused(connectionId.current, error);
+    } else {
+      handleConnectionLost(connectionId.current, error.message);
+    }
+  }
+
+  // Reconnects with a backoff, replaying a recap of the conversation so far
+  // (see lib/resume.js) once the new connection opens
+  function scheduleReconnect() {
+    const attempt = ++reconnectAttempts.current;
+    if (attempt > MAX_RECONNECT_ATTEMPTS) {
+      console.error("❌ Giving up reconnecting");
+      setConnectionStatus("failed");
+      return;
+    }
+
+    setConnectionStatus("reconnecting");
+    const delay = Math.min(1000 * 2 ** (attempt - 1), MAX_RECONNECT_DELAY_MS);
+    debug(`🔄 Reconnecting in ${delay}ms (attempt ${attempt})`);
+    clearTimeout(reconnectTimer.current);
+    reconnectTimer.current = setTimeout(async () => {
+      resumeItems.current = buildResumeItems(eventsRef.current);
+      try {
+        await connect();
+      } catch (error) {
+        console.error("❌ Reconnect failed:", error);
+        handleConnectFailure(error);
+      }
+    }, delay);
+  }
+
+  // Try again after giving up
+  function reconnect() {
+    reconnectAttempts.current = 0;
+    setConnectionError(null);
+    scheduleReconnect();
+  }
+
+  // Stop current session, clean up peer connection and data channel
+  function stopSession() {
+    if (sessionStartedAt.current) {
+      reportUsage("session", {
+        model: sessionModel.current,
+        durationMs: Date.now() - sessionStartedAt.current,
+      });
+      sessionStartedAt.current = null;
+    }
+    sessionWanted.current = false;
+    clearTimeout(reconnectTimer.current);
+    connectionId.current++;
+    resumeItems.current = null;
+    closeConnection();
+    setConnectionStatus("disconnected");
+
+    // Nobody is left to hear this session's watch alerts, so stop watching
+    if (clientId.current) {
+      fetch(`/watch/stop?connection=${clientId.current}`, {
+        method: "POST",
+      }).catch((error) => {
+        console.error("❌ Failed to stop watches:", error);
+      });
+      clientId.current = null;
+    }
+
+    closeMediaSources();
+    updateCaptureSource("camera");
+
+    if (sessionRecorder.current) {
+      sessionRecorder.current.stop();
+      sessionRecorder.current = null;
     }
 
     setIsSessionActive(false);
     setDataChannel(null);
-    peerConnection.current = null;
+    setToolCalls({});
+    setCaptures({});
+    responseQueue.current = null;
+    relayProgress.current = {};
+    isRelay.current = false;
   }
 
   // Send a message to the model
@@ -91,12 +464,12 @@ export default function App() {
       const timestamp = new Date().toLocaleTimeString();
       message.event_id = message.event_id || crypto.randomUUID();
 
-      console.log("📤 Sending client event:", message.type, message);
+      debug("📤 Sending client event:", message.type, message);
       
       // send event before setting timestamp since the backend peer doesn't expect this field
       try {
         dataChannel.send(JSON.stringify(message));
-        console.log("✅ Event sent successfully");
+        debug("✅ Event sent successfully");
       } catch (error) {
         console.error("❌ Failed to send event:", error);
       }
@@ -106,6 +479,7 @@ export default function App() {
         message.timestamp = timestamp;
       }
       setEvents((prev) => [message, ...prev]);
+      sessionRecorder.current?.recordEvent("client", message);
     } else {
       console.error(
         "❌ Failed to send message - no data channel available",
@@ -131,74 +505,204 @@ export default function App() {
     };
 
     sendClientEvent(event);
-    sendClientEvent({ type: "response.create" });
+    responseQueue.current?.request();
+  }
+
+  // The relay leaves take_picture to the browser when the picture has to
+  // come from here (see shared/captureSource.js), so it's told what the user
+  // picked
+  function sendCaptureState() {
+    if (
+      !isRelay.current ||
+      activeChannel.current?.readyState !== WebSocket.OPEN
+    ) {
+      return;
+    }
+    sendClientEvent({
+      type: "relay.capture_state",
+      capture_source: captureSourceRef.current,
+      pinned_camera: pinnedFrameRef.current?.camera || null,
+    });
+  }
+
+  // Data channel listeners outlive renders, so they read the source from a ref
+  function updateCaptureSource(source) {
+    captureSourceRef.current = source;
+    setCaptureSource(source);
+    sendCaptureState();
   }
 
-  // Handle take picture tool call
-  async function handleTakePicture(params) {
-    console.log("🔍 handleTakePicture called with params:", params);
-    
+  // Switch the image source, opening the webcam or starting a screen share.
+  // Runs from the selector's change event, which getDisplayMedia needs.
+  async function selectCaptureSource(source) {
+    const previous = captureSourceRef.current;
     try {
-      setImageAnalysis({ ...imageAnalysis, isLoading: true });
-      console.log("📷 Setting image analysis loading state");
-      
-      // Call the server endpoint to capture an image from the ESP32 camera
-      console.log("📤 Sending request to /capture-image endpoint with camera URL:", 'http://192.168.137.99:81/stream');
-      const response = await fetch('/capture-image', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          cameraUrl: 'http://192.168.137.99:81/stream',
-          prompt: params.prompt || "What's in this image?"
-        }),
-      });
-      
-      console.log("📥 Received response from /capture-image, status:", response.status);
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error("❌ Error response from /capture-image:", errorText);
-        throw new Error(`Failed to capture image: ${response.statusText}. Details: ${errorText}`);
+      if (source !== "camera") {
+        await openMediaSource(source, {
+          onEnded: () => {
+            if (captureSourceRef.current === source) {
+              updateCaptureSource("camera");
+            }
+          },
+        });
       }
-      
-      const data = await response.json();
-      console.log("✅ Successfully parsed response data, image size:", 
-        data.imageData ? `${Math.round(data.imageData.length / 1024)}KB` : 'none',
-        "analysis length:", data.analysis ? data.analysis.length : 'none');
-      
-      // Now we have the base64 image, set it in our state
-      setImageAnalysis({
-        imageData: data.imageData,
-        analysisText: data.analysis,
-        isLoading: false
-      });
-      console.log("🖼️ Updated image analysis state with results");
-      
-      // Return result to be displayed to the user
-      return {
-        status: 'success',
-        result: data.analysis
-      };
+      if (previous !== "camera" && previous !== source) {
+        closeMediaSource(previous);
+      }
+      updateCaptureSource(source);
     } catch (error) {
-      console.error("❌ Error in handleTakePicture:", error);
-      setImageAnalysis({
-        ...imageAnalysis,
-        isLoading: false,
-        analysisText: `Error: ${error.message}`
-      });
-      
-      return {
-        status: 'error',
-        error: error.message
-      };
+      console.error(`❌ Failed to open ${source}:`, error);
+    }
+  }
+
+  function updatePinnedFrame(frame) {
+    pinnedFrameRef.current = frame;
+    setPinnedFrame(frame);
+    sendCaptureState();
+  }
+
+  // Settings changes apply to the next session, and all but the model and
+  // voice are pushed to a running one once the user stops typing
+  function updateSettings(next) {
+    settingsRef.current = next;
+    setSettings(next);
+
+    clearTimeout(settingsUpdateTimer.current);
+    if (!isSessionActive) return;
+    settingsUpdateTimer.current = setTimeout(() => {
+      sendClientEvent(settingsSessionUpdate(next, { live: true }));
+    }, 500);
+  }
+
+  function recordToolCall(name, call) {
+    setToolCalls((prev) => ({ ...prev, [name]: call }));
+  }
+
+  function recordCapture(id, display) {
+    if (!display?.imageData) return;
+    const { imageData, clipData, frames, analysis, detections } = display;
+    const capture = { imageData, clipData, frames, analysis, detections };
+    setCaptures((prev) => ({ ...prev, [id]: capture }));
+    // Recordings keep the picture with the boxes drawn on
+    sessionRecorder.current?.recordCapture(id, {
+      ...capture,
+      imageData: display.annotatedImageData || imageData,
+    });
+  }
+
+  // Run a tool and report its output for the given function call
+  async function dispatchFunctionCall(call) {
+    const tool = findTool(tools, call.name);
+    if (!tool) {
+      console.warn("⚠️ No tool registered for function call:", call.name);
+      return;
+    }
+
+    // In relay mode the server runs its own tools and reports back with
+    // relay.tool_result, apart from calls only the browser can carry out
+    const args = parseArguments(call.arguments);
+    const context = {
+      captureSource: captureSourceRef.current,
+      pinnedFrame: pinnedFrameRef.current,
+      connection: clientId.current,
+    };
+    if (
+      tool.server &&
+      isRelay.current &&
+      !tool.runsInBrowser?.(args, context)
+    ) {
+      return;
     }
+
+    debug("🔧 Running tool:", call.name, args, "call_id:", call.callId);
+    recordToolCall(call.name, { status: "running", args });
+
+    // Starts once the response that called the tool is done; the output is
+    // sent as soon as it's ready and answered after the phrase
+    if (holdingPhrases && tool.slow) {
+      responseQueue.current?.request(HOLDING_RESPONSE);
+    }
+
+    // Show the picture and the analysis as they stream in
+    let progress;
+    const { output, display } = await runTool(tool, args, {
+      ...context,
+      onProgress: (event) => {
+        progress = applyProgress(progress, event);
+        recordToolCall(call.name, { status: "running", args, display: progress });
+      },
+    });
+    recordToolCall(call.name, { status: "done", args, output, display });
+    recordCapture(call.callId, display);
+
+    sendClientEvent({
+      type: "conversation.item.create",
+      item: {
+        type: "function_call_output",
+        call_id: call.callId,
+        output: JSON.stringify(output),
+      },
+    });
+    responseQueue.current?.request(tool.followUp);
   }
 
+  // Relay watch mode scene changes into the conversation so the model can
+  // tell the user about them. Replays have no watches of their own.
+  useEffect(() => {
+    if (!dataChannel || !clientId.current) return;
+
+    const watchEvents = new EventSource(
+      `/watch/events?connection=${clientId.current}`,
+    );
+    watchEvents.onmessage = (e) => {
+      const event = JSON.parse(e.data);
+      if (event.type !== "watch.change") return;
+
+      debug("👀 Watch change:", event.camera.name, event.description);
+      const display = {
+        camera: event.camera,
+        imageData: event.imageData,
+        analysis: event.description,
+      };
+      recordToolCall("take_picture", { status: "done", args: {}, display });
+      // The alert message below (or the relay's) carries the same item id
+      const itemId = `watch_${event.id}`;
+      recordCapture(itemId, display);
+
+      // The relay injects alerts into the conversation itself
+      if (isRelay.current) return;
+
+      sendClientEvent({
+        type: "conversation.item.create",
+        item: {
+          id: itemId,
+          type: "message",
+          role: "system",
+          content: [
+            {
+              type: "input_text",
+              text: `Watch alert from the "${event.camera.name}" camera: ${event.description}`,
+            },
+          ],
+        },
+      });
+      responseQueue.current?.request({
+        instructions: "Briefly tell the user what just changed on the camera you are watching.",
+      });
+    };
+
+    return () => watchEvents.close();
+  }, [dataChannel]);
+
+  useEffect(() => {
+    eventsRef.current = events;
+  }, [events]);
+
   // Attach event listeners to the data channel when a new one is created
   useEffect(() => {
     if (dataChannel) {
+      responseQueue.current = createResponseQueue(sendClientEvent);
+
       // Append new server events to the list
       dataChannel.addEventListener("message", (e) => {
         const event = JSON.parse(e.data);
@@ -206,194 +710,110 @@ export default function App() {
           event.timestamp = new Date().toLocaleTimeString();
         }
 
-        console.log("📩 Received event from data channel:", event.type, event);
-
-        // Check if the event is a tool call for take_picture
-        if (event.type === "tool_call" && event.name === "take_picture") {
-          console.log("🔧 Detected take_picture tool call, params:", event.parameters);
-          console.log("🔍 Tool call event structure:", JSON.stringify(event, null, 2));
-          
-          // Log all possible call_id locations
-          console.log("🆔 Possible call_id locations:", {
-            "event.id": event.id,
-            "event.call_id": event.call_id,
-            "event.tool_call_id": event.tool_call_id
-          });
-          
-          handleTakePicture(event.parameters || {})
-            .then(result => {
-              console.log("🔄 Tool call completed, creating function_call_output");
-              
-              // Create a conversation item with the function call output
-              sendClientEvent({
-                type: "conversation.item.create",
-                item: {
-                  type: "function_call_output",
-                  call_id: event.id,
-                  output: JSON.stringify({
-                    status: "success", 
-                    result: result.result
-                  })
-                }
-              });
-              
-              // After creating the output item, request a response
-              setTimeout(() => {
-                console.log("🔊 Requesting model response based on function output");
-                sendClientEvent({
-                  type: "response.create"
-                });
-              }, 500);
-            })
-            .catch(error => {
-              console.error("❌ Tool call failed:", error);
-              
-              // Create a conversation item with the error
-              sendClientEvent({
-                type: "conversation.item.create",
-                item: {
-                  type: "function_call_output",
-                  call_id: event.id,
-                  output: JSON.stringify({
-                    status: "error",
-                    error: error.message
-                  })
-                }
-              });
-              
-              // Request a response to verbalize the error
-              setTimeout(() => {
-                console.log("🔊 Requesting model response for error");
-                sendClientEvent({
-                  type: "response.create"
-                });
-              }, 500);
+        // Relay mode audio is played by its own listener; keep it out of the log
+        if (event.type === "response.audio.delta") return;
+
+        responseQueue.current?.handleServerEvent(event);
+
+        // Meter what live sessions use; replays were metered when recorded
+        if (sessionWanted.current) {
+          if (event.type === "session.created") {
+            sessionModel.current = event.session?.model || null;
+          } else if (event.type === "response.done" && event.response?.usage) {
+            reportUsage("realtime", {
+              model: sessionModel.current,
+              usage: event.response.usage,
             });
+          }
         }
-        
-        // Handle function call events (alternative way the model might invoke tools)
-        if (event.type === "response.output_item.done" && 
-            event.item && 
-            event.item.type === "function_call" && 
-            event.item.name === "take_picture") {
-          
-          console.log("🔧 Detected take_picture function call via output item:", event.item);
-          console.log("🔍 Function call event structure:", JSON.stringify(event, null, 2));
-          
-          // Log all possible call_id locations
-          console.log("🆔 Possible call_id locations:", {
-            "event.item.call_id": event.item.call_id,
-            "event.item.id": event.item.id,
-            "event.response_id": event.response_id,
-            "event.item_id": event.item_id
+
+        // The relay's tools stream their progress like ours do. Deltas would
+        // flood the log, so they only update the panel.
+        if (event.type === "relay.tool_progress") {
+          const display = applyProgress(
+            relayProgress.current[event.call_id],
+            event.event,
+          );
+          relayProgress.current[event.call_id] = display;
+          recordToolCall(event.name, { status: "running", args: {}, display });
+          return;
+        }
+
+        debug("📩 Received event from data channel:", event.type, event);
+
+        // In relay mode the server runs its tools and reports the results so
+        // the panels can still show them
+        if (event.type === "relay.tool_result") {
+          delete relayProgress.current[event.call_id];
+          recordToolCall(event.name, {
+            status: "done",
+            args: {},
+            output: event.output,
+            display: event.display,
           });
-          
-          // Parse parameters from the function call arguments
-          let params = {};
-          try {
-            if (event.item.arguments) {
-              params = JSON.parse(event.item.arguments);
-            }
-          } catch (error) {
-            console.error("❌ Error parsing function arguments:", error);
-          }
-          
-          console.log("🔧 Parsed function parameters:", params);
-          
-          handleTakePicture(params)
-            .then(result => {
-              console.log("🔄 Function call completed, creating function_call_output");
-              
-              // Create a conversation item with the function call output
-              sendClientEvent({
-                type: "conversation.item.create",
-                item: {
-                  type: "function_call_output",
-                  call_id: event.item.call_id,
-                  output: JSON.stringify({
-                    status: "success", 
-                    result: result.result
-                  })
-                }
-              });
-              
-              // After creating the output item, request a response
-              setTimeout(() => {
-                console.log("🔊 Requesting model response based on function output");
-                sendClientEvent({
-                  type: "response.create"
-                });
-              }, 500);
-            })
-            .catch(error => {
-              console.error("❌ Function call failed:", error);
-              
-              // Create a conversation item with the error
-              sendClientEvent({
-                type: "conversation.item.create",
-                item: {
-                  type: "function_call_output",
-                  call_id: event.item.call_id,
-                  output: JSON.stringify({
-                    status: "error",
-                    error: error.message
-                  })
-                }
-              });
-              
-              // Request a response to verbalize the error
-              setTimeout(() => {
-                console.log("🔊 Requesting model response for error");
-                sendClientEvent({
-                  type: "response.create"
-                });
-              }, 500);
-            });
+          recordCapture(event.call_id, event.display);
+        }
+
+        const call = parseFunctionCall(event);
+        if (call) {
+          dispatchFunctionCall(call);
         }
 
         setEvents((prev) => [event, ...prev]);
+        sessionRecorder.current?.recordEvent("server", event);
       });
 
       // Set session active when the data channel is opened
-      dataChannel.addEventListener("open", () => {
+      const handleOpen = async () => {
         setIsSessionActive(true);
-        setEvents([]);
-        
-        // Register the take_picture tool when the session starts
-        console.log("🛠️ Registering take_picture tool");
-        const toolUpdateEvent = {
-          type: "session.update",
-          session: {
-            tools: [
-              {
-                type: "function",
-                name: "take_picture",
-                description: "Captures an image from the ESP32 camera and analyzes its contents. Use this when the user asks to take a picture, capture an image, analyze what's in the camera, or similar requests.",
-                parameters: {
-                  type: "object",
-                  properties: {
-                    prompt: {
-                      type: "string",
-                      description: "Optional prompt to guide the image analysis. If not provided, a general description will be returned.",
-                    }
-                  },
-                  required: []
-                }
-              }
-            ],
-            tool_choice: "auto"
-          }
-        };
-        console.log("📤 Sending tool registration event:", toolUpdateEvent);
+        // A reconnect continues the conversation on screen
+        const resume = resumeItems.current;
+        resumeItems.current = null;
+        if (!resume) setEvents([]);
+        if (sessionWanted.current) {
+          setConnectionStatus("connected");
+          reconnectAttempts.current = 0;
+          if (!resume) sessionStartedAt.current = Date.now();
+        }
+
+        // Register every tool in one session.update
+        const toolUpdateEvent = await buildToolsSessionUpdate(tools, {
+          relay: isRelay.current,
+        });
+        debug("📤 Sending tool registration event:", toolUpdateEvent);
         sendClientEvent(toolUpdateEvent);
-      });
+        sendCaptureState();
+
+        // Voice, instructions, turn detection and transcription. The relay
+        // can't create the session with them, and over WebRTC they were set
+        // with the token already; sending them again is harmless.
+        if (settingsRef.current) {
+          sendClientEvent(settingsSessionUpdate(settingsRef.current));
+        }
+
+        // The new session starts empty; recap the conversation so far
+        if (resume) {
+          resume.forEach((item) => sendClientEvent(item));
+        }
+      };
+      dataChannel.addEventListener("open", handleOpen);
+
+      // A relay WebSocket to this server can open before this effect runs
+      if (dataChannel.readyState === WebSocket.OPEN) {
+        handleOpen();
+      }
+
+      // A replay channel starts playing once the listeners are attached
+      if (dataChannel.start) {
+        dataChannel.start();
+      }
     }
   }, [dataChannel]);
 
   // Debug tool registration status
   useEffect(() => {
-    if (isSessionActive) {
-      console.log("🧰 Active session tools status:", {
+    if (isSessionActive && debugEnabled) {
+      debug("🧰 Active session tools status:", {
         isTakePictureToolRegistered: events.some(
           event => 
             event.type === "session.update" && 
@@ -411,79 +831,25 @@ export default function App() {
       // Look for potential tool call events
       const toolCallEvents = events.filter(event => event.type === "tool_call");
       if (toolCallEvents.length > 0) {
-        console.log("🔧 Tool call events detected:", toolCallEvents);
+        debug("🔧 Tool call events detected:", toolCallEvents);
       }
     }
   }, [events, isSessionActive]);
 
+  // Start from the default preset
   useEffect(() => {
-    // Expose the handleTakePicture function to the window for testing
-    window.testTakePicture = () => {
-      console.log("🧪 Test button clicked - manually triggering image capture");
-      
-      // Generate a mock function call ID for testing
-      const mockCallId = `test_call_${Date.now()}`;
-      
-      handleTakePicture({ prompt: "Test image - what's in this picture?" })
-        .then(result => {
-          console.log("🔄 Test: Creating function_call_output");
-          
-          if (dataChannel) {
-            // Create a conversation item with the function call output
-            sendClientEvent({
-              type: "conversation.item.create",
-              item: {
-                type: "function_call_output",
-                call_id: mockCallId,
-                output: JSON.stringify({
-                  status: "success", 
-                  result: result.result
-                })
-              }
-            });
-            
-            // After creating the output item, request a response
-            setTimeout(() => {
-              console.log("🔊 Test: Requesting model response");
-              sendClientEvent({
-                type: "response.create"
-              });
-            }, 500);
-          }
-        })
-        .catch(error => {
-          console.error("❌ Test: Image capture error:", error);
-          
-          if (dataChannel) {
-            // Create a conversation item with the error
-            sendClientEvent({
-              type: "conversation.item.create",
-              item: {
-                type: "function_call_output",
-                call_id: mockCallId,
-                output: JSON.stringify({
-                  status: "error",
-                  error: error.message
-                })
-              }
-            });
-            
-            // Request a response to verbalize the error
-            setTimeout(() => {
-              console.log("🔊 Test: Requesting model response for error");
-              sendClientEvent({
-                type: "response.create"
-              });
-            }, 500);
-          }
-        });
-    };
-    
-    return () => {
-      // Clean up when the component unmounts
-      delete window.testTakePicture;
-    };
-  }, [dataChannel]);
+    fetch("/presets/default")
+      .then((response) => response.json())
+      .then((preset) => {
+        if (!settingsRef.current && preset.settings) {
+          settingsRef.current = preset.settings;
+          setSettings(preset.settings);
+        }
+      })
+      .catch((error) => {
+        console.error("❌ Failed to load default settings:", error);
+      });
+  }, []);
 
   return (
     <>
@@ -491,12 +857,60 @@ export default function App() {
         <div className="flex items-center gap-4 w-full m-4 pb-2 border-0 border-b border-solid border-gray-200">
           <img style={{ width: "24px" }} src={logo} />
           <h1>realtime console</h1>
+          <div className="ml-auto flex items-center gap-4">
+            <ConnectionStatus
+              status={connectionStatus}
+              error={connectionError}
+              reconnect={reconnect}
+            />
+            <a className="text-sm text-blue-600" href="/gallery">
+              visual memory
+            </a>
+            <a className="text-sm text-blue-600" href="/dashboard">
+              usage
+            </a>
+            <a className="text-sm text-blue-600" href="/diagnostics">
+              diagnostics
+            </a>
+            {signOut && (
+              <button
+                className="text-sm text-gray-600"
+                onClick={() => {
+                  if (isSessionActive) stopSession();
+                  signOut();
+                }}
+              >
+                sign out {user.name}
+              </button>
+            )}
+          </div>
         </div>
       </nav>
       <main className="absolute top-16 left-0 right-0 bottom-0">
         <section className="absolute top-0 left-0 right-[380px] bottom-0 flex">
-          <section className="absolute top-0 left-0 right-0 bottom-32 px-4 overflow-y-auto">
-            <EventLog events={events} />
+          <section className="absolute top-0 left-0 right-0 h-10 px-4 flex gap-2 items-center">
+            {["transcript", "events", "sessions"].map((view) => (
+              <button
+                key={view}
+                onClick={() => setLogView(view)}
+                className={`px-3 py-1 rounded-full text-sm ${
+                  logView === view ? "bg-gray-800 text-white" : "bg-gray-100"
+                }`}
+              >
+                {view}
+              </button>
+            ))}
+          </section>
+          <section className="absolute top-10 left-0 right-0 bottom-32 px-4 overflow-y-auto">
+            {logView === "transcript" && (
+              <Transcript events={events} captures={captures} />
+            )}
+            {logView === "events" && <EventLog events={events} />}
+            {logView === "sessions" && (
+              <SessionList
+                replaySession={isSessionActive ? null : replaySession}
+              />
+            )}
           </section>
           <section className="absolute h-32 left-0 right-0 bottom-0 p-4">
             <SessionControls
@@ -506,16 +920,30 @@ export default function App() {
               sendTextMessage={sendTextMessage}
               events={events}
               isSessionActive={isSessionActive}
+              captureSource={captureSource}
+              selectCaptureSource={selectCaptureSource}
+              recordAudio={recordAudio}
+              setRecordAudio={setRecordAudio}
+              holdingPhrases={holdingPhrases}
+              setHoldingPhrases={setHoldingPhrases}
+              startReplay={startReplay}
+              replaySpeed={replaySpeed}
+              setReplaySpeed={setReplaySpeed}
+              settings={settings}
+              updateSettings={updateSettings}
             />
           </section>
         </section>
         <section className="absolute top-0 w-[380px] right-0 bottom-0 p-4 pt-0 overflow-y-auto">
           <ToolPanel
-            sendClientEvent={sendClientEvent}
-            sendTextMessage={sendTextMessage}
-            events={events}
+            tools={tools}
+            toolCalls={toolCalls}
+            context={{
+              pinnedFrame,
+              setPinnedFrame: updatePinnedFrame,
+              sendTextMessage,
+            }}
             isSessionActive={isSessionActive}
-            imageAnalysis={imageAnalysis}
           />
         </section>
       </main>
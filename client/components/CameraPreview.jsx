@@ -0,0 +1,152 @@
+import { useEffect, useRef, useState } from "react";
+
+// The frame an <img> is showing right now, as a JPEG data URL. The preview
+// is served from this origin, so the canvas can be read back.
+function drawImage(img) {
+  const canvas = document.createElement("canvas");
+  canvas.width = img.naturalWidth;
+  canvas.height = img.naturalHeight;
+  canvas.getContext("2d").drawImage(img, 0, 0);
+  return canvas.toDataURL("image/jpeg", 0.92);
+}
+
+// The server re-serves frames as the camera sends them; turn them the way
+// the camera is mounted, as captures are
+function rotationStyle(camera) {
+  return camera?.rotation ? { transform: `rotate(${camera.rotation}deg)` } : {};
+}
+
+// Live view of a camera (GET /cameras/:id/stream.mjpeg). Clicking it pins
+// that exact frame: take_picture then analyzes it instead of a new capture,
+// so the question is answered about what the user saw. `ask` sends a typed
+// question to the model.
+export default function CameraPreview({ pinnedFrame, setPinnedFrame, ask }) {
+  const [cameras, setCameras] = useState([]);
+  const [cameraId, setCameraId] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const [question, setQuestion] = useState("");
+  const image = useRef(null);
+
+  useEffect(() => {
+    fetch("/cameras")
+      .then((response) => response.json())
+      .then(({ cameras }) => {
+        setCameras(cameras);
+        setCameraId((current) => current || cameras[0]?.id || null);
+      })
+      .catch((error) => {
+        console.error("❌ Failed to load cameras:", error);
+      });
+  }, []);
+
+  const camera = cameras.find((camera) => camera.id === cameraId);
+  if (!camera) return null;
+
+  function pinFrame() {
+    if (failed || !image.current?.naturalWidth) return;
+    setPinnedFrame({
+      camera: { id: camera.id, name: camera.name },
+      image: drawImage(image.current),
+    });
+  }
+
+  function submitQuestion(e) {
+    e.preventDefault();
+    if (!question.trim()) return;
+    ask(question.trim());
+    setQuestion("");
+  }
+
+  const pinned = pinnedFrame?.camera.id === camera.id ? pinnedFrame : null;
+
+  return (
+    <div className="flex flex-col gap-2 mb-4">
+      <div className="flex items-center gap-2 text-sm">
+        {cameras.length > 1 && (
+          <select
+            value={camera.id}
+            onChange={(e) => {
+              setCameraId(e.target.value);
+              setFailed(false);
+              setPinnedFrame(null);
+            }}
+            className="border border-gray-200 rounded-md p-1"
+          >
+            {cameras.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.name}
+              </option>
+            ))}
+          </select>
+        )}
+        <span className="text-gray-500">
+          {pinned ? "pinned frame" : "live"}
+        </span>
+        {pinned && (
+          <button
+            onClick={() => setPinnedFrame(null)}
+            className="ml-auto text-blue-600"
+          >
+            back to live
+          </button>
+        )}
+      </div>
+
+      <div className="w-full h-48 overflow-hidden rounded-md bg-gray-100 flex items-center justify-center">
+        {pinned ? (
+          <img
+            src={pinned.image}
+            alt={`Pinned frame from ${camera.name}`}
+            className="max-w-full max-h-full object-contain"
+            style={rotationStyle(camera)}
+          />
+        ) : failed ? (
+          <span className="text-sm text-gray-500">
+            No preview.{" "}
+            <button onClick={() => setFailed(false)} className="text-blue-600">
+              retry
+            </button>{" "}
+            or open{" "}
+            <a className="text-blue-600" href="/diagnostics">
+              diagnostics
+            </a>
+          </span>
+        ) : (
+          <img
+            ref={image}
+            key={camera.id}
+            src={`/cameras/${camera.id}/stream.mjpeg`}
+            alt={`Live view of ${camera.name}`}
+            title="Click to ask about this frame"
+            onClick={pinFrame}
+            onError={() => setFailed(true)}
+            className="max-w-full max-h-full object-contain cursor-pointer"
+            style={rotationStyle(camera)}
+          />
+        )}
+      </div>
+
+      {pinned ? (
+        <form onSubmit={submitQuestion} className="flex gap-2">
+          <input
+            type="text"
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            placeholder="Ask about this frame, or just say it..."
+            className="flex-1 border border-gray-200 rounded-md p-1 text-sm"
+          />
+          <button
+            type="submit"
+            className="px-3 py-1 rounded-full text-sm bg-gray-800 text-white"
+          >
+            ask
+          </button>
+        </form>
+      ) : (
+        <p className="text-sm text-gray-500">
+          Click the picture to ask about that exact frame.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+const STATUSES = {
+  connecting: { label: "connecting", color: "bg-yellow-400" },
+  connected: { label: "connected", color: "bg-green-500" },
+  reconnecting: { label: "reconnecting", color: "bg-yellow-400 animate-pulse" },
+  failed: { label: "connection lost", color: "bg-red-500" },
+};
+
+// The Realtime connection's state, with a way to retry once reconnecting
+// has given up or the server has refused the session (`error`, with its
+// message and hint). Nothing is shown without a session.
+export default function ConnectionStatus({ status, error, reconnect }) {
+  const current = STATUSES[status];
+  if (!current) return null;
+
+  return (
+    <div className="flex items-center gap-2 text-sm text-gray-600">
+      <span className={`w-2 h-2 rounded-full ${current.color}`} />
+      {status === "failed" && error ? (
+        <span className="text-red-600" title={error.hint}>
+          {error.message}
+        </span>
+      ) : (
+        current.label
+      )}
+      {status === "failed" && (
+        <button className="text-blue-600" onClick={reconnect}>
+          reconnect
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import { useState } from "react";
+
+const COLORS = [
+  "#ef4444",
+  "#3b82f6",
+  "#22c55e",
+  "#f59e0b",
+  "#a855f7",
+  "#ec4899",
+  "#14b8a6",
+  "#f97316",
+];
+
+// A captured image with its detected objects as hoverable boxes. Boxes are
+// fractions of the image size, so they're placed with percentages and follow
+// the image as it scales. Hovering a box or a label in the list below
+// highlights every object with that label.
+export default function DetectionOverlay({ imageData, detections, className }) {
+  const [hovered, setHovered] = useState(null);
+  const labels = Object.keys(detections.counts);
+  const color = (label) => COLORS[labels.indexOf(label) % COLORS.length];
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className={`relative self-start ${className || ""}`}>
+        <img
+          src={imageData}
+          alt="Captured"
+          className="block max-w-full max-h-60 rounded-md border border-gray-200"
+        />
+        {detections.objects.map((object, i) => {
+          const [x1, y1, x2, y2] = object.box;
+          const active = hovered === null || hovered === object.label;
+          return (
+            <div
+              key={i}
+              className="absolute border-2 rounded-sm"
+              style={{
+                left: `${x1 * 100}%`,
+                top: `${y1 * 100}%`,
+                width: `${(x2 - x1) * 100}%`,
+                height: `${(y2 - y1) * 100}%`,
+                borderColor: color(object.label),
+                opacity: active ? 1 : 0.25,
+              }}
+              onMouseEnter={() => setHovered(object.label)}
+              onMouseLeave={() => setHovered(null)}
+            >
+              {hovered === object.label && (
+                <span
+                  className="absolute left-0 -top-5 px-1 text-xs text-white rounded-sm whitespace-nowrap"
+                  style={{ backgroundColor: color(object.label) }}
+                >
+                  {object.label}
+                  {object.confidence !== null &&
+                    ` ${Math.round(object.confidence * 100)}%`}
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {labels.map((label) => (
+          <span
+            key={label}
+            className="px-2 py-0.5 text-xs text-white rounded-full cursor-default"
+            style={{
+              backgroundColor: color(label),
+              opacity: hovered === null || hovered === label ? 1 : 0.4,
+            }}
+            onMouseEnter={() => setHovered(label)}
+            onMouseLeave={() => setHovered(null)}
+          >
+            {detections.counts[label]} {label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,239 @@
+import { useEffect, useState } from "react";
+import logo from "/assets/openai-logomark.svg";
+
+const PREVIEW_INTERVAL_MS = 3000;
+
+const CHECK_LABELS = {
+  ffmpeg: "ffmpeg",
+  apiKey: "API key",
+  tempDir: "temp directory",
+};
+
+function StatusDot({ ok }) {
+  return (
+    <span
+      className={`inline-block w-2 h-2 rounded-full ${ok ? "bg-green-500" : "bg-red-500"}`}
+    />
+  );
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleTimeString() : "never";
+}
+
+// The camera's current frame, refreshed every few seconds while `live`
+function CameraPreview({ camera, live }) {
+  const [tick, setTick] = useState(Date.now());
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (!live) return;
+    const timer = setInterval(() => setTick(Date.now()), PREVIEW_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [live]);
+
+  if (!live) {
+    return (
+      <div className="w-full h-40 rounded-md bg-gray-100 flex items-center justify-center text-sm text-gray-500">
+        preview paused
+      </div>
+    );
+  }
+  return (
+    <div className="relative">
+      <img
+        src={`/cameras/${camera.id}/snapshot.jpg?width=480&t=${tick}`}
+        alt={camera.name}
+        onLoad={() => setFailed(false)}
+        onError={() => setFailed(true)}
+        className="w-full h-40 object-contain rounded-md bg-gray-100"
+      />
+      {failed && (
+        <span className="absolute bottom-1 left-1 text-xs text-red-600 bg-white px-1 rounded">
+          no frame
+        </span>
+      )}
+    </div>
+  );
+}
+
+// Captures a frame without asking the model, and shows it with how long it
+// took or why it failed
+function TestCapture({ camera }) {
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+
+  async function runTest() {
+    setRunning(true);
+    try {
+      const response = await fetch(`/cameras/${camera.id}/test`, {
+        method: "POST",
+      });
+      const data = await response.json();
+      setResult(response.ok ? data : { error: data.error, hint: data.hint });
+    } catch (error) {
+      setResult({ error: error.message });
+    } finally {
+      setRunning(false);
+    }
+  }
+
+  return (
+    <div className="flex flex-col gap-2">
+      <button
+        onClick={runTest}
+        disabled={running}
+        className="self-start px-3 py-1 rounded-full text-sm bg-gray-800 text-white disabled:bg-gray-400"
+      >
+        {running ? "capturing..." : "test capture"}
+      </button>
+      {result?.error && (
+        <div className="text-sm">
+          <p className="text-red-600">{result.error}</p>
+          {result.hint && <p className="text-gray-500">{result.hint}</p>}
+        </div>
+      )}
+      {result?.imageData && (
+        <div className="flex flex-col gap-1">
+          <img
+            src={result.imageData}
+            alt={`Test capture from ${camera.name}`}
+            className="w-full max-h-40 object-contain rounded-md border border-gray-200"
+          />
+          <span className="text-sm text-gray-500">
+            {result.width}x{result.height}, {Math.round(result.bytes / 1024)} KB
+            in {result.durationMs} ms
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function CameraCard({ camera, live }) {
+  return (
+    <section className="flex flex-col gap-2 p-4 rounded-md border border-solid border-gray-200">
+      <h2 className="flex items-center gap-2 font-bold">
+        <StatusDot ok={camera.ok} />
+        {camera.name}
+        <span className="font-normal text-sm text-gray-500">
+          {camera.protocol}
+        </span>
+      </h2>
+      <p className="text-sm">
+        {camera.ok ? (
+          `reachable in ${camera.latencyMs} ms`
+        ) : (
+          <span className="text-red-600">{camera.error}</span>
+        )}
+      </p>
+      <p className="text-sm text-gray-500">
+        {camera.stream
+          ? `stream ${camera.stream.status}, ${camera.stream.fps} fps, last frame ${formatTime(camera.stream.lastFrameAt)}`
+          : "no stream open"}
+        {camera.stream?.lastError && ` (${camera.stream.lastError})`}
+      </p>
+      <CameraPreview camera={camera} live={live} />
+      <TestCapture camera={camera} />
+    </section>
+  );
+}
+
+// Health checks from /health with a preview and a test capture per camera,
+// at /diagnostics
+export default function Diagnostics() {
+  const [health, setHealth] = useState(null);
+  const [error, setError] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [live, setLive] = useState(true);
+
+  async function check() {
+    setChecking(true);
+    try {
+      const response = await fetch("/health");
+      const data = await response.json();
+      // 503 still carries the checks
+      if (!data.checks) throw new Error(data.error || response.statusText);
+      setHealth(data);
+      setError(null);
+    } catch (error) {
+      console.error("❌ Failed to run health checks:", error);
+      setError(error.message);
+    } finally {
+      setChecking(false);
+    }
+  }
+
+  useEffect(() => {
+    check();
+  }, []);
+
+  return (
+    <>
+      <nav className="absolute top-0 left-0 right-0 h-16 flex items-center">
+        <div className="flex items-center gap-4 w-full m-4 pb-2 border-0 border-b border-solid border-gray-200">
+          <img style={{ width: "24px" }} src={logo} />
+          <h1>diagnostics</h1>
+          <a className="ml-auto text-sm text-blue-600" href="/">
+            back to console
+          </a>
+        </div>
+      </nav>
+      <main className="absolute top-16 left-0 right-0 bottom-0 p-4 flex flex-col gap-6 overflow-y-auto">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={check}
+            disabled={checking}
+            className="px-3 py-1 rounded-full text-sm bg-gray-100 disabled:text-gray-400"
+          >
+            {checking ? "checking..." : "check again"}
+          </button>
+          <button
+            onClick={() => setLive(!live)}
+            className="px-3 py-1 rounded-full text-sm bg-gray-100"
+          >
+            {live ? "pause previews" : "resume previews"}
+          </button>
+          {health && (
+            <span className="text-sm text-gray-500">
+              checked at {formatTime(health.checkedAt)}
+            </span>
+          )}
+        </div>
+
+        {error && <p className="text-red-600">{error}</p>}
+        {!health ? (
+          !error && <p className="text-gray-500">Checking...</p>
+        ) : (
+          <>
+            <section className="flex flex-col gap-2">
+              <h2 className="font-bold">Server</h2>
+              {health.checks.map((item) => (
+                <p key={item.name} className="flex items-center gap-2 text-sm">
+                  <StatusDot ok={item.ok} />
+                  <span className="w-32">
+                    {CHECK_LABELS[item.name] || item.name}
+                  </span>
+                  <span className={item.ok ? "text-gray-500" : "text-red-600"}>
+                    {item.detail}
+                  </span>
+                </p>
+              ))}
+            </section>
+            {health.cameras.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                No cameras are configured.
+              </p>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {health.cameras.map((camera) => (
+                  <CameraCard key={camera.id} camera={camera} live={live} />
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </main>
+    </>
+  );
+}
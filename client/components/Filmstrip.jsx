@@ -0,0 +1,39 @@
+import { useState } from "react";
+
+// The frames of a burst or clip in a row, with the time each was taken.
+// Clicking a frame shows it larger.
+export default function Filmstrip({ frames }) {
+  const [selected, setSelected] = useState(null);
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex gap-1 overflow-x-auto">
+        {frames.map((frame, i) => (
+          <button
+            key={i}
+            className={`flex flex-col items-center shrink-0 rounded-md border ${
+              selected === i ? "border-blue-400" : "border-gray-200"
+            }`}
+            onClick={() => setSelected(selected === i ? null : i)}
+          >
+            <img
+              src={frame.imageData}
+              alt={`Frame ${i + 1}`}
+              className="h-12 rounded-t-md"
+            />
+            <span className="text-xs text-gray-500">
+              {(frame.time / 1000).toFixed(1)}s
+            </span>
+          </button>
+        ))}
+      </div>
+      {selected !== null && frames[selected] && (
+        <img
+          src={frames[selected].imageData}
+          alt={`Frame ${selected + 1}`}
+          className="w-full object-contain rounded-md border border-gray-200"
+        />
+      )}
+    </div>
+  );
+}
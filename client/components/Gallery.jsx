@@ -0,0 +1,182 @@
+import { useEffect, useState } from "react";
+import logo from "/assets/openai-logomark.svg";
+
+const SOURCES = ["camera", "webcam", "screen", "watch"];
+const PAGE_SIZE = 48;
+
+function MemoryDetails({ entry, onClose, onDelete }) {
+  return (
+    <div className="flex flex-col gap-2 p-4 rounded-md bg-gray-50">
+      <div className="flex justify-between items-center">
+        <span className="text-sm text-gray-500">
+          {new Date(entry.timestamp).toLocaleString()} |{" "}
+          {entry.camera?.name || entry.source}
+          {entry.mode !== "single" && ` | ${entry.mode}`}
+          {entry.model && ` | ${entry.provider} ${entry.model}`}
+        </span>
+        <div className="flex gap-4 text-sm">
+          <button className="text-red-600" onClick={() => onDelete(entry)}>
+            delete
+          </button>
+          <button onClick={onClose}>close</button>
+        </div>
+      </div>
+      <a href={entry.imageUrl} target="_blank" rel="noreferrer">
+        <img
+          src={entry.imageUrl}
+          alt="Remembered capture"
+          className="w-full max-h-[60vh] object-contain rounded-md border border-gray-200"
+        />
+      </a>
+      {entry.prompt && (
+        <p className="text-sm text-gray-500">Prompt: {entry.prompt}</p>
+      )}
+      <p className="text-sm">{entry.analysis}</p>
+    </div>
+  );
+}
+
+// Browsable, searchable history of every analyzed capture, at /gallery.
+// `initialQuery` comes from ?q= so the tool panel can link to a search.
+export default function Gallery({ initialQuery = "" }) {
+  const [query, setQuery] = useState(initialQuery);
+  const [search, setSearch] = useState(initialQuery);
+  const [source, setSource] = useState("");
+  const [entries, setEntries] = useState(null);
+  const [more, setMore] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState(null);
+
+  async function loadEntries(before) {
+    const params = new URLSearchParams({ limit: PAGE_SIZE });
+    if (search) params.set("q", search);
+    if (source) params.set("source", source);
+    if (before) params.set("before", before);
+
+    try {
+      const response = await fetch(`/memory?${params}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || response.statusText);
+      setEntries((previous) =>
+        before ? [...previous, ...data.entries] : data.entries,
+      );
+      setMore(data.more);
+      setError(null);
+    } catch (error) {
+      console.error("❌ Failed to load visual memory:", error);
+      setError(error.message);
+    }
+  }
+
+  useEffect(() => {
+    setSelected(null);
+    loadEntries();
+  }, [search, source]);
+
+  async function deleteEntry(entry) {
+    const response = await fetch(`/memory/${entry.id}`, { method: "DELETE" });
+    if (!response.ok && response.status !== 404) {
+      setError(`Failed to delete: ${response.statusText}`);
+      return;
+    }
+    setEntries((previous) => previous.filter(({ id }) => id !== entry.id));
+    setSelected(null);
+  }
+
+  function submitSearch(e) {
+    e.preventDefault();
+    setSearch(query.trim());
+  }
+
+  return (
+    <>
+      <nav className="absolute top-0 left-0 right-0 h-16 flex items-center">
+        <div className="flex items-center gap-4 w-full m-4 pb-2 border-0 border-b border-solid border-gray-200">
+          <img style={{ width: "24px" }} src={logo} />
+          <h1>visual memory</h1>
+          <a className="ml-auto text-sm text-blue-600" href="/">
+            back to console
+          </a>
+        </div>
+      </nav>
+      <main className="absolute top-16 left-0 right-0 bottom-0 p-4 flex flex-col gap-4 overflow-y-auto">
+        <form className="flex gap-2" onSubmit={submitSearch}>
+          <input
+            type="search"
+            className="flex-1 border border-gray-200 rounded-md p-2"
+            placeholder="search what was seen, e.g. keys..."
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <select
+            className="border border-gray-200 rounded-md p-2 bg-white"
+            value={source}
+            onChange={(e) => setSource(e.target.value)}
+          >
+            <option value="">all sources</option>
+            {SOURCES.map((source) => (
+              <option key={source}>{source}</option>
+            ))}
+          </select>
+          <button className="px-4 rounded-md bg-gray-800 text-white">
+            search
+          </button>
+        </form>
+
+        {error && <p className="text-red-600">{error}</p>}
+        {selected && (
+          <MemoryDetails
+            entry={selected}
+            onClose={() => setSelected(null)}
+            onDelete={deleteEntry}
+          />
+        )}
+
+        {!entries ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : entries.length === 0 ? (
+          <p className="text-gray-500">
+            {search ? "Nothing matches that search." : "No captures yet..."}
+          </p>
+        ) : (
+          <div className="grid grid-cols-[repeat(auto-fill,minmax(200px,1fr))] gap-3">
+            {entries.map((entry) => (
+              <button
+                key={entry.id}
+                className={`flex flex-col text-left rounded-md border ${
+                  selected?.id === entry.id
+                    ? "border-blue-400"
+                    : "border-gray-200"
+                }`}
+                onClick={() => setSelected(entry)}
+              >
+                <img
+                  src={entry.thumbnailUrl}
+                  alt="Remembered capture"
+                  loading="lazy"
+                  className="w-full aspect-video object-cover rounded-t-md"
+                />
+                <div className="p-2 flex flex-col gap-1 text-sm">
+                  <span className="text-gray-500">
+                    {new Date(entry.timestamp).toLocaleString()} |{" "}
+                    {entry.camera?.name || entry.source}
+                  </span>
+                  <span className="line-clamp-3">{entry.analysis}</span>
+                </div>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {more && (
+          <button
+            className="self-center px-4 py-2 rounded-md bg-gray-100"
+            onClick={() => loadEntries(entries[entries.length - 1].timestamp)}
+          >
+            load more
+          </button>
+        )}
+      </main>
+    </>
+  );
+}
@@ -0,0 +1,80 @@
+import { useState } from "react";
+import logo from "/assets/openai-logomark.svg";
+
+// Sign-in for servers with authentication on (see server/auth): an access
+// token, or a username and password for local accounts
+export default function LoginScreen({ provider, onSignIn }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [token, setToken] = useState("");
+  const [error, setError] = useState(null);
+  const [isSigningIn, setIsSigningIn] = useState(false);
+
+  async function signIn(e) {
+    e.preventDefault();
+    setIsSigningIn(true);
+    setError(null);
+    try {
+      const response = await fetch("/auth/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(
+          provider === "token" ? { token } : { username, password },
+        ),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Sign-in failed");
+      onSignIn(data);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setIsSigningIn(false);
+    }
+  }
+
+  return (
+    <main className="absolute inset-0 flex items-center justify-center">
+      <form className="flex flex-col gap-4 w-80" onSubmit={signIn}>
+        <div className="flex items-center gap-4">
+          <img style={{ width: "24px" }} src={logo} />
+          <h1>realtime console</h1>
+        </div>
+        {provider === "token" ? (
+          <input
+            type="password"
+            className="border border-gray-200 rounded-md p-2"
+            placeholder="access token"
+            autoComplete="current-password"
+            value={token}
+            onChange={(e) => setToken(e.target.value)}
+          />
+        ) : (
+          <>
+            <input
+              className="border border-gray-200 rounded-md p-2"
+              placeholder="username"
+              autoComplete="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+            />
+            <input
+              type="password"
+              className="border border-gray-200 rounded-md p-2"
+              placeholder="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          </>
+        )}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button
+          className="p-2 rounded-md bg-gray-800 text-white disabled:opacity-50"
+          disabled={isSigningIn}
+        >
+          {isSigningIn ? "signing in..." : "sign in"}
+        </button>
+      </form>
+    </main>
+  );
+}
@@ -0,0 +1,47 @@
+import { useEffect, useState } from "react";
+import App from "./App";
+import Diagnostics from "./Diagnostics";
+import Gallery from "./Gallery";
+import LoginScreen from "./LoginScreen";
+import UsageDashboard from "./UsageDashboard";
+
+// Picks the page for a URL; everything but /gallery, /dashboard and
+// /diagnostics is the console. Pages only render once the user is signed in
+// (or the server has no sign-in).
+export default function Root({ url }) {
+  // { provider, user } from /auth/session
+  const [auth, setAuth] = useState(null);
+
+  useEffect(() => {
+    fetch("/auth/session")
+      .then((response) => response.json())
+      .then(setAuth)
+      .catch((error) => {
+        console.error("❌ Failed to check sign-in:", error);
+      });
+  }, []);
+
+  async function signOut() {
+    const response = await fetch("/auth/logout", { method: "POST" });
+    setAuth(await response.json());
+  }
+
+  if (!auth) return null;
+  if (!auth.user) {
+    return <LoginScreen provider={auth.provider} onSignIn={setAuth} />;
+  }
+
+  const { pathname, searchParams } = new URL(url, "http://localhost");
+  if (pathname === "/gallery") {
+    return <Gallery initialQuery={searchParams.get("q") || ""} />;
+  }
+  if (pathname === "/dashboard") {
+    return <UsageDashboard />;
+  }
+  if (pathname === "/diagnostics") {
+    return <Diagnostics />;
+  }
+  return (
+    <App user={auth.user} signOut={auth.provider === "none" ? null : signOut} />
+  );
+}
@@ -1,8 +1,63 @@
 import { useState } from "react";
-import { CloudLightning, CloudOff, MessageSquare } from "react-feather";
+import {
+  CloudLightning,
+  CloudOff,
+  MessageSquare,
+  Settings,
+} from "react-feather";
 import Button from "./Button";
+import SettingsPanel from "./SettingsPanel";
 
-function SessionStopped({ startSession }) {
+const REPLAY_SPEEDS = [1, 2, 5, 10, Infinity];
+
+// Plays a recorded JSONL file (a session recording or relay log) instead of
+// starting a live session
+function ReplayControls({ startReplay, replaySpeed, setReplaySpeed }) {
+  async function handleFile(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) {
+      startReplay(await file.text());
+    }
+  }
+
+  return (
+    <div className="flex items-center gap-2 text-sm text-gray-600">
+      <label className="border border-gray-200 rounded-full px-4 py-2 cursor-pointer hover:bg-gray-50">
+        replay file...
+        <input
+          type="file"
+          accept=".jsonl,.json,.ndjson"
+          className="hidden"
+          onChange={handleFile}
+        />
+      </label>
+      <select
+        title="replay speed"
+        className="border border-gray-200 rounded-full px-2 py-2 bg-white"
+        value={String(replaySpeed)}
+        onChange={(e) => setReplaySpeed(Number(e.target.value))}
+      >
+        {REPLAY_SPEEDS.map((speed) => (
+          <option key={speed} value={String(speed)}>
+            {Number.isFinite(speed) ? `${speed}x` : "instant"}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+function SessionStopped({
+  startSession,
+  recordAudio,
+  setRecordAudio,
+  holdingPhrases,
+  setHoldingPhrases,
+  startReplay,
+  replaySpeed,
+  setReplaySpeed,
+}) {
   const [isActivating, setIsActivating] = useState(false);
 
   function handleStartSession() {
@@ -13,7 +68,26 @@ function SessionStopped({ startSession }) {
   }
 
   return (
-    <div className="flex items-center justify-center w-full h-full">
+    <div className="flex items-center justify-center w-full h-full gap-4">
+      <label className="flex items-center gap-2 text-sm text-gray-600">
+        <input
+          type="checkbox"
+          checked={recordAudio}
+          onChange={(e) => setRecordAudio(e.target.checked)}
+        />
+        record audio
+      </label>
+      <label
+        className="flex items-center gap-2 text-sm text-gray-600"
+        title="say something like 'let me take a look…' while a picture is analyzed"
+      >
+        <input
+          type="checkbox"
+          checked={holdingPhrases}
+          onChange={(e) => setHoldingPhrases(e.target.checked)}
+        />
+        holding phrases
+      </label>
       <Button
         onClick={handleStartSession}
         className={isActivating ? "bg-gray-600" : "bg-red-600"}
@@ -21,11 +95,36 @@ function SessionStopped({ startSession }) {
       >
         {isActivating ? "starting session..." : "start session"}
       </Button>
+      <ReplayControls
+        startReplay={startReplay}
+        replaySpeed={replaySpeed}
+        setReplaySpeed={setReplaySpeed}
+      />
     </div>
   );
 }
 
-function SessionActive({ stopSession, sendTextMessage }) {
+function CaptureSourceSelect({ captureSource, selectCaptureSource }) {
+  return (
+    <select
+      title="image source for take_picture"
+      className="border border-gray-200 rounded-full p-4 bg-white"
+      value={captureSource}
+      onChange={(e) => selectCaptureSource(e.target.value)}
+    >
+      <option value="camera">camera</option>
+      <option value="webcam">webcam</option>
+      <option value="screen">screen</option>
+    </select>
+  );
+}
+
+function SessionActive({
+  stopSession,
+  sendTextMessage,
+  captureSource,
+  selectCaptureSource,
+}) {
   const [message, setMessage] = useState("");
 
   function handleSendClientEvent() {
@@ -35,6 +134,10 @@ function SessionActive({ stopSession, sendTextMessage }) {
 
   return (
     <div className="flex items-center justify-center w-full h-full gap-4">
+      <CaptureSourceSelect
+        captureSource={captureSource}
+        selectCaptureSource={selectCaptureSource}
+      />
       <input
         onKeyDown={(e) => {
           if (e.key === "Enter" && message.trim()) {
@@ -72,18 +175,62 @@ export default function SessionControls({
   sendTextMessage,
   serverEvents,
   isSessionActive,
+  captureSource,
+  selectCaptureSource,
+  recordAudio,
+  setRecordAudio,
+  holdingPhrases,
+  setHoldingPhrases,
+  startReplay,
+  replaySpeed,
+  setReplaySpeed,
+  settings,
+  updateSettings,
 }) {
+  const [showSettings, setShowSettings] = useState(false);
+
   return (
-    <div className="flex gap-4 border-t-2 border-gray-200 h-full rounded-md">
+    <div className="relative flex gap-4 border-t-2 border-gray-200 h-full rounded-md">
+      {showSettings && (
+        <div className="absolute bottom-full left-0 mb-2 w-[520px] max-h-[70vh] overflow-y-auto bg-white border border-gray-200 rounded-md shadow-lg p-4 z-10">
+          <SettingsPanel
+            settings={settings}
+            updateSettings={updateSettings}
+            isSessionActive={isSessionActive}
+          />
+        </div>
+      )}
+      <div className="flex items-center">
+        <button
+          title="session settings"
+          className={`p-4 rounded-full border border-gray-200 ${
+            showSettings ? "bg-gray-100" : "bg-white"
+          }`}
+          onClick={() => setShowSettings(!showSettings)}
+        >
+          <Settings height={16} />
+        </button>
+      </div>
       {isSessionActive ? (
         <SessionActive
           stopSession={stopSession}
           sendClientEvent={sendClientEvent}
           sendTextMessage={sendTextMessage}
           serverEvents={serverEvents}
+          captureSource={captureSource}
+          selectCaptureSource={selectCaptureSource}
         />
       ) : (
-        <SessionStopped startSession={startSession} />
+        <SessionStopped
+          startSession={startSession}
+          recordAudio={recordAudio}
+          setRecordAudio={setRecordAudio}
+          holdingPhrases={holdingPhrases}
+          setHoldingPhrases={setHoldingPhrases}
+          startReplay={startReplay}
+          replaySpeed={replaySpeed}
+          setReplaySpeed={setReplaySpeed}
+        />
       )}
     </div>
   );
@@ -0,0 +1,70 @@
+import { useEffect, useState } from "react";
+
+function SessionRow({ session, replaySession }) {
+  const base = `/sessions/${session.id}`;
+
+  return (
+    <div className="flex flex-col gap-1 p-2 rounded-md bg-gray-50">
+      <div className="text-sm">
+        {new Date(session.startedAt).toLocaleString()}
+        <span className="text-gray-500">
+          {" "}
+          | {session.mode} | {session.events} events | {session.captures} images
+          {!session.endedAt && " | not ended"}
+        </span>
+      </div>
+      <div className="flex gap-4 text-sm text-blue-600">
+        <a href={`${base}/transcript.md`}>transcript (.md)</a>
+        <a href={`${base}/bundle.json`}>bundle (.json)</a>
+        {session.audio && (
+          <a href={`${base}/audio`} target="_blank" rel="noreferrer">
+            audio
+          </a>
+        )}
+        {replaySession && session.events > 0 && (
+          <button onClick={() => replaySession(session.id)}>replay</button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Recorded sessions with their downloads, newest first. `replaySession` is
+// only given while no session is running.
+export default function SessionList({ replaySession }) {
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch("/sessions")
+      .then((response) => response.json())
+      .then((data) => setSessions(data.sessions))
+      .catch((error) => {
+        console.error("❌ Failed to load sessions:", error);
+        setError(error.message);
+      });
+  }, []);
+
+  if (error) {
+    return <div className="text-red-600">Failed to load sessions: {error}</div>;
+  }
+  if (!sessions) {
+    return <div className="text-gray-500">Loading sessions...</div>;
+  }
+
+  return (
+    <div className="flex flex-col gap-2">
+      {sessions.length === 0 ? (
+        <div className="text-gray-500">No recorded sessions yet...</div>
+      ) : (
+        sessions.map((session) => (
+          <SessionRow
+            key={session.id}
+            session={session}
+            replaySession={replaySession}
+          />
+        ))
+      )}
+    </div>
+  );
+}
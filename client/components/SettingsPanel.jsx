@@ -0,0 +1,280 @@
+import { useEffect, useState } from "react";
+
+const DEFAULT_TURN_DETECTION = {
+  type: "server_vad",
+  threshold: 0.5,
+  prefix_padding_ms: 300,
+  silence_duration_ms: 500,
+};
+
+function Field({ label, children }) {
+  return (
+    <label className="flex flex-col gap-1 text-sm text-gray-600">
+      {label}
+      {children}
+    </label>
+  );
+}
+
+const inputClass = "border border-gray-200 rounded-md p-2 bg-white";
+
+function PresetControls({ presets, loadPresets, settings, updateSettings }) {
+  const [name, setName] = useState("");
+  const [error, setError] = useState(null);
+
+  function selectPreset(presetName) {
+    const preset = presets.find((preset) => preset.name === presetName);
+    if (!preset) return;
+    setName(preset.name);
+    updateSettings(preset.settings);
+  }
+
+  async function savePreset() {
+    setError(null);
+    const response = await fetch(`/presets/${encodeURIComponent(name)}`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ settings }),
+    });
+    if (!response.ok) {
+      const data = await response.json();
+      setError(data.error || response.statusText);
+      return;
+    }
+    loadPresets();
+  }
+
+  async function deletePreset() {
+    setError(null);
+    const response = await fetch(`/presets/${encodeURIComponent(name)}`, {
+      method: "DELETE",
+    });
+    if (!response.ok) {
+      const data = await response.json();
+      setError(data.error || response.statusText);
+      return;
+    }
+    setName("");
+    loadPresets();
+  }
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex gap-2">
+        <select
+          className={`${inputClass} flex-1`}
+          value={presets.some((preset) => preset.name === name) ? name : ""}
+          onChange={(e) => selectPreset(e.target.value)}
+        >
+          <option value="" disabled>
+            load preset...
+          </option>
+          {presets.map((preset) => (
+            <option key={preset.name} value={preset.name}>
+              {preset.name}
+            </option>
+          ))}
+        </select>
+        <input
+          className={`${inputClass} flex-1`}
+          placeholder="preset name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button
+          className="px-3 rounded-md bg-gray-800 text-white disabled:opacity-50"
+          disabled={!name.trim()}
+          onClick={savePreset}
+        >
+          save
+        </button>
+        <button
+          className="px-3 rounded-md bg-gray-100 disabled:opacity-50"
+          disabled={!presets.some((preset) => preset.name === name)}
+          onClick={deletePreset}
+        >
+          delete
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+// Realtime session settings with presets. Model and voice only apply to new
+// sessions; other changes are pushed to a running session as they are made.
+export default function SettingsPanel({
+  settings,
+  updateSettings,
+  isSessionActive,
+}) {
+  const [presets, setPresets] = useState([]);
+  const [options, setOptions] = useState(null);
+
+  async function loadPresets() {
+    try {
+      const response = await fetch("/presets");
+      const data = await response.json();
+      setPresets(data.presets);
+      setOptions(data.options);
+    } catch (error) {
+      console.error("❌ Failed to load presets:", error);
+    }
+  }
+
+  useEffect(() => {
+    loadPresets();
+  }, []);
+
+  if (!settings || !options) {
+    return <p className="text-gray-500">Loading settings...</p>;
+  }
+
+  function set(key, value) {
+    updateSettings({ ...settings, [key]: value });
+  }
+
+  function setTurnDetection(key, value) {
+    set("turn_detection", { ...settings.turn_detection, [key]: value });
+  }
+
+  const turnDetection = settings.turn_detection;
+
+  return (
+    <div className="flex flex-col gap-3">
+      <PresetControls
+        presets={presets}
+        loadPresets={loadPresets}
+        settings={settings}
+        updateSettings={updateSettings}
+      />
+
+      <div className="grid grid-cols-2 gap-3">
+        <Field label="model">
+          <select
+            className={inputClass}
+            value={settings.model}
+            disabled={isSessionActive}
+            onChange={(e) => set("model", e.target.value)}
+          >
+            {[...new Set([settings.model, ...options.models])].map((model) => (
+              <option key={model}>{model}</option>
+            ))}
+          </select>
+        </Field>
+        <Field label="voice">
+          <select
+            className={inputClass}
+            value={settings.voice}
+            disabled={isSessionActive}
+            onChange={(e) => set("voice", e.target.value)}
+          >
+            {options.voices.map((voice) => (
+              <option key={voice}>{voice}</option>
+            ))}
+          </select>
+        </Field>
+      </div>
+
+      <Field label="instructions">
+        <textarea
+          className={inputClass}
+          rows={4}
+          placeholder="system instructions for the model..."
+          value={settings.instructions}
+          onChange={(e) => set("instructions", e.target.value)}
+        />
+      </Field>
+
+      <Field label={`temperature: ${settings.temperature}`}>
+        <input
+          type="range"
+          min={0.6}
+          max={1.2}
+          step={0.1}
+          value={settings.temperature}
+          onChange={(e) => set("temperature", Number(e.target.value))}
+        />
+      </Field>
+
+      <div className="grid grid-cols-2 gap-3">
+        <Field label="turn detection">
+          <select
+            className={inputClass}
+            value={turnDetection ? "server_vad" : "none"}
+            onChange={(e) =>
+              set(
+                "turn_detection",
+                e.target.value === "none" ? null : DEFAULT_TURN_DETECTION,
+              )
+            }
+          >
+            <option value="server_vad">server VAD</option>
+            <option value="none">none (manual)</option>
+          </select>
+        </Field>
+        <Field label="input transcription">
+          <select
+            className={inputClass}
+            value={settings.input_audio_transcription?.model || "none"}
+            onChange={(e) =>
+              set(
+                "input_audio_transcription",
+                e.target.value === "none" ? null : { model: e.target.value },
+              )
+            }
+          >
+            {options.transcriptionModels.map((model) => (
+              <option key={model}>{model}</option>
+            ))}
+            <option value="none">off</option>
+          </select>
+        </Field>
+      </div>
+
+      {turnDetection && (
+        <div className="grid grid-cols-3 gap-3">
+          <Field label="VAD threshold">
+            <input
+              type="number"
+              className={inputClass}
+              min={0}
+              max={1}
+              step={0.05}
+              value={turnDetection.threshold}
+              onChange={(e) =>
+                setTurnDetection("threshold", Number(e.target.value))
+              }
+            />
+          </Field>
+          <Field label="prefix padding (ms)">
+            <input
+              type="number"
+              className={inputClass}
+              min={0}
+              step={50}
+              value={turnDetection.prefix_padding_ms}
+              onChange={(e) =>
+                setTurnDetection("prefix_padding_ms", Number(e.target.value))
+              }
+            />
+          </Field>
+          <Field label="silence (ms)">
+            <input
+              type="number"
+              className={inputClass}
+              min={0}
+              step={50}
+              value={turnDetection.silence_duration_ms}
+              onChange={(e) =>
+                setTurnDetection("silence_duration_ms", Number(e.target.value))
+              }
+            />
+          </Field>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import { useEffect, useRef } from "react";
+import { buildTranscript } from "../../shared/transcript.js";
+import { parseArguments } from "../lib/toolRegistry";
+import DetectionOverlay from "./DetectionOverlay";
+import Filmstrip from "./Filmstrip";
+
+const ROLE_STYLES = {
+  user: "bg-blue-50 self-end",
+  assistant: "bg-gray-50 self-start",
+  system: "bg-yellow-50 self-center",
+};
+
+function CapturedImage({ capture }) {
+  return (
+    <div className="flex flex-col gap-2">
+      {capture.detections ? (
+        <DetectionOverlay
+          imageData={capture.imageData}
+          detections={capture.detections}
+        />
+      ) : (
+        capture.imageData && (
+          <img
+            src={capture.clipData || capture.imageData}
+            alt="Captured"
+            className="max-h-60 object-contain self-start rounded-md border border-gray-200"
+          />
+        )
+      )}
+      {capture.frames && <Filmstrip frames={capture.frames} />}
+      {capture.analysis && (
+        <p className="text-sm whitespace-pre-wrap text-gray-700">
+          {capture.analysis}
+        </p>
+      )}
+    </div>
+  );
+}
+
+function Message({ entry, capture }) {
+  let text = entry.text;
+  if (entry.error) {
+    text = `(${entry.error})`;
+  } else if (!text && entry.pending) {
+    text = "...";
+  }
+
+  return (
+    <div
+      className={`flex flex-col gap-2 p-2 rounded-md max-w-[80%] ${ROLE_STYLES[entry.role] || ROLE_STYLES.system}`}
+    >
+      <div className="text-xs text-gray-500">
+        {entry.role} | {entry.timestamp}
+      </div>
+      {text && <p className="whitespace-pre-wrap">{text}</p>}
+      {capture && <CapturedImage capture={capture} />}
+    </div>
+  );
+}
+
+function FunctionCall({ entry, capture }) {
+  const args = parseArguments(entry.arguments);
+  const failed = entry.output?.status === "error";
+
+  return (
+    <div className="flex flex-col gap-2 p-2 rounded-md bg-gray-100 self-start max-w-[80%]">
+      <div className="text-xs text-gray-500">
+        🔧 {entry.name}
+        {args.prompt ? `: "${args.prompt}"` : ""} | {entry.timestamp}
+      </div>
+      {capture ? (
+        <CapturedImage capture={capture} />
+      ) : (
+        !entry.output && <p className="text-sm text-gray-700">Running...</p>
+      )}
+      {failed && (
+        <p className="text-sm text-red-600">Error: {entry.output.error}</p>
+      )}
+    </div>
+  );
+}
+
+// Conversation turns with each captured image shown where it was taken.
+// `captures` maps a function call_id, or the item id of a watch alert, to the
+// { imageData, clipData, frames, analysis } it produced.
+export default function Transcript({ events, captures }) {
+  const entries = buildTranscript(events);
+  const endRef = useRef(null);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: "end" });
+  }, [events.length]);
+
+  return (
+    <div className="flex flex-col gap-2">
+      {entries.length === 0 ? (
+        <div className="text-gray-500">Awaiting conversation...</div>
+      ) : (
+        entries.map((entry) =>
+          entry.kind === "function_call" ? (
+            <FunctionCall
+              key={entry.id}
+              entry={entry}
+              capture={captures[entry.callId]}
+            />
+          ) : (
+            <Message
+              key={entry.id}
+              entry={entry}
+              capture={captures[entry.id]}
+            />
+          ),
+        )
+      )}
+      <div ref={endRef} />
+    </div>
+  );
+}
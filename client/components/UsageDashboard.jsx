@@ -0,0 +1,169 @@
+import { useEffect, useState } from "react";
+import logo from "/assets/openai-logomark.svg";
+
+const RANGES = [7, 30, 90];
+
+function formatCost(usd) {
+  return `$${usd.toFixed(usd < 1 ? 4 : 2)}`;
+}
+
+function formatMinutes(ms) {
+  return `${Math.round(ms / 60000)} min`;
+}
+
+// Spending today against a budget cap, when there is one
+function BudgetBar({ label, spent, cap }) {
+  const share = cap ? Math.min(spent / cap, 1) : 0;
+  return (
+    <div className="flex flex-col gap-1 flex-1">
+      <span className="text-sm text-gray-500">{label}</span>
+      <span className="text-lg">
+        {formatCost(spent)}
+        {cap !== null && (
+          <span className="text-gray-500"> of {formatCost(cap)}</span>
+        )}
+      </span>
+      {cap !== null && (
+        <div className="h-2 rounded-full bg-gray-100">
+          <div
+            className={`h-2 rounded-full ${share >= 1 ? "bg-red-500" : "bg-gray-800"}`}
+            style={{ width: `${share * 100}%` }}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+function TotalsTable({ title, rows, name }) {
+  return (
+    <section className="flex flex-col gap-2">
+      <h2 className="font-bold">{title}</h2>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">Nothing recorded yet.</p>
+      ) : (
+        <table className="text-sm text-left">
+          <thead className="text-gray-500">
+            <tr>
+              <th className="font-normal">{name}</th>
+              <th className="font-normal">cost</th>
+              <th className="font-normal">captures</th>
+              <th className="font-normal">sessions</th>
+              <th className="font-normal">session time</th>
+              <th className="font-normal">vision tokens</th>
+              <th className="font-normal">realtime tokens</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr
+                key={row.key}
+                className="border-0 border-t border-solid border-gray-100"
+              >
+                <td className="py-1">{row.key}</td>
+                <td>{formatCost(row.costUsd)}</td>
+                <td>{row.captures}</td>
+                <td>{row.sessions}</td>
+                <td>{formatMinutes(row.sessionMs)}</td>
+                <td>{row.visionTokens}</td>
+                <td>{row.realtimeTokens}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
+
+// Usage and cost totals from /usage, at /dashboard
+export default function UsageDashboard() {
+  const [days, setDays] = useState(30);
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch(`/usage?days=${days}`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || response.statusText);
+        setUsage(data);
+        setError(null);
+      })
+      .catch((error) => {
+        console.error("❌ Failed to load usage:", error);
+        setError(error.message);
+      });
+  }, [days]);
+
+  return (
+    <>
+      <nav className="absolute top-0 left-0 right-0 h-16 flex items-center">
+        <div className="flex items-center gap-4 w-full m-4 pb-2 border-0 border-b border-solid border-gray-200">
+          <img style={{ width: "24px" }} src={logo} />
+          <h1>usage</h1>
+          <a className="ml-auto text-sm text-blue-600" href="/">
+            back to console
+          </a>
+        </div>
+      </nav>
+      <main className="absolute top-16 left-0 right-0 bottom-0 p-4 flex flex-col gap-6 overflow-y-auto">
+        <div className="flex gap-2">
+          {RANGES.map((range) => (
+            <button
+              key={range}
+              onClick={() => setDays(range)}
+              className={`px-3 py-1 rounded-full text-sm ${
+                days === range ? "bg-gray-800 text-white" : "bg-gray-100"
+              }`}
+            >
+              {range} days
+            </button>
+          ))}
+        </div>
+
+        {error && <p className="text-red-600">{error}</p>}
+        {!usage ? (
+          !error && <p className="text-gray-500">Loading...</p>
+        ) : (
+          <>
+            <section className="flex gap-6">
+              <BudgetBar
+                label="spent today"
+                spent={usage.today.costUsd}
+                cap={usage.budgets.dailyUsd}
+              />
+              <BudgetBar
+                label="you spent today"
+                spent={usage.today.userCostUsd}
+                cap={usage.budgets.userDailyUsd}
+              />
+            </section>
+            <TotalsTable
+              title="By day"
+              name="day (UTC)"
+              rows={usage.days.map((day) => ({ key: day.day, ...day }))}
+            />
+            <TotalsTable
+              title="By user"
+              name="user"
+              rows={usage.users.map((user) => ({ key: user.user, ...user }))}
+            />
+            <TotalsTable
+              title="By camera"
+              name="camera"
+              rows={usage.cameras.map((camera) => ({
+                key: camera.camera,
+                ...camera,
+              }))}
+            />
+            <p className="text-sm text-gray-500">
+              Costs are estimates from list prices; local and mock models count
+              as free.
+            </p>
+          </>
+        )}
+      </main>
+    </>
+  );
+}
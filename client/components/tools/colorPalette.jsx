@@ -0,0 +1,65 @@
+function ColorPalette({ call }) {
+  const { theme, colors = [] } = call.args;
+
+  const colorBoxes = colors.map((color) => (
+    <div
+      key={color}
+      className="w-full h-16 rounded-md flex items-center justify-center border border-gray-200"
+      style={{ backgroundColor: color }}
+    >
+      <p className="text-sm font-bold text-black bg-slate-100 rounded-md p-2 border border-black">
+        {color}
+      </p>
+    </div>
+  ));
+
+  return (
+    <div className="flex flex-col gap-2">
+      <p>Theme: {theme}</p>
+      {colorBoxes}
+      <pre className="text-xs bg-gray-100 rounded-md p-2 overflow-x-auto">
+        {JSON.stringify(call.args, null, 2)}
+      </pre>
+    </div>
+  );
+}
+
+export default {
+  name: "display_color_palette",
+  schema: {
+    description: "Call this function when a user asks for a color palette.",
+    parameters: {
+      type: "object",
+      strict: true,
+      properties: {
+        theme: {
+          type: "string",
+          description: "Description of the theme for the color scheme.",
+        },
+        colors: {
+          type: "array",
+          description: "Array of five hex color codes based on the theme.",
+          items: {
+            type: "string",
+            description: "Hex color code",
+          },
+        },
+      },
+      required: ["theme", "colors"],
+    },
+  },
+  async run() {
+    return {
+      output: { status: "success", result: "The palette is shown to the user." },
+    };
+  },
+  followUp: {
+    instructions: `
+      ask for feedback about the color palette - don't repeat
+      the colors, just ask if they like the colors.
+    `,
+  },
+  title: "Color Palette Tool",
+  placeholder: "Ask for advice on a color palette...",
+  Renderer: ColorPalette,
+};
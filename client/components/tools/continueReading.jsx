@@ -0,0 +1,30 @@
+// Reading long text runs on the server (see server/reading.js); the panel
+// shows the part the model is reading
+function ReadingPanel({ call }) {
+  if (call.status === "running") {
+    return <p className="text-sm text-gray-700">Finding the next part...</p>;
+  }
+  if (call.output?.status === "error") {
+    return <p className="text-sm text-red-600">{call.output.error}</p>;
+  }
+
+  const { part, parts, text } = call.display || {};
+  return (
+    <div className="flex flex-col gap-2">
+      <p className="text-sm text-gray-500">
+        Part {part} of {parts}
+      </p>
+      <p className="text-sm whitespace-pre-wrap overflow-y-auto max-h-60 bg-white p-3 rounded-md">
+        {text}
+      </p>
+    </div>
+  );
+}
+
+export default {
+  name: "continue_reading",
+  server: true,
+  title: "Reading",
+  placeholder: 'Say "read this to me" to read a page aloud...',
+  Renderer: ReadingPanel,
+};
@@ -0,0 +1,17 @@
+import colorPalette from "./colorPalette";
+import continueReading from "./continueReading";
+import takePicture from "./takePicture";
+import visualMemory from "./visualMemory";
+import zoomPicture from "./zoomPicture";
+import { startWatch, stopWatch } from "./watch";
+
+// Every tool the app registers with the Realtime session, in panel order
+export default [
+  colorPalette,
+  takePicture,
+  zoomPicture,
+  continueReading,
+  visualMemory,
+  startWatch,
+  stopWatch,
+];
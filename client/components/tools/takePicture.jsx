@@ -0,0 +1,155 @@
+import { browserCaptureSource } from "../../../shared/captureSource.js";
+import { postEventStream, requestError } from "../../lib/eventStream";
+import { captureMediaFrame, captureMediaFrames } from "../../lib/mediaSources";
+import { runServerTool } from "../../lib/toolRegistry";
+import CameraPreview from "../CameraPreview";
+import DetectionOverlay from "../DetectionOverlay";
+import Filmstrip from "../Filmstrip";
+
+// Frames per second a browser clip is recorded at; the server picks the ones
+// the model sees
+const CLIP_FPS = 4;
+
+export function ImageAnalysisOutput({ call }) {
+  const { imageData, clipData, frames, analysis, detections } =
+    call.display || {};
+  const isLoading = call.status === "running";
+  const analysisText =
+    call.output?.status === "error" ? `Error: ${call.output.error}` : analysis;
+
+  return (
+    <div className="flex flex-col gap-2">
+      {detections && (
+        <div className="mb-4">
+          <DetectionOverlay imageData={imageData} detections={detections} />
+        </div>
+      )}
+      {imageData && !detections && (
+        <div className="mb-4 flex flex-col gap-2">
+          <img
+            src={clipData || imageData}
+            alt="Captured"
+            className="w-full max-h-40 object-contain rounded-md border border-gray-200"
+          />
+          {frames && <Filmstrip frames={frames} />}
+        </div>
+      )}
+
+      {/* The analysis streams in while the call is still running */}
+      {isLoading && !analysis ? (
+        <div className="text-sm text-gray-700">Analyzing image...</div>
+      ) : (
+        analysisText && (
+          <div>
+            <h3 className="font-medium mb-2">Analysis:</h3>
+            <p className="text-sm whitespace-pre-wrap overflow-y-auto max-h-60 bg-gray-50 p-3 rounded-md">
+              {analysisText}
+            </p>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
+
+function CameraPanel({ call, context }) {
+  return (
+    <>
+      <CameraPreview
+        pinnedFrame={context.pinnedFrame}
+        setPinnedFrame={context.setPinnedFrame}
+        ask={context.sendTextMessage}
+      />
+
+      {call ? (
+        <ImageAnalysisOutput call={call} />
+      ) : (
+        <p>Say "take a picture" to analyze the camera feed...</p>
+      )}
+    </>
+  );
+}
+
+// Pictures the browser takes, even in relay mode
+function capturesInBrowser(args, { captureSource, pinnedFrame } = {}) {
+  return Boolean(
+    browserCaptureSource(args, {
+      captureSource,
+      pinnedCamera: pinnedFrame?.camera,
+    }),
+  );
+}
+
+// Webcam and screen frames, and camera frames pinned in the live preview,
+// are captured here and uploaded for analysis; other camera pictures are
+// taken by the server (see shared/captureSource.js)
+async function takePicture(
+  args,
+  { captureSource = "camera", pinnedFrame = null, onProgress } = {},
+) {
+  const browserSource = browserCaptureSource(args, {
+    captureSource,
+    pinnedCamera: pinnedFrame?.camera,
+  });
+  if (!browserSource) {
+    return runServerTool("take_picture", args, { onProgress });
+  }
+  const pinned = browserSource === "pinned";
+  const source = pinned ? "camera" : browserSource;
+
+  let body;
+  if (pinned) {
+    body = { image: pinnedFrame.image, cameraId: pinnedFrame.camera.id };
+  } else if (args.mode === "burst" || args.mode === "clip") {
+    const duration = Math.min(
+      Number(args.duration) || (args.mode === "clip" ? 3 : 2),
+      10,
+    );
+    const count =
+      args.mode === "clip"
+        ? Math.ceil(duration * CLIP_FPS) + 1
+        : Math.min(Math.max(Number(args.frames) || 4, 2), 10);
+    const frames = await captureMediaFrames(source, { count, duration });
+    body = {
+      images: frames.map((frame) => frame.image),
+      times: frames.map((frame) => frame.time),
+      mode: args.mode,
+      frames: args.frames,
+    };
+  } else {
+    body = { image: await captureMediaFrame(source) };
+  }
+
+  body = { ...body, source, prompt: args.prompt, task: args.task };
+  let data;
+  if (onProgress) {
+    data = await postEventStream("/analyze-image", body, onProgress);
+  } else {
+    const response = await fetch("/analyze-image", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    });
+    data = await response.json();
+    if (!response.ok) {
+      throw requestError(data, response.statusText);
+    }
+  }
+
+  return {
+    output: { status: "success", result: data.output },
+    display: data,
+  };
+}
+
+export default {
+  name: "take_picture",
+  server: true,
+  slow: true,
+  run: takePicture,
+  runsInBrowser: capturesInBrowser,
+  title: "Camera Analysis",
+  Renderer: CameraPanel,
+};
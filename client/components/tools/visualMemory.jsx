@@ -0,0 +1,51 @@
+// Searching past captures runs on the server (see server/memory.js); the
+// panel shows what the model found
+function MemoryResults({ call }) {
+  if (call.status === "running") {
+    return <p className="text-sm text-gray-700">Searching...</p>;
+  }
+  if (call.output?.status === "error") {
+    return <p className="text-sm text-red-600">Error: {call.output.error}</p>;
+  }
+
+  const { query, results = [] } = call.display || {};
+  return (
+    <div className="flex flex-col gap-2">
+      <p className="text-sm text-gray-500">
+        {results.length} result{results.length === 1 ? "" : "s"} for "{query}"{" "}
+        <a
+          className="text-blue-600"
+          href={`/gallery?q=${encodeURIComponent(query || "")}`}
+          target="_blank"
+          rel="noreferrer"
+        >
+          open in gallery
+        </a>
+      </p>
+      {results.map((entry) => (
+        <div key={entry.id} className="flex gap-2 text-sm">
+          <img
+            src={entry.thumbnailUrl}
+            alt="Remembered capture"
+            className="w-20 h-14 object-cover rounded-md border border-gray-200 shrink-0"
+          />
+          <div>
+            <div className="text-gray-500">
+              {new Date(entry.timestamp).toLocaleString()} |{" "}
+              {entry.camera?.name || entry.source}
+            </div>
+            <div className="line-clamp-2">{entry.analysis}</div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default {
+  name: "search_visual_memory",
+  server: true,
+  title: "Visual Memory",
+  placeholder: 'Ask "when did you last see my keys?"...',
+  Renderer: MemoryResults,
+};
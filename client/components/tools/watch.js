@@ -0,0 +1,11 @@
+// Watch mode runs entirely on the server (see server/watch.js); scene
+// changes reach the conversation through /watch/events
+export const startWatch = {
+  name: "start_watch",
+  server: true,
+};
+
+export const stopWatch = {
+  name: "stop_watch",
+  server: true,
+};
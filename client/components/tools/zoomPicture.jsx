@@ -0,0 +1,27 @@
+import { ImageAnalysisOutput } from "./takePicture";
+
+// Close-ups are cropped and analyzed on the server (see server/regions.js)
+function ZoomPanel({ call }) {
+  const zoom = call.display?.zoom;
+
+  return (
+    <div className="flex flex-col gap-2">
+      {zoom && (
+        <p className="text-sm text-gray-500">
+          {zoom.name || `[${zoom.box.join(", ")}]`} | {zoom.width}x{zoom.height}
+          {zoom.upscale > 1 && ` | ${zoom.upscale}x`}
+        </p>
+      )}
+      <ImageAnalysisOutput call={call} />
+    </div>
+  );
+}
+
+export default {
+  name: "zoom_picture",
+  server: true,
+  slow: true,
+  title: "Zoom",
+  placeholder: 'Ask "what does the thermostat say?"...',
+  Renderer: ZoomPanel,
+};
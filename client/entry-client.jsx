@@ -1,11 +1,11 @@
 import { StrictMode } from "react";
 import ReactDOM from "react-dom/client";
-import App from "./components/App";
+import Root from "./components/Root";
 import "./base.css";
 
 ReactDOM.hydrateRoot(
   document.getElementById("root"),
   <StrictMode>
-    <App />
+    <Root url={window.location.href} />
   </StrictMode>,
 );
@@ -1,11 +1,11 @@
 import { StrictMode } from "react";
 import { renderToString } from "react-dom/server";
-import App from "./components/App";
+import Root from "./components/Root";
 
-export function render() {
+export function render(url) {
   const html = renderToString(
     <StrictMode>
-      <App />
+      <Root url={url} />
     </StrictMode>,
   );
   return { html };
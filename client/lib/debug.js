@@ -0,0 +1,21 @@
+// Verbose console logging (every event sent and received, tool runs,
+// reconnects), off by default. Turn it on with ?debug in the URL, or for good
+// with localStorage.debug = "true" in the console.
+function readFlag() {
+  if (typeof window === "undefined") return false;
+  try {
+    return (
+      new URLSearchParams(window.location.search).has("debug") ||
+      window.localStorage.getItem("debug") === "true"
+    );
+  } catch {
+    // Storage can be blocked
+    return false;
+  }
+}
+
+export const debugEnabled = readFlag();
+
+export function debug(...args) {
+  if (debugEnabled) console.log(...args);
+}
@@ -0,0 +1,56 @@
+// An Error for a failed request's JSON body, keeping the server's error
+// code, hint and whether to retry (see server/errors.js)
+export function requestError(data, fallback) {
+  const { error, code, hint, retryable } = data;
+  return Object.assign(new Error(error || fallback), { code, hint, retryable });
+}
+
+// POSTs JSON to an endpoint that streams server-sent events back (see
+// server/sse.js) and calls onEvent with each progress event. Resolves with
+// the final { type: "result" } event, without its type, and rejects with a
+// requestError for an { type: "error" } event.
+export async function postEventStream(url, body, onEvent) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "text/event-stream",
+    },
+    body: JSON.stringify(body),
+  });
+  // Requests rejected before the stream started get a plain JSON error
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw requestError(data, response.statusText);
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = "";
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffered += value;
+      const messages = buffered.split("\n\n");
+      buffered = messages.pop();
+      for (const message of messages) {
+        // Lines starting with ":" are heartbeats
+        const data = message
+          .split("\n")
+          .filter((line) => line.startsWith("data:"))
+          .map((line) => line.slice(5).trim())
+          .join("\n");
+        if (!data) continue;
+
+        const { type, ...event } = JSON.parse(data);
+        if (type === "result") return event;
+        if (type === "error") throw requestError(event);
+        onEvent({ type, ...event });
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  throw new Error("The stream ended without a result");
+}
@@ -0,0 +1,103 @@
+// Browser-side image sources for take_picture: the laptop webcam and a shared
+// screen. Streams are opened from a user gesture (getDisplayMedia requires
+// one) and kept open, so a tool call can grab a frame at any time.
+const streams = {};
+
+export async function openMediaSource(kind, { onEnded } = {}) {
+  if (streams[kind]) return streams[kind];
+
+  const stream =
+    kind === "screen"
+      ? await navigator.mediaDevices.getDisplayMedia({ video: true })
+      : await navigator.mediaDevices.getUserMedia({ video: true });
+
+  // e.g. the user clicked the browser's "Stop sharing" button
+  stream.getVideoTracks()[0].addEventListener("ended", () => {
+    delete streams[kind];
+    onEnded?.();
+  });
+
+  streams[kind] = stream;
+  return stream;
+}
+
+export function closeMediaSource(kind) {
+  streams[kind]?.getTracks().forEach((track) => track.stop());
+  delete streams[kind];
+}
+
+export function closeMediaSources() {
+  Object.keys(streams).forEach(closeMediaSource);
+}
+
+async function playSource(kind) {
+  const stream = streams[kind];
+  if (!stream) {
+    throw new Error(
+      kind === "screen"
+        ? "The user isn't sharing their screen. Ask them to pick Screen as the image source."
+        : "The webcam isn't on. Ask the user to pick Webcam as the image source.",
+    );
+  }
+
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = stream;
+  await video.play();
+  return video;
+}
+
+function drawFrame(video, maxWidth, quality) {
+  const scale = Math.min(1, maxWidth / video.videoWidth);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/jpeg", quality);
+}
+
+function stopVideo(video) {
+  video.pause();
+  video.srcObject = null;
+}
+
+// Draws the current frame of an open source onto a canvas and returns it as a
+// JPEG data URL
+export async function captureMediaFrame(kind, { maxWidth = 1920 } = {}) {
+  const video = await playSource(kind);
+  try {
+    return drawFrame(video, maxWidth, 0.9);
+  } finally {
+    stopVideo(video);
+  }
+}
+
+// Captures `count` frames spread over `duration` seconds, for a burst or
+// clip, as [{ image, time }] with times in milliseconds. Frames are smaller
+// than single pictures so the upload stays reasonable.
+export async function captureMediaFrames(
+  kind,
+  { count, duration, maxWidth = 960 },
+) {
+  const video = await playSource(kind);
+  const interval = (duration * 1000) / (count - 1);
+  const start = performance.now();
+  const frames = [];
+
+  try {
+    for (let i = 0; i < count; i++) {
+      const wait = start + i * interval - performance.now();
+      if (wait > 0) {
+        await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+      frames.push({
+        image: drawFrame(video, maxWidth, 0.8),
+        time: Math.round(performance.now() - start),
+      });
+    }
+  } finally {
+    stopVideo(video);
+  }
+  return frames;
+}
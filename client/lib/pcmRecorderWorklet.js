@@ -0,0 +1,13 @@
+// Forwards raw microphone samples to the main thread, which batches them
+// into PCM16 chunks for the relay
+class PcmRecorderProcessor extends AudioWorkletProcessor {
+  process(inputs) {
+    const channel = inputs[0][0];
+    if (channel) {
+      this.port.postMessage(channel.slice(0));
+    }
+    return true;
+  }
+}
+
+registerProcessor("pcm-recorder", PcmRecorderProcessor);
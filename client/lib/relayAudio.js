@@ -0,0 +1,125 @@
+// Audio plumbing for relay mode. Over WebRTC the browser streams audio to the
+// model directly; through the relay it has to send and play base64 PCM16
+// chunks at 24kHz itself.
+const SAMPLE_RATE = 24000;
+// Send roughly 100ms of audio per input_audio_buffer.append event
+const CHUNK_SAMPLES = SAMPLE_RATE / 10;
+
+function floatToPcm16Base64(samples) {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    pcm[i] = s < 0 ? s * 0x8000 : s * 0x7fff;
+  }
+
+  let binary = "";
+  const bytes = new Uint8Array(pcm.buffer);
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function pcm16Base64ToFloat(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  const pcm = new Int16Array(bytes.buffer);
+  const samples = new Float32Array(pcm.length);
+  for (let i = 0; i < pcm.length; i++) {
+    samples[i] = pcm[i] / 0x8000;
+  }
+  return samples;
+}
+
+// Captures the microphone and calls onAudio with base64 PCM16 chunks.
+// Resolves with the microphone's mediaStream and a stop() function.
+export async function startMicrophoneStream(onAudio) {
+  const mediaStream = await navigator.mediaDevices.getUserMedia({
+    audio: true,
+  });
+  const context = new AudioContext({ sampleRate: SAMPLE_RATE });
+  await context.audioWorklet.addModule(
+    new URL("./pcmRecorderWorklet.js", import.meta.url),
+  );
+
+  const source = context.createMediaStreamSource(mediaStream);
+  const recorder = new AudioWorkletNode(context, "pcm-recorder");
+
+  let buffered = [];
+  let bufferedSamples = 0;
+  recorder.port.onmessage = (e) => {
+    buffered.push(e.data);
+    bufferedSamples += e.data.length;
+    if (bufferedSamples < CHUNK_SAMPLES) return;
+
+    const chunk = new Float32Array(bufferedSamples);
+    let offset = 0;
+    for (const samples of buffered) {
+      chunk.set(samples, offset);
+      offset += samples.length;
+    }
+    buffered = [];
+    bufferedSamples = 0;
+    onAudio(floatToPcm16Base64(chunk));
+  };
+  source.connect(recorder);
+
+  return {
+    mediaStream,
+    stop() {
+      source.disconnect();
+      recorder.disconnect();
+      mediaStream.getTracks().forEach((track) => track.stop());
+      context.close();
+    },
+  };
+}
+
+// Plays base64 PCM16 chunks back to back as they arrive
+export function createAudioPlayer() {
+  const context = new AudioContext({ sampleRate: SAMPLE_RATE });
+  // Everything played also goes to a stream, so sessions can be recorded
+  const recording = context.createMediaStreamDestination();
+  let playhead = 0;
+  let sources = [];
+
+  return {
+    stream: recording.stream,
+
+    play(base64) {
+      const samples = pcm16Base64ToFloat(base64);
+      const buffer = context.createBuffer(1, samples.length, SAMPLE_RATE);
+      buffer.copyToChannel(samples, 0);
+
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      source.connect(context.destination);
+      source.connect(recording);
+
+      playhead = Math.max(playhead, context.currentTime);
+      source.start(playhead);
+      playhead += buffer.duration;
+
+      sources.push(source);
+      source.onended = () => {
+        sources = sources.filter((s) => s !== source);
+      };
+    },
+
+    // Drop queued audio, e.g. when the user starts talking over the model
+    clear() {
+      sources.forEach((source) => source.stop());
+      sources = [];
+      playhead = 0;
+    },
+
+    close() {
+      this.clear();
+      context.close();
+    },
+  };
+}
@@ -0,0 +1,88 @@
+// Session replay: plays a recorded event stream into the app through a fake
+// data channel, so tool dispatch can be debugged without a live Realtime
+// session. Recordings are JSONL, either { timestamp, direction, event } lines
+// (session recordings and relay logs) or bare server events.
+
+// Returns the server events of a recording as { time, event }, where time is
+// milliseconds since the first event, or null when the line has no timestamp
+export function parseRecording(text) {
+  const records = [];
+  let start = null;
+
+  text.split("\n").forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${index + 1} is not valid JSON`);
+    }
+
+    const event = record.event || record;
+    const direction = record.direction || "server";
+    if (direction !== "server" || !event.type) return;
+
+    const timestamp = Date.parse(record.timestamp);
+    let time = null;
+    if (!Number.isNaN(timestamp)) {
+      start ??= timestamp;
+      time = timestamp - start;
+    }
+    records.push({ time, event });
+  });
+
+  return records;
+}
+
+// A stand-in for the WebRTC data channel. start() opens it and dispatches the
+// recorded events as "message" events, `speed` times faster than recorded
+// (Infinity plays them back to back). Everything the app sends is kept in
+// `sent`. Dispatches "ended" once the last event was played.
+export function createReplayChannel(records, { speed = 1 } = {}) {
+  const channel = new EventTarget();
+  const timers = [];
+
+  channel.readyState = "connecting";
+  channel.sent = [];
+
+  channel.send = (data) => {
+    channel.sent.push(JSON.parse(data));
+  };
+
+  channel.close = () => {
+    timers.forEach(clearTimeout);
+    channel.readyState = "closed";
+  };
+
+  channel.start = () => {
+    if (channel.readyState !== "connecting") return;
+    channel.readyState = "open";
+    channel.dispatchEvent(new Event("open"));
+    if (records.length === 0) {
+      channel.dispatchEvent(new Event("ended"));
+    }
+
+    let previous = 0;
+    records.forEach(({ time, event }, index) => {
+      // Lines without timestamps play 100ms after the one before
+      const at = time ?? previous + 100;
+      previous = at;
+      const delay = Number.isFinite(speed) ? at / speed : index;
+
+      timers.push(
+        setTimeout(() => {
+          if (channel.readyState !== "open") return;
+          channel.dispatchEvent(
+            new MessageEvent("message", { data: JSON.stringify(event) }),
+          );
+          if (index === records.length - 1) {
+            channel.dispatchEvent(new Event("ended"));
+          }
+        }, delay),
+      );
+    });
+  };
+
+  return channel;
+}
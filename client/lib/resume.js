@@ -0,0 +1,66 @@
+import { buildTranscript } from "../../shared/transcript.js";
+
+// After a reconnect the Realtime session starts empty. To carry on the
+// conversation, the app replays a recap of it as conversation.item.create
+// events: the latest turns, and what earlier tool calls (e.g. pictures
+// taken) returned, so the model still knows what it has seen.
+const MAX_ENTRIES = 20;
+const MAX_TEXT = 600;
+
+// Items the recap creates have ids with this prefix, so the transcript can
+// leave them out; the turns are already on screen
+export const RESUME_ID_PREFIX = "resume_";
+
+function truncate(text) {
+  return text.length > MAX_TEXT ? `${text.slice(0, MAX_TEXT)}…` : text;
+}
+
+function createItem(index, role, text) {
+  return {
+    type: "conversation.item.create",
+    item: {
+      id: `${RESUME_ID_PREFIX}${Date.now().toString(36)}_${index}`,
+      type: "message",
+      role,
+      // Assistant messages can only be created with text content
+      content: [{ type: role === "assistant" ? "text" : "input_text", text }],
+    },
+  };
+}
+
+function describeCall({ name, arguments: args, output }) {
+  const result =
+    typeof output === "string" ? output : JSON.stringify(output ?? null);
+  return truncate(
+    `Earlier ${name} call${args ? ` (${args})` : ""} returned: ${result}`,
+  );
+}
+
+// The recap of a conversation, from its event log (newest first). Returns
+// no events when there is nothing to recap.
+export function buildResumeItems(events) {
+  const entries = buildTranscript(events)
+    .filter((entry) =>
+      entry.kind === "function_call" ? entry.output !== null : entry.text,
+    )
+    .slice(-MAX_ENTRIES);
+  if (entries.length === 0) return [];
+
+  const items = [
+    createItem(
+      0,
+      "system",
+      "The connection was lost and has been restored. The following items " +
+        "recap the conversation so far; continue it without mentioning the " +
+        "interruption unless the user asks.",
+    ),
+  ];
+  entries.forEach((entry, i) => {
+    if (entry.kind === "function_call") {
+      items.push(createItem(i + 1, "system", describeCall(entry)));
+    } else {
+      items.push(createItem(i + 1, entry.role, truncate(entry.text)));
+    }
+  });
+  return items;
+}
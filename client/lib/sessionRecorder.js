@@ -0,0 +1,133 @@
+// Records a session to the server's archive (POST /sessions). Events are
+// batched and sent every few seconds; captured images go up as they happen;
+// the optional audio recording is uploaded when the session stops.
+const FLUSH_INTERVAL_MS = 2000;
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || response.statusText);
+  }
+  return response.json();
+}
+
+export function createSessionRecorder({ mode }) {
+  const sessionId = postJson("/sessions", { mode })
+    .then((session) => session.id)
+    .catch((error) => {
+      console.error("❌ Failed to start session recording:", error);
+      return null;
+    });
+
+  let queue = [];
+  // Flushes run one after another so batches arrive in order
+  let flushing = Promise.resolve();
+  const timer = setInterval(flush, FLUSH_INTERVAL_MS);
+
+  let mediaRecorder = null;
+  let audioContext = null;
+  const audioChunks = [];
+
+  async function sendQueued() {
+    if (queue.length === 0) return;
+    const id = await sessionId;
+    const events = queue.splice(0);
+    if (!id) return;
+
+    try {
+      await postJson(`/sessions/${id}/events`, { events });
+    } catch (error) {
+      console.error("❌ Failed to record session events:", error);
+    }
+  }
+
+  function flush() {
+    flushing = flushing.then(sendQueued);
+    return flushing;
+  }
+
+  function stopAudio() {
+    if (!mediaRecorder || mediaRecorder.state === "inactive") {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+      mediaRecorder.onstop = () => {
+        audioContext.close();
+        resolve(new Blob(audioChunks, { type: mediaRecorder.mimeType }));
+      };
+      mediaRecorder.stop();
+    });
+  }
+
+  return {
+    // direction is "client" or "server", as in the relay's event logs
+    recordEvent(direction, event) {
+      queue.push({ timestamp: new Date().toISOString(), direction, event });
+    },
+
+    // `captureId` is the call_id or watch alert item id the image belongs to
+    async recordCapture(captureId, { imageData, analysis }) {
+      const id = await sessionId;
+      if (!id) return;
+
+      try {
+        await postJson(`/sessions/${id}/captures`, {
+          captureId,
+          imageData,
+          analysis,
+        });
+      } catch (error) {
+        console.error("❌ Failed to record capture:", error);
+      }
+    },
+
+    // Mixes the given streams (the mic and the model's voice) into one
+    // recording
+    recordAudio(streams) {
+      if (mediaRecorder || typeof MediaRecorder === "undefined") return;
+
+      audioContext = new AudioContext();
+      const destination = audioContext.createMediaStreamDestination();
+      streams.forEach((stream) => {
+        audioContext.createMediaStreamSource(stream).connect(destination);
+      });
+
+      mediaRecorder = new MediaRecorder(destination.stream);
+      mediaRecorder.ondataavailable = (e) => {
+        if (e.data.size > 0) audioChunks.push(e.data);
+      };
+      mediaRecorder.start(1000);
+    },
+
+    async stop() {
+      clearInterval(timer);
+      const [audio] = await Promise.all([stopAudio(), flush()]);
+
+      const id = await sessionId;
+      if (!id) return;
+
+      try {
+        if (audio && audio.size > 0) {
+          await fetch(`/sessions/${id}/audio`, {
+            method: "PUT",
+            headers: {
+              "Content-Type": audio.type || "audio/webm",
+            },
+            body: audio,
+          });
+        }
+        await postJson(`/sessions/${id}/end`, {});
+      } catch (error) {
+        console.error("❌ Failed to save session recording:", error);
+      }
+    },
+  };
+}
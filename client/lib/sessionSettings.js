@@ -0,0 +1,10 @@
+// Session settings use the Realtime session field names (see
+// server/presets.js). The model is fixed once a session is created and the
+// voice once the model has spoken, so live updates leave both out.
+export function settingsSessionUpdate(settings, { live = false } = {}) {
+  const { model, voice, ...session } = settings;
+  return {
+    type: "session.update",
+    session: live ? session : { voice, ...session },
+  };
+}
@@ -0,0 +1,170 @@
+import { postEventStream, requestError } from "./eventStream";
+
+// Declarative tool registry. Each tool in client/components/tools declares:
+//
+//   name        the function name the model calls
+//   schema      { description, parameters } for tools implemented here, or
+//   server      true for tools the server implements; their schema comes from
+//               GET /tools and they run through POST /tools/:name
+//   run(args, context)
+//               client-side handler resolving to { output, display }, where
+//               output goes back to the model and display is for the UI. A
+//               server tool may have one too, to do part of the work here.
+//               `context` carries app state such as the selected
+//               captureSource, the pinnedFrame from the camera preview and
+//               the session's `connection` id, and `onProgress`, called with
+//               the progress events of a streamed analysis (see
+//               applyProgress).
+//   runsInBrowser(args, context)
+//               for server tools with a run handler: whether this call needs
+//               the browser, so it runs here even in relay mode, where the
+//               server runs its own tools
+//   slow        true for tools that take a few seconds, such as the vision
+//               ones; with holding phrases on, the model says something
+//               while they run
+//   followUp    optional `response` options for the response.create sent
+//               after the function output
+//   title, Renderer, placeholder
+//               optional panel in the ToolPanel; Renderer receives the
+//               latest call of the tool ({ status, args, output, display })
+//               and the panel `context` (see App).
+//               The placeholder is shown until the first call; without one
+//               the Renderer is given `call = null` instead.
+
+export function findTool(tools, name) {
+  return tools.find((tool) => tool.name === name) || null;
+}
+
+// One merged session.update for every tool, so registrations no longer
+// overwrite each other's tools array. In relay mode the server registers its
+// own tools, so only client tools are included.
+export async function buildToolsSessionUpdate(tools, { relay = false } = {}) {
+  let serverDefinitions = [];
+  if (!relay && tools.some((tool) => tool.server)) {
+    try {
+      const response = await fetch("/tools");
+      ({ tools: serverDefinitions } = await response.json());
+    } catch (error) {
+      console.error("❌ Failed to load server tool definitions:", error);
+    }
+  }
+
+  const definitions = tools.flatMap((tool) => {
+    if (!tool.server) {
+      return [{ type: "function", name: tool.name, ...tool.schema }];
+    }
+    return serverDefinitions.filter(
+      (definition) => definition.name === tool.name,
+    );
+  });
+
+  return {
+    type: "session.update",
+    session: {
+      tools: definitions,
+      tool_choice: "auto",
+    },
+  };
+}
+
+// Normalizes the two shapes a function call can arrive in. The Realtime API
+// reports calls as response.output_item.done items, whose call_id (not the
+// item id) is what the function_call_output has to reference.
+export function parseFunctionCall(event) {
+  if (
+    event.type === "response.output_item.done" &&
+    event.item?.type === "function_call"
+  ) {
+    return {
+      name: event.item.name,
+      callId: event.item.call_id,
+      arguments: event.item.arguments,
+    };
+  }
+
+  if (event.type === "tool_call") {
+    return {
+      name: event.name,
+      callId: event.call_id || event.id,
+      arguments: event.parameters,
+    };
+  }
+
+  return null;
+}
+
+export function parseArguments(raw) {
+  if (!raw) return {};
+  if (typeof raw === "object") return raw;
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error("❌ Error parsing function arguments:", error);
+    return {};
+  }
+}
+
+// Runs a tool on the server. With onProgress the server streams the tool's
+// progress events while it runs. `connection` ties the watches it starts to
+// this session (see server/watch.js).
+export async function runServerTool(
+  name,
+  args,
+  { onProgress, connection } = {},
+) {
+  const url = connection
+    ? `/tools/${name}?connection=${encodeURIComponent(connection)}`
+    : `/tools/${name}`;
+  if (onProgress) {
+    return postEventStream(url, args, onProgress);
+  }
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(args),
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw requestError(data, response.statusText);
+  }
+  return data;
+}
+
+// Runs a tool, on the server or here, turning failures into an error output
+// the model can explain. Server errors keep their code and hint, like the
+// server's own tool outputs.
+export async function runTool(tool, args, context = {}) {
+  try {
+    if (tool.run) {
+      return await tool.run(args, context);
+    }
+    return await runServerTool(tool.name, args, context);
+  } catch (error) {
+    console.error(`❌ Tool ${tool.name} failed:`, error);
+    const { code, hint, retryable } = error;
+    return {
+      output: {
+        status: "error",
+        error: error.message,
+        ...(code && { code, hint, retryable }),
+      },
+    };
+  }
+}
+
+// Folds a progress event from a streamed analysis into the call's display:
+// { type: "image", imageData } once the picture is ready, then
+// { type: "delta", text } for each piece of the analysis
+export function applyProgress(display = {}, event) {
+  if (event.type === "image") {
+    return { ...display, imageData: event.imageData };
+  }
+  if (event.type === "delta") {
+    return { ...display, analysis: (display.analysis || "") + event.text };
+  }
+  return display;
+}
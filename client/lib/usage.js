@@ -0,0 +1,14 @@
+// Reports what the Realtime API used to the server's meter (server/usage.js):
+// "realtime" with { model, usage } from response.done, and "session" with
+// { model, durationMs }. Best effort; a lost report only makes totals low.
+export function reportUsage(kind, body) {
+  fetch(`/usage/${kind}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    // Still sent when the page is closing
+    keepalive: true,
+  }).catch((error) => {
+    console.error("❌ Failed to report usage:", error);
+  });
+}
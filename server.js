@@ -4,13 +4,36 @@ import path from "path";
 import { createServer as createViteServer } from "vite";
 import "dotenv/config";
 import fetch from "node-fetch";
-import ffmpeg from "fluent-ffmpeg";
-import sharp from "sharp"; // We'll use sharp for image processing
-import { createWriteStream } from "fs";
-import { promisify } from "util";
-import { unlink } from "fs";
+import { requireAuth, requireMetricsAccess } from "./server/auth/index.js";
+import { resolveCamera } from "./server/cameras.js";
+import { ANALYSIS_TASKS, CAPTURE_MODES, analyzeUpload, captureAndAnalyze, captureOutput } from "./server/capture.js";
+import { attachMockRealtime, createMockSession, mockEnabled } from "./server/mockRealtime.js";
+import { DEFAULT_PRESET, getPreset, resolveSettings, validateSettings } from "./server/presets.js";
+import { errorBody, sendError } from "./server/errors.js";
+import { runHealthChecks } from "./server/health.js";
+import { logger, requestLogger } from "./server/logger.js";
+import { countRequests, renderMetrics } from "./server/metrics.js";
+import { limitCaptures, limitTokens } from "./server/rateLimit.js";
+import { REALTIME_URL } from "./server/realtime.js";
+import { resolveRegion } from "./server/regions.js";
+import { attachRealtimeRelay, relayEnabled } from "./server/relay.js";
+import { openEventStream, wantsEventStream } from "./server/sse.js";
+import authRouter from "./server/routes/auth.js";
+import camerasRouter from "./server/routes/cameras.js";
+import memoryRouter from "./server/routes/memory.js";
+import presetsRouter from "./server/routes/presets.js";
+import sessionsRouter from "./server/routes/sessions.js";
+import { listStreamStats } from "./server/streams.js";
+import toolsRouter from "./server/routes/tools.js";
+import usageRouter from "./server/routes/usage.js";
+import { checkBudget } from "./server/usage.js";
+import watchRouter from "./server/routes/watch.js";
+import {
+  getVisionProvider,
+  listVisionProviders,
+  visionModels,
+} from "./server/vision/index.js";
 
-const unlinkAsync = promisify(unlink);
 const app = express();
 const port = process.env.PORT || 3000;
 const apiKey = process.env.OPENAI_API_KEY;
@@ -22,173 +45,303 @@ const vite = await createViteServer({
 });
 app.use(vite.middlewares);
 
-// Enable JSON body parsing
-app.use(express.json());
+// Enable JSON body parsing; large enough for frames uploaded from the browser
+app.use(express.json({ limit: "15mb" }));
+
+// Request ids, structured request logs and request counts (server/logger.js,
+// server/metrics.js)
+app.use(requestLogger);
+app.use(countRequests);
+
+// Prometheus metrics: capture latency, ffmpeg failures, vision API status
+// codes and active sessions
+app.get("/metrics", requireMetricsAccess, (req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// Sign-in (server/auth). Every API route below needs a signed-in user; the
+// pages themselves load without one so they can show the login screen.
+app.use("/auth", authRouter);
+
+// Camera registry CRUD
+app.use("/cameras", requireAuth, camerasRouter);
+
+// Server-implemented tools, shared by every client and the relay
+app.use("/tools", requireAuth, toolsRouter);
+
+// Watch mode: periodic capture with change detection
+app.use("/watch", requireAuth, watchRouter);
+
+// Recorded sessions: events, captured images and audio, with exports
+app.use("/sessions", requireAuth, sessionsRouter);
+
+// Named Realtime session settings
+app.use("/presets", requireAuth, presetsRouter);
+
+// Visual memory: every analyzed capture, browsable and searchable
+app.use("/memory", requireAuth, memoryRouter);
+
+// Usage metering: token counts, costs and session lengths, with budgets
+app.use("/usage", requireAuth, usageRouter);
+
+// Tells the client whether to connect through the relay or directly, and
+// whether the Realtime backend is the local mock
+app.get("/relay/status", requireAuth, (req, res) => {
+  res.json({ enabled: relayEnabled, mock: mockEnabled });
+});
+
+// API route for token generation. The session is created with the settings
+// POSTed as { settings }, or those of the preset named by ?preset=
+async function handleToken(req, res) {
+  // In relay mode the server holds the Realtime session, so browsers never
+  // get a key of their own
+  if (relayEnabled) {
+    return res.status(403).json({ error: "Token generation is disabled in relay mode" });
+  }
+
+  try {
+    checkBudget(req.user);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  let settings = req.body?.settings;
+  if (!settings) {
+    const preset = getPreset(req.query.preset || DEFAULT_PRESET);
+    if (!preset) {
+      return res.status(404).json({ error: "Preset not found" });
+    }
+    settings = preset.settings;
+  }
+
+  const errors = validateSettings(settings);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join("; ") });
+  }
+  settings = resolveSettings(settings);
+
+  if (mockEnabled) {
+    return res.json(createMockSession(settings));
+  }
 
-// API route for token generation
-app.get("/token", async (req, res) => {
   try {
     const response = await fetch(
-      "https://api.openai.com/v1/realtime/sessions",
+      `${REALTIME_URL}/sessions`,
       {
         method: "POST",
         headers: {
           Authorization: `Bearer ${apiKey}`,
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({
-          model: "gpt-4o-realtime-preview-2024-12-17",
-          voice: "verse",
-        }),
+        body: JSON.stringify(settings),
       },
     );
 
     const data = await response.json();
     res.json(data);
   } catch (error) {
-    console.error("Token generation error:", error);
+    logger.error("Token generation error", { error });
     res.status(500).json({ error: "Failed to generate token" });
   }
+}
+
+app.get("/token", requireAuth, limitTokens, handleToken);
+app.post("/token", requireAuth, limitTokens, handleToken);
+
+// List the available vision providers and which one is the default
+app.get("/vision/providers", requireAuth, (req, res) => {
+  res.json(listVisionProviders());
 });
 
-// Helper function to capture a frame from a video stream using ffmpeg
-async function captureStreamFrame(url) {
-  console.log("🎥 Capturing frame from stream:", url);
-  
-  // Create a temporary directory for screenshots if it doesn't exist
-  const screenshotsDir = path.join(process.cwd(), 'temp');
-  if (!fs.existsSync(screenshotsDir)) {
-    fs.mkdirSync(screenshotsDir, { recursive: true });
-  }
-  
-  // Generate a unique output file name
-  const outputFile = path.join(screenshotsDir, `stream_frame_${Date.now()}.png`);
-  
-  return new Promise((resolve, reject) => {
-    ffmpeg(url)
-      .on('end', () => {
-        console.log(`✅ Screenshot saved as ${outputFile}`);
-        resolve(outputFile);
-      })
-      .on('error', (err) => {
-        console.error(`❌ FFMPEG Error: ${err.message}`);
-        reject(err);
-      })
-      .screenshots({
-        timestamps: ['00:00:01.000'], // Capture a frame at 1 second
-        filename: path.basename(outputFile),
-        folder: path.dirname(outputFile),
-        size: '640x360', // Adjust the screenshot size
-      });
-  });
-}
+// Whether captures can work: ffmpeg, the API key, the temp directory and
+// each camera's reachability (server/health.js). 503 when something fails.
+app.get("/health", requireAuth, async (req, res) => {
+  const health = await runHealthChecks();
+  res.status(health.status === "ok" ? 200 : 503).json(health);
+});
+
+// Per-camera frame grabber health: status, fps and last frame time
+app.get("/streams", requireAuth, (req, res) => {
+  res.json({ streams: listStreamStats() });
+});
 
-// New endpoint to capture an image from the stream
-app.post("/capture-image", async (req, res) => {
-  console.log("📷 Received capture-image request:", req.body);
+// New endpoint to capture an image from the stream. With
+// Accept: text/event-stream the analysis is streamed as it's written:
+// { type: "image" }, { type: "delta" }s, then { type: "result" } or
+// { type: "error" }. Failures carry a `code` and a `hint` (server/errors.js).
+app.post("/capture-image", requireAuth, limitCaptures, async (req, res) => {
+  // Not the whole body: prompts are the user's words
+  logger.info("Received capture-image request", {
+    camera: req.body?.cameraId || req.body?.camera,
+    mode: req.body?.mode,
+    task: req.body?.task,
+    provider: req.body?.provider,
+  });
+  let stream = null;
   
   try {
-    const { cameraUrl, prompt } = req.body;
+    // Only registered cameras can be captured, so clients can't make the
+    // server fetch arbitrary URLs
+    const { cameraId, camera: cameraName, prompt, provider, model, mode, frames, duration, task, region, box, upscale } = req.body;
+    const camera = resolveCamera(cameraId || cameraName);
     
-    if (!cameraUrl) {
-      console.error("❌ Missing camera URL");
-      return res.status(400).json({ error: "Camera URL is required" });
+    if (!camera) {
+      logger.warn("Unknown camera", { camera: cameraId || cameraName });
+      return res.status(404).json({
+        error: cameraId || cameraName
+          ? `Unknown camera: ${cameraId || cameraName}`
+          : "No cameras are configured",
+      });
     }
     
-    console.log("🔗 Using stream URL:", cameraUrl);
-    console.log("💬 Using prompt:", prompt || "What's in this image?");
-    
-    // Capture a frame from the stream
-    let outputFile;
-    try {
-      outputFile = await captureStreamFrame(cameraUrl);
-      console.log("📸 Successfully captured frame to:", outputFile);
-    } catch (error) {
-      console.error("❌ Failed to capture stream frame:", error);
-      return res.status(500).json({ error: `Failed to capture stream frame: ${error.message}` });
+    if (provider && !getVisionProvider(provider)) {
+      return res.status(400).json({ error: `Unknown vision provider: ${provider}` });
+    }
+
+    // The server's key pays, so only the models it allows can be picked
+    if (model && !visionModels(getVisionProvider(provider || undefined)).includes(model)) {
+      return res.status(400).json({ error: `Vision model not allowed: ${model}` });
+    }
+
+    if (mode && !CAPTURE_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${CAPTURE_MODES.join(", ")}` });
+    }
+
+    if (task && !ANALYSIS_TASKS.includes(task)) {
+      return res.status(400).json({ error: `task must be one of: ${ANALYSIS_TASKS.join(", ")}` });
+    }
+
+    if (task && task !== "describe" && mode && mode !== "single") {
+      return res.status(400).json({ error: `task ${task} only works with mode single` });
+    }
+
+    // A region name or box zooms into part of the frame
+    const zoom = region || box ? { region, box, upscale } : null;
+    if (zoom) {
+      if (mode && mode !== "single") {
+        return res.status(400).json({ error: "region and box only work with mode single" });
+      }
+      try {
+        resolveRegion(camera, zoom);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
     }
     
-    // Read the captured image
-    const imageBuffer = fs.readFileSync(outputFile);
-    console.log("📦 Received image buffer, size:", imageBuffer.length, "bytes");
-    
-    // Use sharp to resize and optimize the image if needed
-    console.log("🖼️ Processing image with sharp");
-    const processedImage = await sharp(imageBuffer)
-      .resize(800) // Resize to max width of 800px while maintaining aspect ratio
-      .jpeg({ quality: 80 }) // Convert to JPEG with 80% quality
-      .toBuffer();
-    
-    console.log("✅ Image processed, new size:", processedImage.length, "bytes");
-    
-    // Convert to base64
-    const base64Image = processedImage.toString('base64');
-    const dataUrl = `data:image/jpeg;base64,${base64Image}`;
-    console.log("🔄 Converted image to base64, length:", base64Image.length);
+    logger.info("Using camera", { camera: camera.id, prompt: prompt || null });
     
-    // Send the image to OpenAI vision model for analysis
-    console.log("🧠 Sending image to OpenAI vision API");
-    const visionResponse = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${apiKey}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
-        model: "gpt-4o", // This model has vision capabilities
-        messages: [
-          {
-            role: "user",
-            content: [
-              { 
-                type: "text", 
-                text: prompt || "Describe what's in this image clearly and conversationally and concisely, in a way that would sound natural if spoken aloud." 
-              },
-              {
-                type: "image_url",
-                image_url: {
-                  url: dataUrl
-                }
-              }
-            ]
-          }
-        ],
-        max_tokens: 300
-      })
+    if (wantsEventStream(req)) stream = openEventStream(res);
+    const result = await captureAndAnalyze({
+      camera,
+      prompt,
+      provider,
+      model,
+      mode,
+      frames,
+      duration,
+      task,
+      zoom,
+      onProgress: stream?.send,
+      user: req.user,
     });
     
-    console.log("📡 Vision API response status:", visionResponse.status);
-    
-    if (!visionResponse.ok) {
-      const errorData = await visionResponse.json();
-      console.error("❌ Vision API error:", errorData);
-      throw new Error(`Vision API error: ${errorData.error?.message || visionResponse.statusText}`);
+    // Return both the image and analysis
+    if (stream) {
+      stream.send({ type: "result", success: true, ...result });
+      stream.end();
+    } else {
+      res.json({ success: true, ...result });
     }
     
-    const visionData = await visionResponse.json();
-    console.log("✅ Vision API success, data:", JSON.stringify(visionData).substring(0, 100) + "...");
-    const analysis = visionData.choices[0].message.content;
-    console.log("📝 Analysis:", analysis);
-    
-    // Clean up the temporary file
-    try {
-      await unlinkAsync(outputFile);
-      console.log("🧹 Cleaned up temporary file:", outputFile);
-    } catch (cleanupError) {
-      console.warn("⚠️ Failed to clean up temporary file:", cleanupError);
+  } catch (error) {
+    logger.error("Image capture error", { error });
+    if (stream) {
+      stream.send({ type: "error", ...errorBody(error) });
+      stream.end();
+    } else {
+      sendError(res, error);
     }
-    
-    // Return both the image and analysis
-    console.log("🚀 Sending successful response");
-    res.json({
-      success: true,
-      imageData: dataUrl,
-      analysis: analysis
+  }
+});
+
+// Analyze a frame the browser captured from the webcam or a shared screen.
+// Streams like /capture-image when asked to.
+app.post("/analyze-image", requireAuth, limitCaptures, async (req, res) => {
+  const { image, images, times, source, cameraId, prompt, provider, model, mode, frames, task } = req.body;
+  logger.info("Received analyze-image request", { source, camera: cameraId, mode, task, provider });
+
+  // One image, or the frames of a burst or clip
+  const dataUrls = Array.isArray(images) ? images : [image];
+  const matches = dataUrls.map((dataUrl) =>
+    /^data:image\/(jpeg|png|webp);base64,(.+)$/.exec(dataUrl || ""),
+  );
+  if (matches.length === 0 || matches.some((match) => !match)) {
+    return res.status(400).json({ error: "image must be a JPEG, PNG or WebP data URL" });
+  }
+  if (mode && !CAPTURE_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${CAPTURE_MODES.join(", ")}` });
+  }
+  if (task && !ANALYSIS_TASKS.includes(task)) {
+    return res.status(400).json({ error: `task must be one of: ${ANALYSIS_TASKS.join(", ")}` });
+  }
+  if (task && task !== "describe" && dataUrls.length > 1) {
+    return res.status(400).json({ error: `task ${task} only works on a single image` });
+  }
+  if (!["camera", "webcam", "screen"].includes(source)) {
+    return res.status(400).json({ error: "source must be camera, webcam or screen" });
+  }
+  // A camera frame is one the user picked in the camera's live preview
+  const camera = source === "camera" && cameraId ? resolveCamera(cameraId) : null;
+  if (source === "camera") {
+    if (!camera) {
+      return res.status(cameraId ? 404 : 400).json({
+        error: cameraId ? `Unknown camera: ${cameraId}` : "cameraId is required for camera frames",
+      });
+    }
+    if (dataUrls.length > 1) {
+      return res.status(400).json({ error: "A camera preview frame is a single image" });
+    }
+  }
+  if (provider && !getVisionProvider(provider)) {
+    return res.status(400).json({ error: `Unknown vision provider: ${provider}` });
+  }
+  if (model && !visionModels(getVisionProvider(provider || undefined)).includes(model)) {
+    return res.status(400).json({ error: `Vision model not allowed: ${model}` });
+  }
+
+  const stream = wantsEventStream(req) ? openEventStream(res) : null;
+  try {
+    const result = await analyzeUpload({
+      images: matches.map((match) => Buffer.from(match[2], "base64")),
+      times: Array.isArray(times) ? times : [],
+      mode,
+      frames,
+      task,
+      source,
+      camera,
+      prompt,
+      provider,
+      model,
+      onProgress: stream?.send,
+      user: req.user,
     });
-    
+    // `output` is what take_picture hands the model, so the browser
+    // doesn't have to rebuild it
+    const response = { success: true, ...result, output: captureOutput(result) };
+    if (stream) {
+      stream.send({ type: "result", ...response });
+      stream.end();
+    } else {
+      res.json(response);
+    }
   } catch (error) {
-    console.error("❌ Image capture error:", error);
-    res.status(500).json({ error: error.message });
+    logger.error("Image analysis error", { error });
+    if (stream) {
+      stream.send({ type: "error", ...errorBody(error) });
+      stream.end();
+    } else {
+      sendError(res, error);
+    }
   }
 });
 
@@ -211,6 +364,14 @@ app.use("*", async (req, res, next) => {
   }
 });
 
-app.listen(port, () => {
-  console.log(`Express server running on *:${port}`);
+const server = app.listen(port, () => {
+  logger.info(`Express server running on *:${port}`);
 });
+
+if (mockEnabled) {
+  attachMockRealtime(server);
+}
+
+if (relayEnabled) {
+  attachRealtimeRelay(server);
+}
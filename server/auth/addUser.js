@@ -0,0 +1,28 @@
+import "dotenv/config";
+import readline from "readline/promises";
+import { MIN_PASSWORD_LENGTH, saveUser } from "./local.js";
+
+// Adds a local account, or resets its password:
+//   npm run add-user -- <name>
+const name = process.argv[2]?.trim();
+if (!name || name.length > 50) {
+  console.error("Usage: npm run add-user -- <name>");
+  process.exit(1);
+}
+
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout,
+});
+const password = await rl.question(`Password for ${name}: `);
+rl.close();
+
+if (password.length < MIN_PASSWORD_LENGTH) {
+  console.error(
+    `❌ Passwords must be at least ${MIN_PASSWORD_LENGTH} characters long`,
+  );
+  process.exit(1);
+}
+
+const { created } = await saveUser(name, password);
+console.log(created ? `👤 Added user ${name}` : `👤 Updated user ${name}`);
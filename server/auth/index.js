@@ -0,0 +1,67 @@
+import createLocalProvider from "./local.js";
+import createNoAuthProvider from "./none.js";
+import { sessionUser } from "./sessions.js";
+import createTokenProvider from "./token.js";
+import { logger } from "../logger.js";
+
+// Auth providers share one interface:
+//   login(credentials) -> user or null, where credentials are
+//                         { username, password } or { token }
+//   verifyToken(token) -> user or null, for `Authorization: Bearer` requests
+// Users are { id, name }. A successful login starts a cookie session (see
+// sessions.js). AUTH_PROVIDER picks the provider; with an ACCESS_TOKEN set it
+// defaults to "token", otherwise to "none".
+const providers = {
+  none: createNoAuthProvider,
+  token: createTokenProvider,
+  local: createLocalProvider,
+};
+
+const providerName =
+  process.env.AUTH_PROVIDER || (process.env.ACCESS_TOKEN ? "token" : "none");
+
+if (!providers[providerName]) {
+  throw new Error(`Unknown auth provider: ${providerName}`);
+}
+if (providerName === "token" && !process.env.ACCESS_TOKEN) {
+  throw new Error("AUTH_PROVIDER=token needs an ACCESS_TOKEN");
+}
+
+export const authProvider = providers[providerName]();
+
+if (authProvider.open) {
+  logger.warn(
+    "Authentication is off; anyone who can reach the server can use it",
+  );
+}
+
+function bearerToken(req) {
+  const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+  return bearer ? bearer[1] : null;
+}
+
+// The user making a request, from its session cookie or bearer token
+export function authenticate(req) {
+  return sessionUser(req) || authProvider.verifyToken(bearerToken(req)) || null;
+}
+
+// Middleware for the API routes: sets req.user, or answers 401
+export function requireAuth(req, res, next) {
+  const user = authenticate(req);
+  if (!user) {
+    return res.status(401).json({ error: "Sign in required" });
+  }
+  req.user = user;
+  next();
+}
+
+// Prometheus can't sign in, so /metrics also takes METRICS_TOKEN as a bearer
+// token; without one it needs a signed-in user like the API
+const metricsToken = createTokenProvider({
+  accessToken: process.env.METRICS_TOKEN,
+});
+
+export function requireMetricsAccess(req, res, next) {
+  if (metricsToken.verifyToken(bearerToken(req))) return next();
+  requireAuth(req, res, next);
+}
@@ -0,0 +1,95 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { promisify } from "util";
+
+// Local user accounts, persisted as JSON with scrypt password hashes:
+//
+//   { "users": [{ "name": "alice", "passwordHash": "scrypt:<salt>:<hash>" }] }
+//
+// Accounts are added with `npm run add-user -- <name>` (see addUser.js).
+const usersFile =
+  process.env.USERS_FILE || path.join(process.cwd(), "data", "users.json");
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+export const MIN_PASSWORD_LENGTH = 8;
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt:${salt.toString("hex")}:${hash.toString("hex")}`;
+}
+
+async function checkPassword(password, passwordHash) {
+  const [scheme, salt, expected] = String(passwordHash).split(":");
+  if (scheme !== "scrypt" || !salt || !expected) return false;
+  const hash = await scrypt(password, Buffer.from(salt, "hex"), KEY_LENGTH);
+  const expectedHash = Buffer.from(expected, "hex");
+  return (
+    hash.length === expectedHash.length &&
+    crypto.timingSafeEqual(hash, expectedHash)
+  );
+}
+
+// Read on every login, so accounts added while the server runs work.
+// Throws when the file is corrupt, rather than treating it as no accounts.
+function loadUsers() {
+  if (!fs.existsSync(usersFile)) return [];
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(usersFile, "utf-8"));
+  } catch (error) {
+    throw new Error("The user accounts file can't be read", { cause: error });
+  }
+  return Array.isArray(raw?.users) ? raw.users : [];
+}
+
+// Adds an account, or sets the password of an existing one
+export async function saveUser(name, password) {
+  const users = loadUsers();
+  const passwordHash = await hashPassword(password);
+  const existing = users.find((user) => user.name === name);
+  if (existing) {
+    existing.passwordHash = passwordHash;
+  } else {
+    users.push({ name, passwordHash });
+  }
+
+  fs.mkdirSync(path.dirname(usersFile), { recursive: true });
+  // Write to a temp file first so a crash mid-write can't lose the accounts
+  const tmpFile = `${usersFile}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify({ users }, null, 2), {
+    mode: 0o600,
+  });
+  fs.renameSync(tmpFile, usersFile);
+  return { created: !existing };
+}
+
+export default function createLocalProvider() {
+  // Checked against when the user doesn't exist, so a failed login takes
+  // as long either way and doesn't reveal which names are taken
+  const dummyHash = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+  return {
+    name: "local",
+    open: false,
+
+    async login({ username, password }) {
+      if (typeof username !== "string" || typeof password !== "string") {
+        return null;
+      }
+      const account = loadUsers().find((user) => user.name === username);
+      const valid = await checkPassword(
+        password,
+        account ? account.passwordHash : await dummyHash,
+      );
+      return account && valid ? { id: account.name, name: account.name } : null;
+    },
+
+    // Accounts sign in with a password only
+    verifyToken() {
+      return null;
+    },
+  };
+}
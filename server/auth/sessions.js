@@ -0,0 +1,68 @@
+import crypto from "crypto";
+
+// Sign-in sessions, kept in memory: the browser holds a random id in an
+// HttpOnly cookie. A restart signs everyone out.
+const COOKIE_NAME = "session";
+const SESSION_HOURS = Number(process.env.AUTH_SESSION_HOURS) || 12;
+const SESSION_MS = SESSION_HOURS * 60 * 60 * 1000;
+
+const sessions = new Map();
+
+function parseCookies(header = "") {
+  const cookies = {};
+  for (const pair of header.split(";")) {
+    const index = pair.indexOf("=");
+    if (index === -1) continue;
+    const name = pair.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch {
+      // Someone else's malformed cookie; not ours to read
+    }
+  }
+  return cookies;
+}
+
+function sessionCookie(req, value, maxAgeSeconds) {
+  return [
+    `${COOKIE_NAME}=${value}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Lax",
+    `Max-Age=${maxAgeSeconds}`,
+    ...(req.secure ? ["Secure"] : []),
+  ].join("; ");
+}
+
+function sweepSessions() {
+  const now = Date.now();
+  for (const [id, session] of sessions) {
+    if (session.expiresAt <= now) sessions.delete(id);
+  }
+}
+
+// Signs `user` in on the response
+export function startSession(req, res, user) {
+  sweepSessions();
+  const id = crypto.randomBytes(32).toString("hex");
+  sessions.set(id, { user, expiresAt: Date.now() + SESSION_MS });
+  res.setHeader("Set-Cookie", sessionCookie(req, id, SESSION_MS / 1000));
+}
+
+// The signed-in user for a request (or WebSocket upgrade), or null
+export function sessionUser(req) {
+  const id = parseCookies(req.headers.cookie)[COOKIE_NAME];
+  const session = id && sessions.get(id);
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(id);
+    return null;
+  }
+  return session.user;
+}
+
+export function endSession(req, res) {
+  const id = parseCookies(req.headers.cookie)[COOKIE_NAME];
+  if (id) sessions.delete(id);
+  res.setHeader("Set-Cookie", sessionCookie(req, "", 0));
+}
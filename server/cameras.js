@@ -0,0 +1,323 @@
+import dns from "dns";
+import fs from "fs";
+import net from "net";
+import path from "path";
+import { validateRegions } from "./regions.js";
+
+// Camera registry, persisted as JSON so cameras can be added or moved
+// without a code change. The first camera in the list is the default.
+const configFile =
+  process.env.CAMERAS_FILE || path.join(process.cwd(), "data", "cameras.json");
+
+export const PROTOCOLS = ["mjpeg", "rtsp", "hls"];
+export const ROTATIONS = [0, 90, 180, 270];
+
+// Hosts cameras may be at, from CAMERA_HOSTS: host names, "*.domain"
+// wildcards and IPv4 ranges like 192.168.1.0/24. The server fetches camera
+// URLs itself, so this keeps it from being pointed anywhere else. Unset, it
+// allows any host but internal ones (see isInternalAddress), other than the
+// default camera's.
+const allowedHosts = (process.env.CAMERA_HOSTS || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const DEFAULT_CAMERA_URL =
+  process.env.CAMERA_URL || "http://192.168.137.99:81/stream";
+
+// The server's own machine and networks: loopback, "this network",
+// link-local (where clouds serve instance metadata), private and
+// carrier-grade NAT ranges, and their IPv6 counterparts
+const internalAddresses = new net.BlockList();
+for (const [range, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+]) {
+  internalAddresses.addSubnet(range, bits, "ipv4");
+}
+for (const [range, bits] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+]) {
+  internalAddresses.addSubnet(range, bits, "ipv6");
+}
+
+const defaultCameras = [
+  {
+    id: "esp32",
+    name: "ESP32",
+    url: DEFAULT_CAMERA_URL,
+    protocol: "mjpeg",
+    resolution: "640x360",
+    rotation: 0,
+  },
+];
+
+let cameras = null;
+
+function load() {
+  if (cameras) return cameras;
+
+  if (fs.existsSync(configFile)) {
+    const raw = JSON.parse(fs.readFileSync(configFile, "utf-8"));
+    cameras = Array.isArray(raw.cameras) ? raw.cameras : [];
+  } else {
+    cameras = defaultCameras.map((camera) => ({ ...camera }));
+    save();
+  }
+  return cameras;
+}
+
+function save() {
+  fs.mkdirSync(path.dirname(configFile), { recursive: true });
+  // Write to a temp file first so a crash mid-write can't truncate the config
+  const tmpFile = `${configFile}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify({ cameras }, null, 2));
+  fs.renameSync(tmpFile, configFile);
+}
+
+function ipv4Number(ip) {
+  return ip.split(".").reduce((number, part) => number * 256 + Number(part), 0);
+}
+
+function hostMatches(host, pattern) {
+  if (pattern.startsWith("*.")) return host.endsWith(pattern.slice(1));
+
+  const [range, bits] = pattern.split("/");
+  if (bits !== undefined) {
+    const prefix = Number(bits);
+    if (
+      !net.isIPv4(host) ||
+      !net.isIPv4(range) ||
+      !(prefix >= 0 && prefix <= 32)
+    ) {
+      return false;
+    }
+    const size = 2 ** (32 - prefix);
+    return (
+      Math.floor(ipv4Number(host) / size) ===
+      Math.floor(ipv4Number(range) / size)
+    );
+  }
+  return host === pattern;
+}
+
+function hostOf(url) {
+  return new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, "");
+}
+
+export function isInternalAddress(ip) {
+  // IPv4 addresses written as IPv6, like ::ffff:127.0.0.1
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) ip = mapped[1];
+  if (net.isIPv4(ip)) return internalAddresses.check(ip, "ipv4");
+  if (net.isIPv6(ip)) return internalAddresses.check(ip, "ipv6");
+  return false;
+}
+
+// Without CAMERA_HOSTS, whether `address` is fine for `host` to be at
+function addressAllowed(host, address) {
+  return (
+    allowedHosts.length > 0 ||
+    host === hostOf(DEFAULT_CAMERA_URL) ||
+    !isInternalAddress(address)
+  );
+}
+
+export function cameraHostAllowed(url) {
+  let host;
+  try {
+    host = hostOf(url);
+  } catch {
+    return false;
+  }
+  if (allowedHosts.length > 0) {
+    return allowedHosts.some((pattern) => hostMatches(host, pattern));
+  }
+  if (host === "localhost" || host.endsWith(".localhost")) return false;
+  return addressAllowed(host, host);
+}
+
+// A dns.lookup for connections to cameras: a host name that resolves to an
+// internal address is refused like the address itself would be, on every
+// connection, so it can't be pointed inside later
+export function cameraLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const internal = addresses.find(
+      (entry) => !addressAllowed(hostname.toLowerCase(), entry.address),
+    );
+    if (internal) {
+      return callback(
+        new Error(
+          `${hostname} is at an internal address (${internal.address})`,
+        ),
+      );
+    }
+    callback(null, address, family);
+  });
+}
+
+// Whether the camera's host name resolves to allowed addresses. When it
+// can't be resolved, connecting fails on its own.
+export function cameraAddressAllowed(url) {
+  return new Promise((resolve) => {
+    cameraLookup(hostOf(url), { all: true }, (error) => {
+      resolve(!error || !/internal address/.test(error.message));
+    });
+  });
+}
+
+function slugify(name) {
+  return (
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "camera"
+  );
+}
+
+function uniqueId(name) {
+  const base = slugify(name);
+  let id = base;
+  for (let i = 2; load().some((camera) => camera.id === id); i++) {
+    id = `${base}-${i}`;
+  }
+  return id;
+}
+
+// Returns a list of problems with the given camera fields. When `partial` is
+// set, missing fields are allowed so the same checks can back updates.
+export function validateCamera(fields, { partial = false, id = null } = {}) {
+  const errors = [];
+
+  if (!partial || fields.name !== undefined) {
+    if (typeof fields.name !== "string" || !fields.name.trim()) {
+      errors.push("name is required");
+    } else {
+      // Names must be unique because the model picks cameras by name
+      const name = fields.name.trim().toLowerCase();
+      const taken = load().some(
+        (camera) => camera.id !== id && camera.name.toLowerCase() === name,
+      );
+      if (taken) errors.push(`a camera named "${fields.name}" already exists`);
+    }
+  }
+
+  if (!partial || fields.url !== undefined) {
+    let url;
+    try {
+      url = new URL(fields.url);
+    } catch {
+      errors.push("url must be a valid URL");
+    }
+    if (url && !["http:", "https:", "rtsp:"].includes(url.protocol)) {
+      errors.push("url must use http, https or rtsp");
+    } else if (url && !cameraHostAllowed(fields.url)) {
+      errors.push(`${url.hostname} is not an allowed camera host`);
+    }
+  }
+
+  if (fields.protocol !== undefined && !PROTOCOLS.includes(fields.protocol)) {
+    errors.push(`protocol must be one of: ${PROTOCOLS.join(", ")}`);
+  }
+
+  if (
+    fields.resolution !== undefined &&
+    !/^\d{2,5}x\d{2,5}$/.test(fields.resolution)
+  ) {
+    errors.push("resolution must look like 640x360");
+  }
+
+  if (fields.rotation !== undefined && !ROTATIONS.includes(fields.rotation)) {
+    errors.push(`rotation must be one of: ${ROTATIONS.join(", ")}`);
+  }
+
+  // Named zoom regions, e.g. { "thermostat": [0.6, 0.1, 0.8, 0.3] }
+  if (fields.regions !== undefined) {
+    errors.push(...validateRegions(fields.regions));
+  }
+
+  return errors;
+}
+
+function pickFields(fields) {
+  const picked = {};
+  for (const key of [
+    "name",
+    "url",
+    "protocol",
+    "resolution",
+    "rotation",
+    "regions",
+  ]) {
+    if (fields[key] !== undefined) picked[key] = fields[key];
+  }
+  if (typeof picked.name === "string") picked.name = picked.name.trim();
+  return picked;
+}
+
+export function listCameras() {
+  return load();
+}
+
+export function getCamera(id) {
+  return load().find((camera) => camera.id === id) || null;
+}
+
+// Resolve a camera by id or (case-insensitive) name, falling back to the
+// default camera when nothing is asked for.
+export function resolveCamera(idOrName) {
+  const all = load();
+  if (!idOrName) return all[0] || null;
+
+  const needle = String(idOrName).trim().toLowerCase();
+  return (
+    all.find((camera) => camera.id === needle) ||
+    all.find((camera) => camera.name.toLowerCase() === needle) ||
+    null
+  );
+}
+
+export function createCamera(fields) {
+  const picked = pickFields(fields);
+  const camera = {
+    id: uniqueId(picked.name),
+    name: picked.name,
+    url: picked.url,
+    protocol: picked.protocol || "mjpeg",
+    resolution: picked.resolution || "640x360",
+    rotation: picked.rotation || 0,
+    regions: picked.regions || {},
+  };
+  load().push(camera);
+  save();
+  return camera;
+}
+
+export function updateCamera(id, fields) {
+  const camera = getCamera(id);
+  if (!camera) return null;
+
+  Object.assign(camera, pickFields(fields));
+  save();
+  return camera;
+}
+
+export function deleteCamera(id) {
+  const all = load();
+  const index = all.findIndex((camera) => camera.id === id);
+  if (index === -1) return false;
+
+  all.splice(index, 1);
+  save();
+  return true;
+}
@@ -0,0 +1,826 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import ffmpeg from "fluent-ffmpeg";
+import sharp from "sharp";
+import { cameraAddressAllowed, cameraHostAllowed } from "./cameras.js";
+import {
+  describeDetections,
+  detectionPrompt,
+  drawDetections,
+  parseDetections,
+} from "./detection.js";
+import { CaptureError, asCaptureError, cameraError } from "./errors.js";
+import { logger, timed } from "./logger.js";
+import { rememberResult } from "./memory.js";
+import { captureDuration, ffmpegFailures, timeStage } from "./metrics.js";
+import {
+  NO_TEXT,
+  createDocument,
+  firstPart,
+  readingPrompt,
+} from "./reading.js";
+import { MAX_UPSCALE, cropFrame, resolveRegion } from "./regions.js";
+import { createJpegFrameSplitter } from "./mjpeg.js";
+import { withRetries } from "./retry.js";
+import { collectFrames, grabFrame } from "./streams.js";
+import { checkBudget, recordCapture } from "./usage.js";
+import { analyzeImages } from "./vision/index.js";
+
+// Captures come from the long-lived stream grabbers unless
+// PERSISTENT_STREAMS=false, which spawns ffmpeg for every capture instead
+// (for cameras that shouldn't be held open)
+export const persistentStreams = process.env.PERSISTENT_STREAMS !== "false";
+// How long a one-off ffmpeg capture may take on top of the footage it records
+const CAPTURE_TIMEOUT_MS = Number(process.env.CAPTURE_TIMEOUT_MS) || 15000;
+
+export const screenshotsDir = path.join(process.cwd(), "temp");
+let sweptScreenshots = false;
+
+// Frames left behind by a crash are removed before the first capture
+function sweepScreenshots() {
+  if (sweptScreenshots) return;
+  sweptScreenshots = true;
+  for (const file of fs.readdirSync(screenshotsDir)) {
+    if (file.startsWith("stream_frame_")) {
+      fs.rmSync(path.join(screenshotsDir, file), { force: true });
+    }
+  }
+}
+
+// Kills a one-off ffmpeg command that runs past its time
+function armCaptureTimeout(command, camera, ms, onTimeout) {
+  return setTimeout(() => {
+    logger.error("ffmpeg capture timed out", { camera: camera.id, ms });
+    onTimeout(
+      new CaptureError(
+        "capture_timeout",
+        `Capturing from ${camera.name} took longer than ${ms / 1000}s`,
+        { stage: "capture" },
+      ),
+    );
+    command.kill("SIGKILL");
+  }, ms);
+}
+
+// Helper function to capture a frame from a camera's stream using a one-off
+// ffmpeg process. With `fullResolution` the frame keeps the stream's own size
+// instead of the camera's configured resolution. The caller removes the file;
+// it's already gone when the capture fails.
+export async function captureStreamFrame(
+  camera,
+  { fullResolution = false } = {},
+) {
+  logger.info("Capturing frame with ffmpeg", {
+    camera: camera.id,
+    fullResolution,
+  });
+
+  // Create a temporary directory for screenshots if it doesn't exist
+  if (!fs.existsSync(screenshotsDir)) {
+    fs.mkdirSync(screenshotsDir, { recursive: true });
+  }
+  sweepScreenshots();
+
+  // Generate a unique output file name; captures can now run concurrently
+  // (watch mode and take_picture), so the timestamp alone isn't enough
+  const outputFile = path.join(
+    screenshotsDir,
+    `stream_frame_${Date.now()}_${crypto.randomBytes(3).toString("hex")}.png`,
+  );
+
+  // RTSP over UDP drops packets on flaky Wi-Fi, so force TCP
+  const inputOptions =
+    camera.protocol === "rtsp" ? ["-rtsp_transport", "tcp"] : [];
+
+  return new Promise((resolve, reject) => {
+    let timedOut = null;
+    const command = ffmpeg(camera.url)
+      .inputOptions(inputOptions)
+      .on("end", () => {
+        clearTimeout(timer);
+        logger.debug("Screenshot saved", { file: outputFile });
+        resolve(outputFile);
+      })
+      .on("error", (err) => {
+        clearTimeout(timer);
+        logger.error("ffmpeg capture failed", {
+          camera: camera.id,
+          error: err.message,
+        });
+        ffmpegFailures.inc({ camera: camera.id, kind: "capture" });
+        // ffmpeg may have written part of the frame
+        fs.promises.rm(outputFile, { force: true }).catch(() => {});
+        reject(timedOut || cameraError(err));
+      });
+    const timer = armCaptureTimeout(
+      command,
+      camera,
+      CAPTURE_TIMEOUT_MS,
+      (error) => (timedOut = error),
+    );
+    command.screenshots({
+      timestamps: ["00:00:01.000"], // Capture a frame at 1 second
+      filename: path.basename(outputFile),
+      folder: path.dirname(outputFile),
+      ...(!fullResolution && { size: camera.resolution || "640x360" }),
+    });
+  });
+}
+
+// Captures `duration` seconds of a camera's stream at `fps` frames per second
+// with a one-off ffmpeg process, as [{ frame, time }]
+function captureStreamFrames(camera, { fps, duration }) {
+  logger.info("Capturing frames with ffmpeg", {
+    camera: camera.id,
+    duration,
+    fps,
+  });
+  const inputOptions =
+    camera.protocol === "rtsp" ? ["-rtsp_transport", "tcp"] : [];
+
+  return new Promise((resolve, reject) => {
+    let timedOut = null;
+    const frames = [];
+    const push = createJpegFrameSplitter((frame) => {
+      frames.push({ frame, time: Math.round((frames.length * 1000) / fps) });
+    });
+
+    const command = ffmpeg(camera.url)
+      .inputOptions(inputOptions)
+      .outputOptions([
+        "-t",
+        String(duration),
+        "-vf",
+        `fps=${fps}`,
+        "-f",
+        "image2pipe",
+        "-vcodec",
+        "mjpeg",
+        "-q:v",
+        "3",
+      ])
+      .size(camera.resolution || "640x360")
+      .on("end", () => {
+        clearTimeout(timer);
+        if (frames.length > 0) {
+          resolve(frames);
+        } else {
+          reject(
+            new CaptureError("capture_failed", "ffmpeg produced no frames", {
+              stage: "capture",
+            }),
+          );
+        }
+      })
+      .on("error", (err) => {
+        clearTimeout(timer);
+        logger.error("ffmpeg capture failed", {
+          camera: camera.id,
+          error: err.message,
+        });
+        ffmpegFailures.inc({ camera: camera.id, kind: "capture" });
+        reject(timedOut || cameraError(err));
+      });
+    const timer = armCaptureTimeout(
+      command,
+      camera,
+      duration * 1000 + CAPTURE_TIMEOUT_MS,
+      (error) => (timedOut = error),
+    );
+    command.pipe().on("data", push);
+  });
+}
+
+// The allow-list (CAMERA_HOSTS), or the ban on internal addresses without
+// one, also covers cameras registered before it was set, edited into the
+// config file, or whose host name now resolves somewhere else
+export async function checkCameraHost(camera) {
+  if (
+    !cameraHostAllowed(camera.url) ||
+    !(await cameraAddressAllowed(camera.url))
+  ) {
+    throw new CaptureError(
+      "camera_forbidden",
+      `${camera.name} is not at an allowed camera host`,
+      { stage: "capture" },
+    );
+  }
+}
+
+// Capture a single raw frame (JPEG or PNG) from a camera. MJPEG streams
+// always deliver their native size; ffmpeg streams are scaled to the
+// camera's resolution, so `fullResolution` takes a one-off frame instead.
+// Retried as configured in retry.js; failures are CaptureErrors.
+export async function captureFrame(camera, { fullResolution = false } = {}) {
+  await checkCameraHost(camera);
+  const scaled = camera.protocol === "rtsp" || camera.protocol === "hls";
+  return timeStage("capture", () =>
+    withRetries("capture", async () => {
+      try {
+        if (persistentStreams && !(fullResolution && scaled)) {
+          return await grabFrame(camera);
+        }
+
+        const outputFile = await captureStreamFrame(camera, { fullResolution });
+        try {
+          return await fs.promises.readFile(outputFile);
+        } finally {
+          fs.promises.unlink(outputFile).catch((cleanupError) => {
+            logger.warn("Failed to clean up temporary file", {
+              error: cleanupError,
+            });
+          });
+        }
+      } catch (error) {
+        throw cameraError(error);
+      }
+    }),
+  );
+}
+
+// sharp failing on a frame means the frame itself is unusable
+async function processing(work) {
+  return timeStage("process", async () => {
+    try {
+      return await work();
+    } catch (error) {
+      throw asCaptureError(error, "image_invalid", "process");
+    }
+  });
+}
+
+// Rotate, resize and re-encode a raw frame into the JPEG sent to the vision
+// model and the browser
+export async function processFrame(
+  imageBuffer,
+  { rotation = 0, width = 800 } = {},
+) {
+  return sharp(imageBuffer)
+    .rotate(rotation) // Compensate for how the camera is mounted
+    .resize(width) // Resize to `width` (800px by default), keeping the aspect ratio
+    .jpeg({ quality: 80 }) // Convert to JPEG with 80% quality
+    .toBuffer();
+}
+
+// A frame as the model would get it, without asking the model anything: for
+// camera previews and test captures. Not remembered or metered.
+export async function captureSnapshot(camera, { width } = {}) {
+  const frame = await captureFrame(camera);
+  return processing(() =>
+    processFrame(frame, { rotation: camera.rotation, width }),
+  );
+}
+
+// What the vision model is asked for: a description, labeled bounding boxes
+// (see detection.js) or a verbatim transcription of the text (reading.js)
+export const ANALYSIS_TASKS = ["describe", "detect", "read"];
+// Room for a few dozen boxes
+const DETECTION_MAX_TOKENS = 1500;
+
+// Progress of an analysis, for showing it while the vision model is still
+// answering: { type: "image", imageData } once the picture is ready, then
+// { type: "delta", text } for each piece of the answer. Without a callback
+// the provider isn't asked to stream.
+function streamTo(onProgress) {
+  return onProgress && ((text) => onProgress({ type: "delta", text }));
+}
+
+// Text needs more pixels than a description; pages are read at this width
+const READING_WIDTH = 1600;
+const READING_MAX_TOKENS = 4000;
+
+// Greyscale with the contrast stretched and edges sharpened, so faint or
+// unevenly lit print stands out
+function enhanceForReading(image) {
+  return sharp(image)
+    .greyscale()
+    .normalise()
+    .sharpen()
+    .jpeg({ quality: 90 })
+    .toBuffer();
+}
+
+// Transcribe the text in the image and keep it for `user` to
+// continue_reading
+async function readText(
+  processedImage,
+  { prompt, provider, model, onProgress, user },
+) {
+  const image = await processing(() => enhanceForReading(processedImage));
+  const imageData = `data:image/jpeg;base64,${image.toString("base64")}`;
+  onProgress?.({ type: "image", imageData });
+  const vision = await analyzeImages({
+    images: [{ data: image, mimeType: "image/jpeg" }],
+    prompt: readingPrompt(prompt),
+    provider,
+    model,
+    maxTokens: READING_MAX_TOKENS,
+    onDelta: streamTo(onProgress),
+  });
+
+  const text = vision.text.trim();
+  const found = text && !text.includes(NO_TEXT);
+  const document = found ? createDocument(text, user) : null;
+  logger.info("Read text", {
+    characters: found ? text.length : 0,
+    parts: found ? document.parts.length : 0,
+  });
+
+  return {
+    task: "read",
+    imageData,
+    analysis: found ? text : "There is no readable text in the picture.",
+    reading: document && {
+      document: document.id,
+      parts: document.parts.length,
+    },
+    provider: vision.provider,
+    model: vision.model,
+    usage: vision.usage,
+  };
+}
+
+// Ask for bounding boxes and draw them onto the image. The JSON answer isn't
+// worth showing as it streams, so only the image is reported early.
+async function detectObjects(
+  processedImage,
+  { prompt, provider, model, onProgress },
+) {
+  const imageData = `data:image/jpeg;base64,${processedImage.toString("base64")}`;
+  onProgress?.({ type: "image", imageData });
+  const vision = await analyzeImages({
+    images: [{ data: processedImage, mimeType: "image/jpeg" }],
+    prompt: detectionPrompt(prompt),
+    provider,
+    model,
+    maxTokens: DETECTION_MAX_TOKENS,
+    json: true,
+  });
+  const detections = parseDetections(vision.text);
+  logger.info("Detected objects", { counts: detections.counts });
+
+  const annotated = await processing(() =>
+    drawDetections(processedImage, detections.objects),
+  );
+  return {
+    task: "detect",
+    imageData,
+    annotatedImageData: `data:image/jpeg;base64,${annotated.toString("base64")}`,
+    detections,
+    analysis: describeDetections(detections),
+    provider: vision.provider,
+    model: vision.model,
+    usage: vision.usage,
+  };
+}
+
+// Zoomed captures default to reading out details
+const ZOOM_PROMPT =
+  "Describe the details in this close-up, reading out any text, numbers or displays exactly. Be clear and concise, in a way that would sound natural if spoken aloud.";
+
+// Prepare a raw frame and ask the vision provider about it. With `zoom`
+// ({ name, box, upscale } from regions.js) only that region is sent, cropped
+// from the full resolution frame instead of the whole frame scaled down.
+async function analyzeFrame(
+  frame,
+  {
+    rotation,
+    prompt,
+    provider,
+    model,
+    task = "describe",
+    zoom = null,
+    onProgress,
+    user,
+  },
+) {
+  let processedImage;
+  if (zoom) {
+    const crop = await processing(() =>
+      cropFrame(frame, zoom.box, { rotation, upscale: zoom.upscale }),
+    );
+    processedImage = crop.image;
+    zoom = { ...zoom, width: crop.width, height: crop.height };
+    logger.info("Zoomed into region", {
+      region: zoom.name,
+      box: zoom.box,
+      width: crop.width,
+      height: crop.height,
+    });
+  } else {
+    // Use sharp to resize and optimize the image
+    processedImage = await processing(() =>
+      processFrame(frame, {
+        rotation,
+        width: task === "read" ? READING_WIDTH : undefined,
+      }),
+    );
+    logger.info("Image processed", { bytes: processedImage.length });
+  }
+
+  if (task === "detect" || task === "read") {
+    const analyze = task === "detect" ? detectObjects : readText;
+    const result = await analyze(processedImage, {
+      prompt,
+      provider,
+      model,
+      onProgress,
+      user,
+    });
+    return zoom ? { ...result, zoom } : result;
+  }
+
+  if (zoom) {
+    const region = zoom.name ? `the ${zoom.name} region` : "a region";
+    prompt = `This is a zoomed-in close-up of ${region} of a camera picture. ${prompt || ZOOM_PROMPT}`;
+  }
+
+  const imageData = `data:image/jpeg;base64,${processedImage.toString("base64")}`;
+  onProgress?.({ type: "image", imageData });
+
+  // Send the image to the configured vision provider for analysis
+  const vision = await analyzeImages({
+    images: [{ data: processedImage, mimeType: "image/jpeg" }],
+    prompt,
+    provider,
+    model,
+    onDelta: streamTo(onProgress),
+  });
+  logger.info("Analysis", {
+    provider: vision.provider,
+    model: vision.model,
+    text: vision.text,
+  });
+
+  return {
+    imageData,
+    analysis: vision.text,
+    provider: vision.provider,
+    model: vision.model,
+    usage: vision.usage,
+    ...(zoom && { zoom }),
+  };
+}
+
+// Burst and clip captures: several frames over a few seconds, sent to the
+// vision model together so it can answer questions about what changed.
+// A burst takes `frames` stills spread over `duration` seconds; a clip
+// records at up to CLIP_FPS, sends `frames` of them to the model and keeps the
+// whole clip as an animated preview.
+export const CAPTURE_MODES = ["single", "burst", "clip"];
+const MAX_FRAMES = 10;
+const MAX_DURATION_SECONDS = 10;
+const CLIP_FPS = 10;
+const CLIP_PREVIEW_WIDTH = 480;
+
+const SEQUENCE_PROMPT =
+  "Describe what happens across these frames: what moves, appears, disappears or changes between the first and the last one. Be clear and concise, in a way that would sound natural if spoken aloud.";
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// The model picks these, so out of range values are clamped rather than
+// rejected
+export function sequenceOptions({ mode, frames, duration }) {
+  const defaults =
+    mode === "clip" ? { frames: 6, duration: 3 } : { frames: 4, duration: 2 };
+  return {
+    count: clamp(Math.round(Number(frames) || defaults.frames), 2, MAX_FRAMES),
+    duration: clamp(
+      Number(duration) || defaults.duration,
+      0.5,
+      MAX_DURATION_SECONDS,
+    ),
+  };
+}
+
+// `count` items spread evenly from the first to the last
+function pickEvenly(items, count) {
+  if (items.length <= count) return items;
+  return Array.from(
+    { length: count },
+    (_, i) => items[Math.round((i * (items.length - 1)) / (count - 1))],
+  );
+}
+
+// Frames from a camera over `duration` seconds as [{ frame, time }], with
+// times in milliseconds from the first frame
+async function captureSequence(camera, { mode, count, duration }) {
+  await checkCameraHost(camera);
+  let frames = await timeStage("capture", () =>
+    withRetries("capture", async () => {
+      try {
+        if (!persistentStreams) {
+          return await captureStreamFrames(camera, {
+            fps: mode === "clip" ? CLIP_FPS : count / duration,
+            duration,
+          });
+        }
+        // Wait for the stream to be up so the whole window has frames
+        await grabFrame(camera);
+        return await collectFrames(camera, duration * 1000);
+      } catch (error) {
+        throw cameraError(error);
+      }
+    }),
+  );
+
+  const start = frames[0].time;
+  frames = frames.map(({ frame, time }) => ({ frame, time: time - start }));
+  // Streams can run faster than a clip needs; drop the extra frames
+  const wanted = mode === "clip" ? Math.ceil(duration * CLIP_FPS) + 1 : count;
+  return pickEvenly(frames, wanted);
+}
+
+// Animated WebP of the whole clip, for the UI
+async function buildClipPreview(frames, rotation) {
+  const images = await Promise.all(
+    frames.map(({ frame }) =>
+      sharp(frame).rotate(rotation).resize(CLIP_PREVIEW_WIDTH).toBuffer(),
+    ),
+  );
+  const delay = frames.map(({ time }, i) =>
+    i + 1 < frames.length ? frames[i + 1].time - time : 100,
+  );
+  const preview = await sharp(images, { join: { animated: true } })
+    .webp({ quality: 60, loop: 0, delay })
+    .toBuffer();
+  return `data:image/webp;base64,${preview.toString("base64")}`;
+}
+
+// Prepare a sequence of raw frames and ask the vision provider about all of
+// them in one multi-image message
+async function analyzeSequence(
+  frames,
+  { mode, count, label, rotation = 0, prompt, provider, model, onProgress },
+) {
+  const picked = pickEvenly(frames, count);
+  const processed = await processing(() =>
+    Promise.all(picked.map(({ frame }) => processFrame(frame, { rotation }))),
+  );
+
+  onProgress?.({
+    type: "image",
+    imageData: `data:image/jpeg;base64,${processed[processed.length - 1].toString("base64")}`,
+  });
+
+  const seconds = (time) => `${(time / 1000).toFixed(1)}s`;
+  const duration = frames[frames.length - 1].time;
+  const context =
+    `These ${picked.length} images are frames from ${label}, in order, ` +
+    `taken over ${seconds(duration)} at ${picked.map(({ time }) => seconds(time)).join(", ")}.`;
+
+  const vision = await analyzeImages({
+    images: processed.map((data) => ({ data, mimeType: "image/jpeg" })),
+    prompt: `${context} ${prompt || SEQUENCE_PROMPT}`,
+    provider,
+    model,
+    onDelta: streamTo(onProgress),
+  });
+  logger.info("Analysis", {
+    provider: vision.provider,
+    model: vision.model,
+    text: vision.text,
+  });
+
+  const imageFrames = processed.map((data, i) => ({
+    imageData: `data:image/jpeg;base64,${data.toString("base64")}`,
+    time: picked[i].time,
+  }));
+  return {
+    mode,
+    // The latest frame stands in for the sequence where only one image fits
+    imageData: imageFrames[imageFrames.length - 1].imageData,
+    frames: imageFrames,
+    clipData:
+      mode === "clip"
+        ? await processing(() => buildClipPreview(frames, rotation))
+        : null,
+    analysis: vision.text,
+    provider: vision.provider,
+    model: vision.model,
+    usage: vision.usage,
+  };
+}
+
+// Detection and reading need a single picture
+function checkTask(task, mode) {
+  if ((task === "detect" || task === "read") && mode !== "single") {
+    throw new CaptureError(
+      "invalid_request",
+      `The ${task} task works on single pictures, not a burst or clip`,
+    );
+  }
+}
+
+// What the model gets back from take_picture: the description, for object
+// detection the summary with every object, so it can count them instead of
+// estimating from prose, and for reading the first part of the text
+export function captureOutput(result) {
+  if (result.reading) {
+    return firstPart(result.reading.document) || result.analysis;
+  }
+  if (!result.detections) return result.analysis;
+  return {
+    summary: result.detections.summary,
+    counts: result.detections.counts,
+    objects: result.detections.objects,
+  };
+}
+
+// Meters a finished capture for `user` (see usage.js) and keeps it in visual
+// memory, noting its memory entry id
+async function remember(result, { prompt, user }) {
+  recordCapture(result, user);
+  return {
+    ...result,
+    memoryId: await rememberResult(result, { prompt, user }),
+  };
+}
+
+// Times a whole capture for capture_duration_seconds
+function measured(source, work) {
+  return timed("total", work, (seconds, error) => {
+    captureDuration.observe(
+      { source, outcome: error ? error.code || "error" : "success" },
+      seconds,
+    );
+  });
+}
+
+// The take_picture pipeline: capture a frame (or a burst or clip) from the
+// camera, prepare it and ask the vision provider about it. `zoom`
+// ({ region } or { box }, with an optional upscale) analyzes only part of
+// the frame. `onProgress` follows the analysis as it happens (see
+// streamTo). Captures are refused once `user` is over budget.
+export function captureAndAnalyze(options) {
+  return measured("camera", () => captureFromCamera(options));
+}
+
+async function captureFromCamera({
+  camera,
+  prompt,
+  provider,
+  model,
+  mode = "single",
+  frames,
+  duration,
+  task,
+  zoom,
+  onProgress,
+  user,
+}) {
+  checkTask(task, mode);
+  checkBudget(user);
+  // Resolved before capturing so a bad region fails fast
+  if (zoom) {
+    if (mode !== "single") {
+      throw new CaptureError(
+        "invalid_request",
+        "Zooming works on single pictures, not a burst or clip",
+      );
+    }
+    try {
+      zoom = {
+        ...resolveRegion(camera, zoom),
+        upscale: clamp(Number(zoom.upscale) || 1, 1, MAX_UPSCALE),
+      };
+    } catch (error) {
+      throw asCaptureError(error, "invalid_request");
+    }
+  }
+
+  if (mode === "burst" || mode === "clip") {
+    const options = sequenceOptions({ mode, frames, duration });
+    const sequence = await captureSequence(camera, { mode, ...options });
+    logger.info("Captured sequence", { mode, frames: sequence.length });
+
+    const result = await analyzeSequence(sequence, {
+      mode,
+      count: options.count,
+      label: `the "${camera.name}" camera`,
+      rotation: camera.rotation,
+      prompt,
+      provider,
+      model,
+      onProgress,
+    });
+    return remember(
+      {
+        source: "camera",
+        camera: { id: camera.id, name: camera.name },
+        ...result,
+      },
+      { prompt, user },
+    );
+  }
+
+  // Capture a frame from the stream. Zooming and reading need every pixel
+  // the camera has.
+  const imageBuffer = await captureFrame(camera, {
+    fullResolution: task === "read" || Boolean(zoom),
+  });
+  logger.info("Captured frame", {
+    camera: camera.id,
+    bytes: imageBuffer.length,
+  });
+
+  const result = await analyzeFrame(imageBuffer, {
+    rotation: camera.rotation,
+    prompt,
+    provider,
+    model,
+    task,
+    zoom,
+    onProgress,
+    user,
+  });
+  return remember(
+    {
+      source: "camera",
+      camera: { id: camera.id, name: camera.name },
+      ...result,
+    },
+    { prompt, user },
+  );
+}
+
+// Screenshots need a different default than camera pictures
+const SCREEN_PROMPT =
+  "Describe what's on this screen: which app or page is shown and its main content, clearly and concisely, in a way that would sound natural if spoken aloud.";
+
+// Same pipeline for frames the browser captured itself (webcam or screen).
+// A burst or clip comes as `images` with their `times` in milliseconds. A
+// frame picked from a camera's live preview comes with its `camera`, whose
+// rotation still has to be applied.
+export function analyzeUpload(options) {
+  return measured(options.source, () => analyzeUploaded(options));
+}
+
+async function analyzeUploaded({
+  image,
+  images,
+  times = [],
+  source,
+  prompt,
+  provider,
+  model,
+  mode = "single",
+  frames,
+  task,
+  camera = null,
+  onProgress,
+  user,
+}) {
+  checkTask(task, mode);
+  checkBudget(user);
+  if (images && images.length > 1) {
+    logger.info("Received uploaded sequence", {
+      source,
+      mode,
+      frames: images.length,
+    });
+    const { count } = sequenceOptions({ mode, frames });
+    const result = await analyzeSequence(
+      images.map((frame, i) => ({ frame, time: times[i] ?? i * 500 })),
+      {
+        mode,
+        count,
+        label: source === "screen" ? "the user's screen" : "the user's webcam",
+        prompt,
+        provider,
+        model,
+        onProgress,
+      },
+    );
+    return remember({ source, ...result }, { prompt, user });
+  }
+
+  image = image || images[0];
+  logger.info("Received uploaded frame", {
+    source,
+    camera: camera?.id,
+    bytes: image.length,
+  });
+  const result = await analyzeFrame(image, {
+    rotation: camera?.rotation,
+    prompt:
+      prompt ||
+      (source === "screen" && task !== "detect" ? SCREEN_PROMPT : undefined),
+    provider,
+    model,
+    task,
+    onProgress,
+    user,
+  });
+  return remember(
+    {
+      source,
+      ...(camera && { camera: { id: camera.id, name: camera.name } }),
+      ...result,
+    },
+    { prompt, user },
+  );
+}
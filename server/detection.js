@@ -0,0 +1,177 @@
+import sharp from "sharp";
+import { CaptureError } from "./errors.js";
+import { logger } from "./logger.js";
+
+// Object detection: the vision model answers with labeled bounding boxes as
+// JSON instead of prose. Boxes are [x_min, y_min, x_max, y_max] as fractions
+// of the image width and height, so they survive resizing. The server checks
+// the answer and draws the boxes onto the image; the model gets the list back
+// so it can count and compare reliably.
+const MAX_OBJECTS = 50;
+
+const COLORS = [
+  "#ef4444",
+  "#3b82f6",
+  "#22c55e",
+  "#f59e0b",
+  "#a855f7",
+  "#ec4899",
+  "#14b8a6",
+  "#f97316",
+];
+
+export function detectionPrompt(prompt) {
+  return (
+    "Find the distinct objects in this image. Answer with only a JSON object " +
+    'of the form {"summary": "<one spoken sentence about the scene>", ' +
+    '"objects": [{"label": "<short lowercase noun, singular>", ' +
+    '"box": [x_min, y_min, x_max, y_max], "confidence": <0 to 1>}]}, ' +
+    "where box coordinates are fractions of the image width and height " +
+    "from 0 to 1, measured from the top left corner. List every instance " +
+    "separately, e.g. three cups are three objects." +
+    (prompt ? ` Focus on what the user asked about: ${prompt}` : "")
+  );
+}
+
+function badResponse(message) {
+  return new CaptureError("vision_bad_response", message, { stage: "vision" });
+}
+
+// Models sometimes wrap JSON in a Markdown code block or add a sentence
+function extractJson(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end < start) {
+    throw badResponse("The vision model didn't answer with JSON");
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    throw badResponse("The vision model answered with invalid JSON");
+  }
+}
+
+function clamp01(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Validates the model's answer into { summary, objects, counts }. Objects
+// with a missing label or an unusable box are dropped rather than failing
+// the whole capture.
+export function parseDetections(text) {
+  const data = extractJson(text);
+  if (!Array.isArray(data.objects)) {
+    throw badResponse("The vision model's answer has no objects list");
+  }
+
+  const objects = [];
+  for (const object of data.objects.slice(0, MAX_OBJECTS)) {
+    const label =
+      typeof object?.label === "string"
+        ? object.label.trim().toLowerCase()
+        : "";
+    const box = Array.isArray(object?.box) ? object.box.map(Number) : [];
+    if (!label || box.length !== 4 || box.some((n) => !Number.isFinite(n))) {
+      continue;
+    }
+
+    const [x1, y1, x2, y2] = box.map(clamp01);
+    if (x2 - x1 <= 0 || y2 - y1 <= 0) continue;
+
+    const confidence = Number(object.confidence);
+    objects.push({
+      label,
+      box: [x1, y1, x2, y2].map(round),
+      confidence: Number.isFinite(confidence)
+        ? round(clamp01(confidence))
+        : null,
+    });
+  }
+  if (objects.length < Math.min(data.objects.length, MAX_OBJECTS)) {
+    logger.warn("Dropped invalid detections", {
+      dropped: Math.min(data.objects.length, MAX_OBJECTS) - objects.length,
+    });
+  }
+
+  const counts = {};
+  for (const { label } of objects) {
+    counts[label] = (counts[label] || 0) + 1;
+  }
+
+  return {
+    summary: typeof data.summary === "string" ? data.summary.trim() : "",
+    objects,
+    counts,
+  };
+}
+
+// One color per label, the same across a picture
+function labelColor(label, labels) {
+  return COLORS[labels.indexOf(label) % COLORS.length];
+}
+
+function escapeXml(text) {
+  return text.replace(
+    /[<>&"']/g,
+    (char) =>
+      ({
+        "<": "&lt;",
+        ">": "&gt;",
+        "&": "&amp;",
+        '"': "&quot;",
+        "'": "&apos;",
+      })[char],
+  );
+}
+
+// The image with every box and its label drawn on, as a JPEG
+export async function drawDetections(image, objects) {
+  const { width, height } = await sharp(image).metadata();
+  const labels = [...new Set(objects.map(({ label }) => label))];
+  const stroke = Math.max(2, Math.round(width / 300));
+  const fontSize = Math.max(12, Math.round(width / 50));
+
+  const shapes = objects.map(({ label, box, confidence }) => {
+    const [x1, y1, x2, y2] = [
+      box[0] * width,
+      box[1] * height,
+      box[2] * width,
+      box[3] * height,
+    ].map(Math.round);
+    const color = labelColor(label, labels);
+    const text =
+      confidence === null ? label : `${label} ${Math.round(confidence * 100)}%`;
+    const textWidth = Math.round(text.length * fontSize * 0.6) + 8;
+    // Labels go above the box, or inside it when the box touches the top
+    const textY = y1 >= fontSize + 4 ? y1 - fontSize - 4 : y1;
+
+    return (
+      `<rect x="${x1}" y="${y1}" width="${x2 - x1}" height="${y2 - y1}" ` +
+      `fill="none" stroke="${color}" stroke-width="${stroke}"/>` +
+      `<rect x="${x1}" y="${textY}" width="${textWidth}" height="${fontSize + 4}" fill="${color}"/>` +
+      `<text x="${x1 + 4}" y="${textY + fontSize}" font-family="sans-serif" ` +
+      `font-size="${fontSize}" fill="white">${escapeXml(text)}</text>`
+    );
+  });
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes.join("")}</svg>`;
+  return sharp(image)
+    .composite([{ input: Buffer.from(svg), top: 0, left: 0 }])
+    .jpeg({ quality: 80 })
+    .toBuffer();
+}
+
+// A sentence for the transcript and memory search, e.g. "Three cups on a
+// table. Detected: 3 cup, 1 laptop."
+export function describeDetections({ summary, counts }) {
+  const found = Object.entries(counts)
+    .map(([label, count]) => `${count} ${label}`)
+    .join(", ");
+  return [summary, found ? `Detected: ${found}.` : "No objects detected."]
+    .filter(Boolean)
+    .join(" ");
+}
@@ -0,0 +1,37 @@
+import createMockEmbedder from "./mock.js";
+import createOllamaEmbedder from "./ollama.js";
+
+// Text embedders for visual memory search share one interface:
+//   embed(texts: string[]) -> { vectors: number[][], model }
+// They are optional: MEMORY_EMBEDDER picks one, and without it memory search
+// is keyword only.
+const embedders = {
+  ollama: createOllamaEmbedder(),
+  mock: createMockEmbedder(),
+};
+
+const embedderName = process.env.MEMORY_EMBEDDER || null;
+
+export function getEmbedder() {
+  if (!embedderName) return null;
+
+  const embedder = embedders[embedderName];
+  if (!embedder) {
+    throw new Error(`Unknown memory embedder: ${embedderName}`);
+  }
+  return embedder;
+}
+
+export function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
@@ -0,0 +1,24 @@
+import crypto from "crypto";
+
+const DIMENSIONS = 256;
+
+// Hashed bag of words, for offline development: texts sharing words end up
+// close together, without a model or network.
+export default function createMockEmbedder() {
+  return {
+    name: "mock",
+    model: "mock-embedding",
+
+    async embed(texts) {
+      const vectors = texts.map((text) => {
+        const vector = new Array(DIMENSIONS).fill(0);
+        for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+          const hash = crypto.createHash("md5").update(word).digest();
+          vector[hash.readUInt16LE(0) % DIMENSIONS] += 1;
+        }
+        return vector;
+      });
+      return { vectors, model: "mock-embedding" };
+    },
+  };
+}
@@ -0,0 +1,31 @@
+import fetch from "node-fetch";
+
+// Embeddings from a local Ollama server (POST /api/embed), e.g. with
+// nomic-embed-text pulled.
+export default function createOllamaEmbedder({
+  baseUrl = process.env.OLLAMA_URL || "http://localhost:11434",
+  model = process.env.MEMORY_EMBEDDING_MODEL || "nomic-embed-text",
+} = {}) {
+  return {
+    name: "ollama",
+    model,
+
+    async embed(texts) {
+      const response = await fetch(`${baseUrl.replace(/\/$/, "")}/api/embed`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ model, input: texts }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(
+          `Embedding API error: ${errorData.error || response.statusText}`,
+        );
+      }
+
+      const data = await response.json();
+      return { vectors: data.embeddings, model: data.model || model };
+    },
+  };
+}
@@ -0,0 +1,153 @@
+// Typed failures of the capture pipeline. Each code has an HTTP status,
+// whether trying again can help, and a hint the assistant can pass on to the
+// user, so "the camera is offline" doesn't come out as a generic error.
+const ERRORS = {
+  invalid_request: {
+    status: 400,
+    retryable: false,
+    hint: "The request can't be carried out as asked. Explain the problem to the user.",
+  },
+  camera_unreachable: {
+    status: 502,
+    retryable: true,
+    hint: "The camera can't be reached. It may be switched off, off the network or at a different address. Suggest the user check its power and Wi-Fi.",
+  },
+  camera_forbidden: {
+    status: 403,
+    retryable: false,
+    hint: "The camera's address isn't on the server's list of allowed camera hosts (CAMERA_HOSTS). An administrator has to allow it.",
+  },
+  capture_timeout: {
+    status: 504,
+    retryable: true,
+    hint: "The camera is connected but didn't send a picture in time. It may be overloaded or on a weak connection; the user can try again in a moment.",
+  },
+  capture_failed: {
+    status: 502,
+    retryable: true,
+    hint: "The camera's stream couldn't be read. Suggest trying again, and checking the camera if it keeps failing.",
+  },
+  image_invalid: {
+    status: 422,
+    retryable: false,
+    hint: "The picture couldn't be processed; it may be corrupt or in an unsupported format.",
+  },
+  budget_exceeded: {
+    status: 429,
+    retryable: false,
+    hint: "Today's usage budget has been spent, so new sessions and pictures are refused until tomorrow (UTC) or until an administrator raises the budget. Tell the user.",
+  },
+  vision_rate_limited: {
+    status: 429,
+    retryable: true,
+    hint: "The image analysis service is receiving too many requests right now. Ask the user to try again in a minute.",
+  },
+  vision_auth_failed: {
+    status: 502,
+    retryable: false,
+    hint: "The image analysis service rejected the server's credentials. The API key needs to be fixed in the server settings.",
+  },
+  vision_timeout: {
+    status: 504,
+    retryable: true,
+    hint: "The image analysis took too long. The user can try again.",
+  },
+  vision_unavailable: {
+    status: 502,
+    retryable: true,
+    hint: "The image analysis service can't be reached or is having problems. The user can try again later.",
+  },
+  vision_bad_response: {
+    status: 502,
+    retryable: true,
+    hint: "The image analysis came back in a form that couldn't be used. The user can try again, perhaps with a simpler question.",
+  },
+  vision_request_failed: {
+    status: 502,
+    retryable: false,
+    hint: "The image analysis service refused the request, for example because the model isn't available.",
+  },
+};
+
+export class CaptureError extends Error {
+  // `stage` is where it failed: "capture", "process" or "vision".
+  // `retryAfterMs` is how long the service asked us to wait, if it did, and
+  // `upstreamStatus` the HTTP status a vision API answered with.
+  constructor(
+    code,
+    message,
+    { stage, cause, retryAfterMs, upstreamStatus } = {},
+  ) {
+    super(message, { cause });
+    this.name = "CaptureError";
+    this.code = ERRORS[code] ? code : "capture_failed";
+    this.stage = stage || null;
+    this.status = ERRORS[this.code].status;
+    this.retryable = ERRORS[this.code].retryable;
+    this.hint = ERRORS[this.code].hint;
+    this.retryAfterMs = retryAfterMs || null;
+    this.upstreamStatus = upstreamStatus || null;
+  }
+}
+
+// Wraps an unexpected error at a stage, keeping typed errors as they are
+export function asCaptureError(error, code, stage) {
+  if (error instanceof CaptureError) return error;
+  return new CaptureError(code, error.message, { stage, cause: error });
+}
+
+// Errors from ffmpeg or the stream grabbers, classified by their message
+export function cameraError(error) {
+  if (error instanceof CaptureError) return error;
+  const unreachable =
+    /refused|unreachable|no route|not found|timed out|resolve|HTTP [45]\d\d|Server returned|ENOTFOUND|ECONN|EHOSTUNREACH|ETIMEDOUT|Input\/output error/i;
+  return new CaptureError(
+    unreachable.test(error.message) ? "camera_unreachable" : "capture_failed",
+    error.message,
+    { stage: "capture", cause: error },
+  );
+}
+
+// A failed response from a vision API, by its HTTP status
+export function visionHttpError(response, detail) {
+  const message = `Vision API error: ${detail || response.statusText}`;
+  let code = "vision_request_failed";
+  if (response.status === 429) {
+    code = "vision_rate_limited";
+  } else if (response.status === 401 || response.status === 403) {
+    code = "vision_auth_failed";
+  } else if (response.status >= 500) {
+    code = "vision_unavailable";
+  }
+
+  const retryAfter = Number(response.headers.get("retry-after"));
+  return new CaptureError(code, message, {
+    stage: "vision",
+    retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null,
+    upstreamStatus: response.status,
+  });
+}
+
+// What clients get to know about a failure: typed errors tell the model what
+// went wrong and what to tell the user
+export function errorBody(error) {
+  if (!(error instanceof CaptureError)) return { error: error.message };
+  return {
+    error: error.message,
+    code: error.code,
+    hint: error.hint,
+    retryable: error.retryable,
+  };
+}
+
+// The function_call_output for a failed tool
+export function errorOutput(error) {
+  return { status: "error", ...errorBody(error) };
+}
+
+// JSON error response for the HTTP endpoints
+export function sendError(res, error) {
+  res
+    .status(error instanceof CaptureError ? error.status : 500)
+    .json(errorBody(error));
+}
@@ -0,0 +1,168 @@
+import { execFile } from "child_process";
+import crypto from "crypto";
+import fs from "fs";
+import net from "net";
+import path from "path";
+import { cameraHostAllowed, cameraLookup, listCameras } from "./cameras.js";
+import { persistentStreams, screenshotsDir } from "./capture.js";
+import { mockEnabled } from "./mockRealtime.js";
+import { listStreamStats } from "./streams.js";
+import { listVisionProviders } from "./vision/index.js";
+
+// Health checks for GET /health and the diagnostics page: what a capture
+// needs (ffmpeg, an API key, a writable temp directory) and whether each
+// camera can be reached. Each check is { name, ok, detail }.
+const CHECK_TIMEOUT_MS = Number(process.env.HEALTH_TIMEOUT_MS) || 3000;
+
+const DEFAULT_PORTS = { "http:": 80, "https:": 443, "rtsp:": 554 };
+
+function checkFfmpeg(cameras) {
+  // MJPEG cameras are read natively while streams are kept open
+  const needed =
+    !persistentStreams || cameras.some((camera) => camera.protocol !== "mjpeg");
+  const binary = process.env.FFMPEG_PATH || "ffmpeg";
+
+  return new Promise((resolve) => {
+    execFile(
+      binary,
+      ["-version"],
+      { timeout: CHECK_TIMEOUT_MS },
+      (error, stdout) => {
+        if (error) {
+          resolve({
+            name: "ffmpeg",
+            ok: !needed,
+            detail: `${binary} not found${needed ? "" : " (not needed for MJPEG cameras)"}`,
+          });
+        } else {
+          resolve({ name: "ffmpeg", ok: true, detail: stdout.split("\n")[0] });
+        }
+      },
+    );
+  });
+}
+
+// Only whether keys are set; checking them against the API would cost a
+// request per health check
+function checkApiKey() {
+  const missing = [];
+  if (!mockEnabled && !process.env.OPENAI_API_KEY) {
+    missing.push("OPENAI_API_KEY (Realtime)");
+  }
+  const usesOpenAI =
+    listVisionProviders().default === "openai" && !process.env.VISION_BASE_URL;
+  if (
+    usesOpenAI &&
+    !process.env.VISION_API_KEY &&
+    !process.env.OPENAI_API_KEY
+  ) {
+    missing.push("VISION_API_KEY or OPENAI_API_KEY (vision)");
+  }
+
+  return {
+    name: "apiKey",
+    ok: missing.length === 0,
+    detail:
+      missing.length === 0 ? "configured" : `missing ${missing.join(", ")}`,
+  };
+}
+
+// One-off ffmpeg captures write their frames here
+async function checkTempDir() {
+  const probe = path.join(
+    screenshotsDir,
+    `health_${crypto.randomBytes(3).toString("hex")}`,
+  );
+  try {
+    await fs.promises.mkdir(screenshotsDir, { recursive: true });
+    await fs.promises.writeFile(probe, "");
+    await fs.promises.rm(probe, { force: true });
+    return { name: "tempDir", ok: true, detail: screenshotsDir };
+  } catch (error) {
+    return {
+      name: "tempDir",
+      ok: false,
+      detail: `${screenshotsDir} is not writable: ${error.message}`,
+    };
+  }
+}
+
+// Opens a TCP connection to the camera, resolving with how long it took
+function connectTime(url) {
+  const { hostname, port, protocol } = new URL(url);
+  const start = Date.now();
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({
+      host: hostname.replace(/^\[|\]$/g, ""),
+      port: Number(port) || DEFAULT_PORTS[protocol],
+      lookup: cameraLookup,
+    });
+    socket.setTimeout(CHECK_TIMEOUT_MS);
+    socket.once("connect", () => {
+      socket.destroy();
+      resolve(Date.now() - start);
+    });
+    socket.once("timeout", () => {
+      socket.destroy();
+      reject(new Error(`No answer within ${CHECK_TIMEOUT_MS / 1000}s`));
+    });
+    socket.once("error", (error) => {
+      socket.destroy();
+      reject(error);
+    });
+  });
+}
+
+// Whether the camera accepts connections, how fast, and what its open
+// stream (if any) last delivered. A stream is only opened by a capture or a
+// preview, so a camera nobody has used yet is only checked for connections.
+async function checkCamera(camera, streamStats) {
+  const stream = streamStats.find((stats) => stats.camera.id === camera.id);
+  const result = {
+    id: camera.id,
+    name: camera.name,
+    protocol: camera.protocol,
+    ok: false,
+    latencyMs: null,
+    error: null,
+    stream: stream
+      ? {
+          status: stream.status,
+          fps: stream.fps,
+          lastFrameAt: stream.lastFrameAt,
+          lastError: stream.lastError,
+        }
+      : null,
+  };
+
+  if (!cameraHostAllowed(camera.url)) {
+    return { ...result, error: "Not at an allowed camera host (CAMERA_HOSTS)" };
+  }
+  try {
+    result.latencyMs = await connectTime(camera.url);
+  } catch (error) {
+    return { ...result, error: error.message };
+  }
+  // Accepting connections isn't enough when its open stream keeps failing
+  if (stream?.status === "reconnecting") {
+    return { ...result, error: `Stream failing: ${stream.lastError}` };
+  }
+  return { ...result, ok: true };
+}
+
+export async function runHealthChecks() {
+  const cameras = listCameras();
+  const streamStats = listStreamStats();
+  const [checks, cameraChecks] = await Promise.all([
+    Promise.all([checkFfmpeg(cameras), checkApiKey(), checkTempDir()]),
+    Promise.all(cameras.map((camera) => checkCamera(camera, streamStats))),
+  ]);
+
+  const ok = [...checks, ...cameraChecks].every((check) => check.ok);
+  return {
+    status: ok ? "ok" : "degraded",
+    checkedAt: new Date().toISOString(),
+    checks,
+    cameras: cameraChecks,
+  };
+}
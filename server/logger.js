@@ -0,0 +1,118 @@
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+
+// Structured logging: one JSON object per line on stdout, e.g.
+//
+//   {"time":"...","level":"info","msg":"Captured frame","requestId":"3f…",
+//    "camera":"esp32","bytes":48213}
+//
+// Everything logged while handling a request carries its `requestId`, so a
+// capture can be followed through ffmpeg, sharp and the vision call.
+// LOG_LEVEL (debug, info, warn or error; default info) drops quieter lines,
+// and LOG_FORMAT=pretty prints readable lines for development instead.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const pretty = process.env.LOG_FORMAT === "pretty";
+
+const context = new AsyncLocalStorage();
+
+// Errors become { name, message, code, stack } instead of {}
+function serialize(value) {
+  if (!(value instanceof Error)) return value;
+  return {
+    name: value.name,
+    message: value.message,
+    ...(value.code && { code: value.code }),
+    stack: value.stack,
+  };
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < minLevel) return;
+
+  const extra = { ...context.getStore() };
+  for (const [key, value] of Object.entries(fields)) {
+    extra[key] = serialize(value);
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  const time = new Date().toISOString();
+  if (pretty) {
+    const { requestId, ...rest } = extra;
+    stream.write(
+      `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ` +
+        `${requestId ? `[${requestId}] ` : ""}${msg}` +
+        `${Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : ""}\n`,
+    );
+  } else {
+    stream.write(`${JSON.stringify({ time, level, msg, ...extra })}\n`);
+  }
+}
+
+export const logger = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+// Runs `fn` outside the current request, for work that outlives it (stream
+// grabbers, watches), so its logs don't carry a finished request's id
+export function detachLogContext(fn) {
+  return context.exit(fn);
+}
+
+// Times one stage of a capture ("capture", "process", "vision"), logging how
+// long it took. `onDone(seconds, error)` also gets the duration, for metrics.
+export async function timed(stage, fn, onDone) {
+  const start = process.hrtime.bigint();
+  let failure = null;
+  try {
+    return await fn();
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    onDone?.(seconds, failure);
+    write(
+      failure ? "warn" : "info",
+      `Stage ${stage} ${failure ? "failed" : "done"}`,
+      {
+        stage,
+        durationMs: Math.round(seconds * 1000),
+        ...(failure && { error: failure.message }),
+      },
+    );
+  }
+}
+
+const REQUEST_ID = /^[\w-]{1,64}$/;
+
+// Express middleware: gives every request an id (a valid X-Request-Id from
+// the caller, or a new one), echoes it back and logs the finished request.
+// Mounted after the body parser, which would lose the context.
+export function requestLogger(req, res, next) {
+  const header = req.get("x-request-id");
+  req.id = REQUEST_ID.test(header || "")
+    ? header
+    : crypto.randomBytes(8).toString("hex");
+  res.setHeader("X-Request-Id", req.id);
+
+  const start = process.hrtime.bigint();
+  res.on("finish", () => {
+    const durationMs = Math.round(
+      Number(process.hrtime.bigint() - start) / 1e6,
+    );
+    write(res.statusCode >= 500 ? "error" : "info", "Request", {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs,
+      ...(req.user && { user: req.user.id }),
+    });
+  });
+
+  context.run({ requestId: req.id }, next);
+}
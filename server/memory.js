@@ -0,0 +1,333 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { cosineSimilarity, getEmbedder } from "./embeddings/index.js";
+import { logger } from "./logger.js";
+
+// Visual memory: every analyzed capture (take_picture, browser uploads and
+// watch alerts) is kept with its analysis so the model can look back, e.g.
+// "when did you last see my keys?". Stored under data/memory (or MEMORY_DIR):
+//
+//   memory.json      entries, newest last
+//   images/<id>.jpg  the analyzed image
+//   thumbs/<id>.jpg  a small copy for the gallery
+//
+// Search is keyword based, plus embedding similarity when MEMORY_EMBEDDER is
+// set. Set VISUAL_MEMORY=false to stop recording. Each entry belongs to the
+// user whose capture it was, and only they can see or delete it.
+export const memoryEnabled = process.env.VISUAL_MEMORY !== "false";
+
+// Resolved, since images are served with res.sendFile
+const memoryDir = path.resolve(
+  process.env.MEMORY_DIR || path.join(process.cwd(), "data", "memory"),
+);
+const indexFile = path.join(memoryDir, "memory.json");
+
+// Oldest entries (and their images) are dropped past this many
+const MAX_ENTRIES = Number(process.env.MEMORY_MAX_ENTRIES) || 5000;
+const THUMBNAIL_WIDTH = 240;
+// How close an embedding has to be to count as a match without any keyword
+const MIN_SIMILARITY = Number(process.env.MEMORY_MIN_SIMILARITY) || 0.5;
+
+const ID_PATTERN = /^[0-9a-f]{16}$/;
+
+// Words too common to say anything about a capture
+const STOP_WORDS = new Set(
+  "a an and are at be did do does for from have i in is it my of on or see saw seen the to was were what when where which with you your".split(
+    " ",
+  ),
+);
+
+let entries = null;
+
+function load() {
+  if (entries) return entries;
+
+  if (fs.existsSync(indexFile)) {
+    const raw = JSON.parse(fs.readFileSync(indexFile, "utf-8"));
+    entries = Array.isArray(raw.entries) ? raw.entries : [];
+  } else {
+    entries = [];
+  }
+  return entries;
+}
+
+function save() {
+  fs.mkdirSync(memoryDir, { recursive: true });
+  const tmpFile = `${indexFile}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify({ entries }));
+  fs.renameSync(tmpFile, indexFile);
+}
+
+function imageFile(id, kind) {
+  return path.join(
+    memoryDir,
+    kind === "thumbnail" ? "thumbs" : "images",
+    `${id}.jpg`,
+  );
+}
+
+// Entries from before users were recorded count as the anonymous user's,
+// like in usage.js
+function ownedBy(entry, user) {
+  return (entry.user || "anonymous") === (user?.id || "anonymous");
+}
+
+function findEntry(id, user) {
+  return load().find((entry) => entry.id === id && ownedBy(entry, user));
+}
+
+function removeImages(id) {
+  for (const kind of ["image", "thumbnail"]) {
+    fs.rmSync(imageFile(id, kind), { force: true });
+  }
+}
+
+// Entries as the API returns them, without the embedding or owner
+function describe({ embedding, embeddingModel, user, ...entry }) {
+  return {
+    ...entry,
+    imageUrl: `/memory/${entry.id}/image.jpg`,
+    thumbnailUrl: `/memory/${entry.id}/thumbnail.jpg`,
+  };
+}
+
+function entryText(entry) {
+  return [entry.analysis, entry.prompt, entry.camera?.name]
+    .filter(Boolean)
+    .join(" ");
+}
+
+// Lowercase words without stop words, with plurals folded so "key" finds
+// "keys"
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter((word) => !STOP_WORDS.has(word))
+    .map((word) => (word.length > 3 ? word.replace(/(es|s)$/, "") : word));
+}
+
+async function embedEntries(embedder, pending) {
+  const { vectors, model } = await embedder.embed(pending.map(entryText));
+  pending.forEach((entry, i) => {
+    entry.embedding = vectors[i];
+    entry.embeddingModel = model;
+  });
+  save();
+}
+
+// Embeds entries recorded before the embedder was set up (or with a
+// different model), a batch at a time
+async function backfillEmbeddings(embedder) {
+  const pending = load().filter(
+    (entry) => entry.embeddingModel !== embedder.model,
+  );
+  for (let i = 0; i < pending.length; i += 32) {
+    await embedEntries(embedder, pending.slice(i, i + 32));
+  }
+}
+
+// Stores an analyzed capture for `user`. `imageData` is the data URL sent to
+// the vision model. Returns the new entry.
+export async function rememberCapture({
+  imageData,
+  source,
+  camera = null,
+  prompt = null,
+  analysis,
+  mode = "single",
+  provider = null,
+  model = null,
+  timestamp = new Date().toISOString(),
+  user = null,
+}) {
+  const match = /^data:image\/(jpeg|png|webp);base64,(.+)$/.exec(
+    imageData || "",
+  );
+  if (!match) {
+    throw new Error("imageData must be a JPEG, PNG or WebP data URL");
+  }
+
+  const id = crypto.randomBytes(8).toString("hex");
+  const image = Buffer.from(match[2], "base64");
+  fs.mkdirSync(path.join(memoryDir, "images"), { recursive: true });
+  fs.mkdirSync(path.join(memoryDir, "thumbs"), { recursive: true });
+  await sharp(image).jpeg({ quality: 80 }).toFile(imageFile(id, "image"));
+  await sharp(image)
+    .resize(THUMBNAIL_WIDTH)
+    .jpeg({ quality: 70 })
+    .toFile(imageFile(id, "thumbnail"));
+
+  const entry = {
+    id,
+    user: user?.id || "anonymous",
+    timestamp,
+    source,
+    camera: camera && { id: camera.id, name: camera.name },
+    prompt,
+    analysis,
+    mode,
+    provider,
+    model,
+  };
+
+  const all = load();
+  all.push(entry);
+  for (const dropped of all.splice(0, Math.max(all.length - MAX_ENTRIES, 0))) {
+    removeImages(dropped.id);
+  }
+  save();
+  logger.info("Remembered capture", { id, camera: entry.camera?.id, source });
+
+  // Embedding can be slow and isn't needed until the next search
+  const embedder = getEmbedder();
+  if (embedder) {
+    embedEntries(embedder, [entry]).catch((error) => {
+      logger.error("Failed to embed capture", { id, error: error.message });
+    });
+  }
+
+  return describe(entry);
+}
+
+// Records a capture pipeline result without ever failing the capture itself
+export async function rememberResult(result, { prompt, user } = {}) {
+  if (!memoryEnabled) return null;
+
+  try {
+    const entry = await rememberCapture({ ...result, prompt, user });
+    return entry.id;
+  } catch (error) {
+    logger.error("Failed to remember capture", { error });
+    return null;
+  }
+}
+
+function matchesFilters(entry, { user, camera, source, since, until }) {
+  if (!ownedBy(entry, user)) return false;
+  if (
+    camera &&
+    entry.camera?.id !== camera &&
+    entry.camera?.name.toLowerCase() !== camera.toLowerCase()
+  ) {
+    return false;
+  }
+  if (source && entry.source !== source) return false;
+  if (since && entry.timestamp < since) return false;
+  if (until && entry.timestamp >= until) return false;
+  return true;
+}
+
+// `user`'s entries newest first, `limit` at a time; `before` (a timestamp)
+// pages further back
+export function listMemories({
+  user,
+  camera,
+  source,
+  since,
+  before,
+  limit = 50,
+} = {}) {
+  const matching = load()
+    .filter((entry) =>
+      matchesFilters(entry, { user, camera, source, since, until: before }),
+    )
+    .reverse();
+  return {
+    entries: matching.slice(0, limit).map(describe),
+    more: matching.length > limit,
+  };
+}
+
+// `user`'s best matches for `query`, each with a `score` from 0 to 1.
+// Keyword matches count the fraction of query words found in the analysis,
+// prompt or camera name; with an embedder the score mostly comes from
+// similarity instead.
+export async function searchMemory({
+  user,
+  query,
+  camera,
+  source,
+  since,
+  until,
+  limit = 5,
+}) {
+  const candidates = load().filter((entry) =>
+    matchesFilters(entry, { user, camera, source, since, until }),
+  );
+  const terms = [...new Set(tokenize(query || ""))];
+  if (terms.length === 0) {
+    return candidates
+      .slice(-limit)
+      .reverse()
+      .map((entry) => ({ ...describe(entry), score: 0 }));
+  }
+
+  let queryVector = null;
+  const embedder = getEmbedder();
+  if (embedder) {
+    try {
+      await backfillEmbeddings(embedder);
+      ({
+        vectors: [queryVector],
+      } = await embedder.embed([query]));
+    } catch (error) {
+      logger.error("Embedding search failed, using keywords only", { error });
+    }
+  }
+
+  const scored = [];
+  for (const entry of candidates) {
+    const words = new Set(tokenize(entryText(entry)));
+    const keywordScore =
+      terms.filter((term) => words.has(term)).length / terms.length;
+
+    let score = keywordScore;
+    if (queryVector && entry.embeddingModel === embedder.model) {
+      const similarity = Math.max(
+        cosineSimilarity(queryVector, entry.embedding),
+        0,
+      );
+      if (keywordScore === 0 && similarity < MIN_SIMILARITY) continue;
+      score = 0.3 * keywordScore + 0.7 * similarity;
+    } else if (keywordScore === 0) {
+      continue;
+    }
+    scored.push({ entry, score });
+  }
+
+  // Best first; equally good matches newest first
+  scored.sort(
+    (a, b) =>
+      b.score - a.score || b.entry.timestamp.localeCompare(a.entry.timestamp),
+  );
+  return scored.slice(0, limit).map(({ entry, score }) => ({
+    ...describe(entry),
+    score: Number(score.toFixed(3)),
+  }));
+}
+
+export function getMemory(id, user) {
+  const entry = findEntry(id, user);
+  return entry ? describe(entry) : null;
+}
+
+// Path of an entry's image or thumbnail, or null
+export function getMemoryImage(id, kind = "image", user) {
+  if (!ID_PATTERN.test(id) || !findEntry(id, user)) return null;
+  const file = imageFile(id, kind);
+  return fs.existsSync(file) ? file : null;
+}
+
+export function deleteMemory(id, user) {
+  const all = load();
+  const index = all.findIndex(
+    (entry) => entry.id === id && ownedBy(entry, user),
+  );
+  if (index === -1) return false;
+
+  all.splice(index, 1);
+  save();
+  removeImages(id);
+  return true;
+}
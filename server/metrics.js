@@ -0,0 +1,174 @@
+import { timed } from "./logger.js";
+
+// Prometheus metrics, served in the text exposition format at /metrics.
+// Counters and histograms are kept in memory since the last restart; gauges
+// are read when scraped.
+const metrics = [];
+
+function labelText(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) =>
+      `${name}="${String(value).replace(/[\\"]/g, "\\$&").replace(/\n/g, "\\n")}"`,
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+// Series are keyed by their labels, in a fixed order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => labels[name] ?? ""));
+}
+
+function seriesLabels(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function register(metric) {
+  metrics.push(metric);
+  return metric;
+}
+
+export function counter(name, help, labelNames = []) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    },
+    lines() {
+      return [...series].map(
+        ([key, value]) =>
+          `${name}${labelText(seriesLabels(labelNames, key))} ${value}`,
+      );
+    },
+  });
+}
+
+// `collect()` returns [{ labels, value }] when scraped
+export function gauge(name, help, collect) {
+  return register({
+    name,
+    help,
+    type: "gauge",
+    lines() {
+      return collect().map(
+        ({ labels = {}, value }) => `${name}${labelText(labels)} ${value}`,
+      );
+    },
+  });
+}
+
+// Buckets in seconds, suited to captures: a grabbed frame takes tens of
+// milliseconds, a vision answer several seconds
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+export function histogram(
+  name,
+  help,
+  labelNames = [],
+  buckets = DEFAULT_BUCKETS,
+) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const data = series.get(key);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) data.counts[i]++;
+      });
+      data.sum += value;
+      data.count++;
+    },
+    lines() {
+      return [...series].flatMap(([key, { counts, sum, count }]) => {
+        const labels = seriesLabels(labelNames, key);
+        return [
+          ...buckets.map(
+            (bound, i) =>
+              `${name}_bucket${labelText({ ...labels, le: bound })} ${counts[i]}`,
+          ),
+          `${name}_bucket${labelText({ ...labels, le: "+Inf" })} ${count}`,
+          `${name}_sum${labelText(labels)} ${sum}`,
+          `${name}_count${labelText(labels)} ${count}`,
+        ];
+      });
+    },
+  });
+}
+
+export function renderMetrics() {
+  return (
+    metrics
+      .flatMap((metric) => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.lines(),
+      ])
+      .join("\n") + "\n"
+  );
+}
+
+// The metrics the server reports. Gauges are registered by the modules that
+// know their values (sessions.js, relay.js).
+export const httpRequests = counter(
+  "http_requests_total",
+  "HTTP requests by method, route and status code",
+  ["method", "route", "status"],
+);
+export const captureDuration = histogram(
+  "capture_duration_seconds",
+  "Time from request to analysis for a whole capture, by source and outcome",
+  ["source", "outcome"],
+);
+export const captureStageDuration = histogram(
+  "capture_stage_duration_seconds",
+  "Time spent in each capture stage (capture, process, vision), by outcome",
+  ["stage", "outcome"],
+);
+export const ffmpegFailures = counter(
+  "ffmpeg_failures_total",
+  "ffmpeg runs that failed, by camera and kind (capture or stream)",
+  ["camera", "kind"],
+);
+export const visionRequests = counter(
+  "vision_requests_total",
+  "Vision API requests by provider and HTTP status (or timeout/error)",
+  ["provider", "status"],
+);
+
+// Runs one stage of a capture ("capture", "process" or "vision"), timing it
+// for the logs and capture_stage_duration_seconds
+export function timeStage(stage, work) {
+  return timed(stage, work, (seconds, error) => {
+    captureStageDuration.observe(
+      { stage, outcome: error ? error.code || "error" : "success" },
+      seconds,
+    );
+  });
+}
+
+// Express middleware counting finished requests for http_requests_total.
+// Routes are the matched pattern (e.g. /cameras/:id), so ids don't each get
+// a series.
+export function countRequests(req, res, next) {
+  res.on("finish", () => {
+    let route = "unmatched";
+    if (req.route) {
+      route =
+        req.route.path === "/"
+          ? req.baseUrl || "/"
+          : `${req.baseUrl}${req.route.path}`;
+    }
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+}
@@ -0,0 +1,103 @@
+// Splits a byte stream of concatenated JPEGs into individual frames. Works for
+// multipart MJPEG over HTTP (the part headers and boundaries between frames
+// are skipped) and for ffmpeg's image2pipe output alike.
+//
+// Frames are delimited by walking the JPEG segment structure rather than
+// searching for the first end-of-image marker, because EXIF thumbnails embed a
+// complete JPEG (with its own end marker) inside the header segments.
+
+const SOI = Buffer.from([0xff, 0xd8]);
+const EOI = Buffer.from([0xff, 0xd9]);
+
+const MARKER_SOS = 0xda;
+const MARKER_EOI = 0xd9;
+
+function isStandalone(marker) {
+  // TEM and RST0-7 carry no length field
+  return marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7);
+}
+
+// Returns the offset just past the frame that starts at `start`, or -1 when
+// the buffer doesn't hold the whole frame yet.
+function findFrameEnd(buffer, start) {
+  let i = start + 2;
+
+  while (i + 1 < buffer.length) {
+    if (buffer[i] !== 0xff) {
+      // Not at a marker, so the headers are corrupt: fall back to the first
+      // end-of-image marker
+      const eoi = buffer.indexOf(EOI, i);
+      return eoi === -1 ? -1 : eoi + 2;
+    }
+
+    const marker = buffer[i + 1];
+    if (marker === 0xff) {
+      i++; // fill byte
+      continue;
+    }
+    if (marker === MARKER_EOI) return i + 2;
+    if (isStandalone(marker)) {
+      i += 2;
+      continue;
+    }
+
+    if (i + 4 > buffer.length) return -1;
+    const next = i + 2 + buffer.readUInt16BE(i + 2);
+    if (marker !== MARKER_SOS) {
+      i = next;
+      continue;
+    }
+
+    // Entropy-coded scan data: 0xFF is always followed by a stuffed 0x00, a
+    // restart marker or the marker that ends the scan
+    let j = next;
+    for (;;) {
+      const ff = buffer.indexOf(0xff, j);
+      if (ff === -1 || ff + 1 >= buffer.length) return -1;
+
+      const byte = buffer[ff + 1];
+      if (byte === 0x00 || byte === 0xff || (byte >= 0xd0 && byte <= 0xd7)) {
+        j = ff + 1;
+        continue;
+      }
+      i = ff; // EOI, or the next segment of a progressive JPEG
+      break;
+    }
+  }
+
+  return -1;
+}
+
+export function createJpegFrameSplitter(
+  onFrame,
+  { maxFrameBytes = 8 * 1024 * 1024 } = {},
+) {
+  let buffer = Buffer.alloc(0);
+
+  return function push(chunk) {
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+
+    for (;;) {
+      const start = buffer.indexOf(SOI);
+      if (start === -1) {
+        // Keep a trailing 0xFF in case it's the first half of the next SOI
+        buffer = buffer.subarray(Math.max(buffer.length - 1, 0));
+        return;
+      }
+
+      const end = findFrameEnd(buffer, start);
+      if (end === -1) {
+        buffer = buffer.subarray(start);
+        if (buffer.length > maxFrameBytes) {
+          // Never going to complete; drop it and resync on the next SOI
+          buffer = buffer.subarray(2);
+        }
+        return;
+      }
+
+      // Copy so the frame doesn't pin the whole concatenated buffer
+      onFrame(Buffer.from(buffer.subarray(start, end)));
+      buffer = buffer.subarray(end);
+    }
+  };
+}
@@ -0,0 +1,376 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { WebSocketServer } from "ws";
+import { logger } from "./logger.js";
+import { REALTIME_MODEL, REALTIME_VOICE, routeUpgrades } from "./realtime.js";
+
+// Mock Realtime backend for offline development. /token hands out fake
+// ephemeral keys and a WebSocket at /mock/realtime speaks the Realtime event
+// protocol: it answers response.create with scripted text and function calls
+// from a scenario file, and echoes tool outputs back as text. Browsers connect
+// to it directly (there's no WebRTC answer without a real backend), and the
+// relay uses it as its upstream.
+export const mockEnabled = process.env.REALTIME_MOCK === "true";
+
+const scenariosDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "mock-scenarios",
+);
+// Pause between events so the UI sees them stream in
+const EVENT_DELAY_MS = Number(process.env.MOCK_EVENT_DELAY_MS ?? 20);
+const KEY_TTL_SECONDS = 60;
+
+const issuedKeys = new Map();
+
+// What the relay, the only other client, authenticates with. It changes with
+// every start of the server, and is only accepted over loopback.
+export const mockRelayKey = crypto.randomBytes(24).toString("hex");
+const LOOPBACK_ADDRESSES = ["127.0.0.1", "::1", "::ffff:127.0.0.1"];
+
+function newId(prefix) {
+  return `${prefix}_mock${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Fake response for POST /v1/realtime/sessions
+export function createMockSession(settings = {}) {
+  const expiresAt = Math.floor(Date.now() / 1000) + KEY_TTL_SECONDS;
+  const key = `ek_mock_${crypto.randomBytes(12).toString("hex")}`;
+  for (const [issued, expiry] of issuedKeys) {
+    if (expiry <= Date.now() / 1000) issuedKeys.delete(issued);
+  }
+  issuedKeys.set(key, expiresAt);
+
+  return {
+    id: newId("sess"),
+    object: "realtime.session",
+    model: REALTIME_MODEL,
+    voice: REALTIME_VOICE,
+    ...settings,
+    client_secret: { value: key, expires_at: expiresAt },
+  };
+}
+
+function isValidKey(key) {
+  const expiresAt = issuedKeys.get(key);
+  return Boolean(expiresAt) && expiresAt > Date.now() / 1000;
+}
+
+function isRelay(req) {
+  return (
+    LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress) &&
+    req.headers.authorization === `Bearer ${mockRelayKey}`
+  );
+}
+
+// A scenario name from server/mock-scenarios. Only MOCK_SCENARIO, which the
+// operator sets, may also be a path to a JSON file; clients can't make the
+// server read files elsewhere.
+function loadScenario(name, { allowPath = false } = {}) {
+  let file;
+  if (allowPath && name.endsWith(".json")) {
+    file = path.resolve(name);
+  } else if (/^[\w-]+$/.test(name)) {
+    file = path.join(scenariosDir, `${name}.json`);
+  } else {
+    throw new Error(`Invalid scenario name: ${name}`);
+  }
+  const scenario = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (!Array.isArray(scenario.responses)) {
+    throw new Error(`Scenario ${name} has no responses`);
+  }
+  return scenario;
+}
+
+// The first response whose `match` pattern matches the last message, or the
+// first one without a pattern
+function pickResponse(scenario, text) {
+  return (
+    scenario.responses.find(
+      (response) =>
+        response.match && new RegExp(response.match, "i").test(text),
+    ) || scenario.responses.find((response) => !response.match)
+  );
+}
+
+function messageText(item) {
+  return (item.content || [])
+    .map((part) => part.text ?? part.transcript ?? "")
+    .join("");
+}
+
+// Turns a function_call_output into a sentence, e.g. for take_picture the
+// image analysis
+function describeOutput(name, raw) {
+  let output = raw;
+  try {
+    output = JSON.parse(raw);
+  } catch {
+    // Not JSON, use it as is
+  }
+
+  if (output?.status === "error") {
+    return `The ${name} tool failed: ${output.error}`;
+  }
+  const result = output?.result ?? output;
+  return `The ${name} tool returned: ${
+    typeof result === "string" ? result : JSON.stringify(result)
+  }`;
+}
+
+function handleConnection(socket, req) {
+  const params = new URL(req.url, "http://localhost").searchParams;
+  const requested = params.get("scenario");
+  const scenarioName = requested || process.env.MOCK_SCENARIO || "default";
+
+  let scenario;
+  try {
+    scenario = loadScenario(scenarioName, { allowPath: !requested });
+  } catch (error) {
+    logger.error("Failed to load mock scenario", { error: error.message });
+    socket.close(1011, "Invalid scenario");
+    return;
+  }
+
+  const session = {
+    id: newId("sess"),
+    object: "realtime.session",
+    model: params.get("model") || REALTIME_MODEL,
+    voice: REALTIME_VOICE,
+    modalities: ["text", "audio"],
+    tools: [],
+    tool_choice: "auto",
+  };
+  // Function calls we made, by call_id, and outputs waiting for a response
+  const calls = new Map();
+  let pendingOutputs = [];
+  let lastMessage = { role: "user", text: "" };
+  let previousItemId = null;
+  // Responses play one at a time, in the order they were requested
+  let responding = Promise.resolve();
+
+  logger.info("Mock Realtime session", {
+    session: session.id,
+    scenario: scenarioName,
+  });
+
+  function send(event) {
+    if (socket.readyState !== socket.OPEN) return;
+    socket.send(JSON.stringify({ event_id: newId("event"), ...event }));
+  }
+
+  function sendError(message, event) {
+    send({
+      type: "error",
+      error: {
+        type: "invalid_request_error",
+        message,
+        event_id: event?.event_id || null,
+      },
+    });
+  }
+
+  function addItem(item) {
+    send({
+      type: "conversation.item.created",
+      previous_item_id: previousItemId,
+      item,
+    });
+    previousItemId = item.id;
+  }
+
+  async function playItem(responseId, outputIndex, output) {
+    const base = { response_id: responseId, output_index: outputIndex };
+    let item;
+
+    if (output.type === "function_call") {
+      item = {
+        id: newId("item"),
+        object: "realtime.item",
+        type: "function_call",
+        status: "in_progress",
+        name: output.name,
+        call_id: newId("call"),
+        arguments: "",
+      };
+      const args = JSON.stringify(output.arguments || {});
+
+      send({ type: "response.output_item.added", ...base, item });
+      addItem(item);
+      await sleep(EVENT_DELAY_MS);
+      send({
+        type: "response.function_call_arguments.delta",
+        ...base,
+        item_id: item.id,
+        call_id: item.call_id,
+        delta: args,
+      });
+      send({
+        type: "response.function_call_arguments.done",
+        ...base,
+        item_id: item.id,
+        call_id: item.call_id,
+        arguments: args,
+      });
+      item = { ...item, status: "completed", arguments: args };
+      calls.set(item.call_id, item);
+    } else {
+      item = {
+        id: newId("item"),
+        object: "realtime.item",
+        type: "message",
+        role: "assistant",
+        status: "in_progress",
+        content: [],
+      };
+      const content = { ...base, item_id: item.id, content_index: 0 };
+
+      send({ type: "response.output_item.added", ...base, item });
+      addItem(item);
+      // Stream the text a few words at a time
+      const words = output.text.split(/(?<=\s)/);
+      for (let i = 0; i < words.length; i += 4) {
+        await sleep(EVENT_DELAY_MS);
+        send({
+          type: "response.text.delta",
+          ...content,
+          delta: words.slice(i, i + 4).join(""),
+        });
+      }
+      send({ type: "response.text.done", ...content, text: output.text });
+      item = {
+        ...item,
+        status: "completed",
+        content: [{ type: "text", text: output.text }],
+      };
+    }
+
+    send({ type: "response.output_item.done", ...base, item });
+    return item;
+  }
+
+  async function respond(options = {}) {
+    let outputs;
+    if (options.tool_choice === "none") {
+      // Holding phrases while a tool runs; scripts can't follow their
+      // instructions, and tool outputs wait for the next response
+      outputs = [{ type: "text", text: "Let me take a look…" }];
+    } else if (pendingOutputs.length > 0) {
+      outputs = pendingOutputs.map((output) => ({
+        type: "text",
+        text: describeOutput(
+          calls.get(output.call_id)?.name || "unknown",
+          output.output,
+        ),
+      }));
+      pendingOutputs = [];
+    } else if (lastMessage.role === "system") {
+      // System messages such as watch alerts are relayed to the user
+      outputs = [{ type: "text", text: lastMessage.text }];
+    } else {
+      outputs = pickResponse(scenario, lastMessage.text)?.output || [];
+    }
+
+    const response = {
+      id: newId("resp"),
+      object: "realtime.response",
+      status: "in_progress",
+      output: [],
+    };
+    send({ type: "response.created", response });
+
+    for (const [index, output] of outputs.entries()) {
+      await sleep(EVENT_DELAY_MS);
+      response.output.push(await playItem(response.id, index, output));
+    }
+
+    send({
+      type: "response.done",
+      response: {
+        ...response,
+        status: "completed",
+        usage: { total_tokens: 0, input_tokens: 0, output_tokens: 0 },
+      },
+    });
+  }
+
+  function handleEvent(event) {
+    switch (event.type) {
+      case "session.update":
+        Object.assign(session, event.session);
+        send({ type: "session.updated", session });
+        break;
+
+      case "conversation.item.create": {
+        if (!event.item?.type) {
+          sendError("Missing item", event);
+          break;
+        }
+        const item = {
+          id: newId("item"),
+          object: "realtime.item",
+          status: "completed",
+          ...event.item,
+        };
+        if (item.type === "message") {
+          lastMessage = { role: item.role, text: messageText(item) };
+        } else if (item.type === "function_call_output") {
+          pendingOutputs.push(item);
+        }
+        addItem(item);
+        break;
+      }
+
+      case "response.create":
+        responding = responding
+          .then(() => respond(event.response))
+          .catch((error) => {
+            logger.error("Mock response failed", { error });
+          });
+        break;
+
+      // Audio isn't transcribed, so there is nothing to answer
+      case "input_audio_buffer.append":
+      case "input_audio_buffer.commit":
+      case "input_audio_buffer.clear":
+      case "response.cancel":
+        break;
+
+      default:
+        sendError(`Unsupported event type: ${event.type}`, event);
+    }
+  }
+
+  socket.on("message", (data) => {
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch {
+      sendError("Invalid JSON");
+      return;
+    }
+    handleEvent(event);
+  });
+
+  send({ type: "session.created", session });
+}
+
+export function attachMockRealtime(server) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    // Browsers pass the key from /token in the URL, the relay sends
+    // mockRelayKey in an Authorization header like it would its key to OpenAI
+    verifyClient: ({ req }) => {
+      const key = new URL(req.url, "http://localhost").searchParams.get("key");
+      return isValidKey(key) || isRelay(req);
+    },
+  });
+  wss.on("connection", handleConnection);
+  routeUpgrades(server, "/mock/realtime", wss);
+  logger.info("Mock Realtime server listening on /mock/realtime");
+}
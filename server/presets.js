@@ -0,0 +1,184 @@
+import fs from "fs";
+import path from "path";
+import { REALTIME_MODEL, REALTIME_VOICE } from "./realtime.js";
+
+// Named Realtime session settings, persisted as JSON. Settings use the
+// Realtime API's session field names so they pass straight through to session
+// creation and session.update:
+//
+//   model, voice, instructions, temperature,
+//   turn_detection            { type: "server_vad", threshold,
+//                               prefix_padding_ms, silence_duration_ms } or
+//                             null to commit audio manually
+//   input_audio_transcription { model: "whisper-1" } or null
+const presetsFile =
+  process.env.PRESETS_FILE || path.join(process.cwd(), "data", "presets.json");
+
+export const DEFAULT_PRESET = "default";
+
+export const MODELS = [
+  REALTIME_MODEL,
+  "gpt-4o-mini-realtime-preview-2024-12-17",
+  "gpt-4o-realtime-preview-2024-10-01",
+].filter((model, index, all) => all.indexOf(model) === index);
+export const VOICES = [
+  "alloy",
+  "ash",
+  "ballad",
+  "coral",
+  "echo",
+  "sage",
+  "shimmer",
+  "verse",
+];
+export const TRANSCRIPTION_MODELS = ["whisper-1"];
+
+export const DEFAULT_SETTINGS = {
+  model: REALTIME_MODEL,
+  voice: REALTIME_VOICE,
+  instructions: "",
+  temperature: 0.8,
+  turn_detection: {
+    type: "server_vad",
+    threshold: 0.5,
+    prefix_padding_ms: 300,
+    silence_duration_ms: 500,
+  },
+  input_audio_transcription: { model: "whisper-1" },
+};
+
+let presets = null;
+
+function load() {
+  if (presets) return presets;
+
+  if (fs.existsSync(presetsFile)) {
+    const raw = JSON.parse(fs.readFileSync(presetsFile, "utf-8"));
+    presets = Array.isArray(raw.presets) ? raw.presets : [];
+  } else {
+    presets = [];
+  }
+
+  // There is always a default preset to start sessions with
+  if (!presets.some((preset) => preset.name === DEFAULT_PRESET)) {
+    presets.unshift({ name: DEFAULT_PRESET, settings: DEFAULT_SETTINGS });
+    save();
+  }
+  return presets;
+}
+
+function save() {
+  fs.mkdirSync(path.dirname(presetsFile), { recursive: true });
+  const tmpFile = `${presetsFile}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify({ presets }, null, 2));
+  fs.renameSync(tmpFile, presetsFile);
+}
+
+function inRange(value, min, max) {
+  return typeof value === "number" && value >= min && value <= max;
+}
+
+// Returns a list of problems with the given settings. Missing fields are
+// fine, they fall back to the defaults.
+export function validateSettings(settings) {
+  const errors = [];
+  if (!settings || typeof settings !== "object") {
+    return ["settings must be an object"];
+  }
+
+  const {
+    model,
+    voice,
+    instructions,
+    temperature,
+    turn_detection: turnDetection,
+    input_audio_transcription: transcription,
+  } = settings;
+
+  // Sessions run on the server's key, so only the models offered here
+  if (model !== undefined && !MODELS.includes(model)) {
+    errors.push(`model must be one of: ${MODELS.join(", ")}`);
+  }
+  if (voice !== undefined && !VOICES.includes(voice)) {
+    errors.push(`voice must be one of: ${VOICES.join(", ")}`);
+  }
+  if (instructions !== undefined && typeof instructions !== "string") {
+    errors.push("instructions must be a string");
+  }
+  if (temperature !== undefined && !inRange(temperature, 0.6, 1.2)) {
+    errors.push("temperature must be between 0.6 and 1.2");
+  }
+
+  if (turnDetection) {
+    if (turnDetection.type !== "server_vad") {
+      errors.push('turn_detection.type must be "server_vad"');
+    }
+    if (
+      turnDetection.threshold !== undefined &&
+      !inRange(turnDetection.threshold, 0, 1)
+    ) {
+      errors.push("turn_detection.threshold must be between 0 and 1");
+    }
+    for (const key of ["prefix_padding_ms", "silence_duration_ms"]) {
+      if (
+        turnDetection[key] !== undefined &&
+        !inRange(turnDetection[key], 0, 10000)
+      ) {
+        errors.push(`turn_detection.${key} must be between 0 and 10000`);
+      }
+    }
+  }
+
+  if (transcription && !TRANSCRIPTION_MODELS.includes(transcription.model)) {
+    errors.push(
+      `input_audio_transcription.model must be one of: ${TRANSCRIPTION_MODELS.join(", ")}`,
+    );
+  }
+
+  return errors;
+}
+
+// Fills in whatever the given settings leave out from the defaults
+export function resolveSettings(settings = {}) {
+  const resolved = { ...DEFAULT_SETTINGS };
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (settings[key] !== undefined) resolved[key] = settings[key];
+  }
+  return resolved;
+}
+
+export function listPresets() {
+  return load();
+}
+
+export function getPreset(name) {
+  return load().find((preset) => preset.name === name) || null;
+}
+
+export function savePreset(name, settings) {
+  const preset = {
+    name,
+    settings: resolveSettings(settings),
+    updatedAt: new Date().toISOString(),
+  };
+
+  const all = load();
+  const index = all.findIndex((existing) => existing.name === name);
+  if (index === -1) {
+    all.push(preset);
+  } else {
+    all[index] = preset;
+  }
+  save();
+  return preset;
+}
+
+export function deletePreset(name) {
+  const all = load();
+  const index = all.findIndex((preset) => preset.name === name);
+  if (index === -1) return false;
+
+  all.splice(index, 1);
+  save();
+  return true;
+}
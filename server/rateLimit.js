@@ -0,0 +1,66 @@
+import { logger } from "./logger.js";
+
+// Per-user request limits: at most `limit` requests in any `windowMs`, per
+// signed-in user (or per address before sign-in). Counts live in memory.
+export function rateLimit({ name, limit, windowMs = 60 * 1000 }) {
+  const hits = new Map();
+  let lastSweep = Date.now();
+
+  // Forgets keys with no requests left in the window, so addresses that
+  // came by once don't stay in memory
+  function sweep(now) {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+    for (const [key, times] of hits) {
+      if (times[times.length - 1] <= now - windowMs) hits.delete(key);
+    }
+  }
+
+  // Counts a request by `key`; over the limit, it isn't counted and the
+  // seconds until the next one is allowed are returned instead
+  function take(key) {
+    const now = Date.now();
+    sweep(now);
+    const recent = (hits.get(key) || []).filter(
+      (time) => time > now - windowMs,
+    );
+
+    if (recent.length >= limit) {
+      logger.warn("Rate limited", { limit: name, key });
+      hits.set(key, recent);
+      return Math.ceil((recent[0] + windowMs - now) / 1000);
+    }
+
+    recent.push(now);
+    hits.set(key, recent);
+    return 0;
+  }
+
+  function limitRequests(req, res, next) {
+    const retryAfter = take(req.user?.id || req.ip);
+    if (retryAfter) {
+      return res
+        .status(429)
+        .set("Retry-After", String(retryAfter))
+        .json({ error: limitRequests.message(retryAfter) });
+    }
+    next();
+  }
+  // For requests that don't go through Express, such as WebSocket upgrades
+  limitRequests.take = take;
+  limitRequests.message = (retryAfter) =>
+    `Too many ${name} requests; try again in ${retryAfter}s`;
+  return limitRequests;
+}
+
+// Realtime sessions cost money, captures make the server fetch cameras and
+// call the vision API. Relay connections count as token requests, and
+// captures share one budget across the endpoints.
+export const limitTokens = rateLimit({
+  name: "token",
+  limit: Number(process.env.TOKEN_RATE_LIMIT) || 10,
+});
+export const limitCaptures = rateLimit({
+  name: "capture",
+  limit: Number(process.env.CAPTURE_RATE_LIMIT) || 30,
+});
@@ -0,0 +1,150 @@
+import crypto from "crypto";
+
+// Reading mode: the vision model transcribes the text in a picture verbatim,
+// and the Realtime model gets it back a part at a time so it can read long
+// pages aloud, and continue, go back or repeat when the user asks.
+// Documents only live in memory; the latest few are kept. Each belongs to
+// the user whose picture it was read from.
+const MAX_DOCUMENTS = 20;
+// About half a minute of speech
+const PART_CHARS = Number(process.env.READING_PART_CHARS) || 800;
+
+export const NO_TEXT = "NO_TEXT";
+
+const documents = new Map();
+
+export function readingPrompt(prompt) {
+  return (
+    "Transcribe all the text in this image exactly as written, word for " +
+    "word, without summarizing, correcting or translating it. Keep the " +
+    "reading order and show the layout with Markdown: # for headings, - for " +
+    "list items, | for table rows and a blank line between paragraphs. Mark " +
+    "words you can't make out as [illegible]. Answer with only the text. " +
+    `If there is no readable text, answer with exactly ${NO_TEXT}.` +
+    (prompt ? ` The user asked: ${prompt}` : "")
+  );
+}
+
+// Splits a long block at sentence ends, and sentences at spaces, so no
+// piece is longer than `max`
+function splitBlock(block, max) {
+  if (block.length <= max) return [block];
+
+  const pieces = [];
+  let current = "";
+  for (const sentence of block.split(/(?<=[.!?])\s+/)) {
+    const words = sentence.length > max ? sentence.split(/\s+/) : [sentence];
+    for (const word of words) {
+      if (current && current.length + word.length + 1 > max) {
+        pieces.push(current);
+        current = "";
+      }
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// Groups paragraphs into parts of up to `max` characters, only splitting a
+// paragraph when it doesn't fit on its own
+export function splitIntoParts(text, max = PART_CHARS) {
+  const blocks = text
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .flatMap((block) => splitBlock(block, max));
+
+  const parts = [];
+  let current = "";
+  for (const block of blocks) {
+    if (current && current.length + block.length + 2 > max) {
+      parts.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n\n${block}` : block;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+// Keeps a transcribed text for `user` to continue_reading. Returns
+// { id, parts }.
+export function createDocument(text, user) {
+  const document = {
+    id: crypto.randomBytes(6).toString("hex"),
+    user: user?.id || "anonymous",
+    parts: splitIntoParts(text),
+    // Index of the part read last
+    position: 0,
+  };
+
+  documents.set(document.id, document);
+  for (const id of [...documents.keys()].slice(0, -MAX_DOCUMENTS)) {
+    documents.delete(id);
+  }
+  return { id: document.id, parts: document.parts };
+}
+
+function describePart(document) {
+  const part = document.position + 1;
+  const more = part < document.parts.length;
+  return {
+    document: document.id,
+    part,
+    parts: document.parts.length,
+    text: document.parts[document.position],
+    instructions: more
+      ? "Read this part aloud word for word, then ask whether to continue. Call continue_reading for the next part when the user wants more."
+      : "Read this part aloud word for word. It is the end of the text.",
+  };
+}
+
+// The first part of a new document, for the take_picture output
+export function firstPart(id) {
+  const document = documents.get(id);
+  return document ? describePart(document) : null;
+}
+
+// Moves through one of `user`'s documents: "next", "previous", "repeat" or
+// "restart", or straight to a 1-based `part`. Defaults to their latest
+// document.
+export function continueReading({ document: id, action = "next", part, user }) {
+  const own = [...documents.values()].filter(
+    (document) => document.user === (user?.id || "anonymous"),
+  );
+  const document = id ? own.find((document) => document.id === id) : own.at(-1);
+  if (!document) {
+    throw new Error(
+      id ? `Unknown document: ${id}` : "Nothing has been read yet",
+    );
+  }
+
+  let position = document.position;
+  if (part !== undefined) {
+    position = Math.round(Number(part)) - 1;
+  } else if (action === "next") {
+    position++;
+  } else if (action === "previous") {
+    position--;
+  } else if (action === "restart") {
+    position = 0;
+  } else if (action !== "repeat") {
+    throw new Error(`Unknown action: ${action}`);
+  }
+
+  if (!(position >= 0 && position < document.parts.length)) {
+    let problem = "That is the start of the text";
+    if (part !== undefined) {
+      problem = `There is no part ${part}`;
+    } else if (position >= document.parts.length) {
+      problem = "That was the last part";
+    }
+    throw new Error(
+      `${problem}; the text has ${document.parts.length} part(s)`,
+    );
+  }
+
+  document.position = position;
+  return describePart(document);
+}
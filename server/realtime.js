@@ -0,0 +1,16 @@
+// Realtime API settings shared by the /token route and the relay
+export const REALTIME_URL = "https://api.openai.com/v1/realtime";
+export const REALTIME_MODEL = "gpt-4o-realtime-preview-2024-12-17";
+export const REALTIME_VOICE = "verse";
+
+// Hands WebSocket upgrades for `pathname` to a noServer WebSocketServer. A ws
+// server attached with { server, path } rejects every other path, so the
+// relay and the mock Realtime server route their own upgrades instead.
+export function routeUpgrades(server, pathname, wss) {
+  server.on("upgrade", (req, socket, head) => {
+    if (new URL(req.url, "http://localhost").pathname !== pathname) return;
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit("connection", ws, req);
+    });
+  });
+}
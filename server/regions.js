@@ -0,0 +1,119 @@
+import sharp from "sharp";
+
+// Regions of interest for zoomed captures. A region is a box
+// [x_min, y_min, x_max, y_max] in fractions of the (rotated) frame, the same
+// convention as object detection, so a detected object can be zoomed into.
+// Every camera has the built-in regions below, and cameras can name their own
+// (e.g. "thermostat") in their `regions` field.
+export const BUILTIN_REGIONS = {
+  "top-left": [0, 0, 0.5, 0.5],
+  top: [0.25, 0, 0.75, 0.5],
+  "top-right": [0.5, 0, 1, 0.5],
+  left: [0, 0.25, 0.5, 0.75],
+  center: [0.25, 0.25, 0.75, 0.75],
+  right: [0.5, 0.25, 1, 0.75],
+  "bottom-left": [0, 0.5, 0.5, 1],
+  bottom: [0.25, 0.5, 0.75, 1],
+  "bottom-right": [0.5, 0.5, 1, 1],
+};
+
+export const MAX_UPSCALE = 4;
+// Crops are kept at full resolution (times the upscale), up to this width
+const MAX_ZOOM_WIDTH = 1600;
+// Smaller crops don't hold enough pixels to show anything
+const MIN_BOX_SIZE = 0.02;
+
+// Returns a problem with the given box, or null when it's usable
+export function validateBox(box) {
+  if (
+    !Array.isArray(box) ||
+    box.length !== 4 ||
+    box.some((n) => typeof n !== "number" || n < 0 || n > 1)
+  ) {
+    return "must be [x_min, y_min, x_max, y_max] with values from 0 to 1";
+  }
+  if (box[2] - box[0] < MIN_BOX_SIZE || box[3] - box[1] < MIN_BOX_SIZE) {
+    return `must be at least ${MIN_BOX_SIZE} wide and high`;
+  }
+  return null;
+}
+
+// Problems with a camera's `regions` field: { name: box }
+export function validateRegions(regions) {
+  if (!regions || typeof regions !== "object" || Array.isArray(regions)) {
+    return ["regions must be an object of name: box"];
+  }
+
+  const errors = [];
+  for (const [name, box] of Object.entries(regions)) {
+    if (!name.trim() || name.length > 50) {
+      errors.push("region names must be 1 to 50 characters long");
+    }
+    const problem = validateBox(box);
+    if (problem) errors.push(`region "${name}" ${problem}`);
+  }
+  return errors;
+}
+
+// Region names a camera can be zoomed into, its own first
+export function regionNames(camera) {
+  return [
+    ...Object.keys(camera.regions || {}),
+    ...Object.keys(BUILTIN_REGIONS),
+  ];
+}
+
+// Resolves a zoom request (a region name, or a box) into { name, box }
+export function resolveRegion(camera, { region, box }) {
+  if (box !== undefined) {
+    const numbers = Array.isArray(box) ? box.map(Number) : box;
+    const problem = validateBox(numbers);
+    if (problem) throw new Error(`box ${problem}`);
+    return { name: null, box: numbers };
+  }
+
+  const needle = String(region || "")
+    .trim()
+    .toLowerCase();
+  const regions = { ...BUILTIN_REGIONS, ...camera.regions };
+  const name = Object.keys(regions).find(
+    (name) => name.toLowerCase() === needle,
+  );
+  if (!name) {
+    throw new Error(
+      `Unknown region "${region}"; pick one of: ${regionNames(camera).join(", ")}`,
+    );
+  }
+  return { name, box: regions[name] };
+}
+
+// Crops a raw frame to a box at full resolution and enlarges it by `upscale`,
+// as a JPEG. Returns { image, width, height }.
+export async function cropFrame(frame, box, { rotation = 0, upscale = 1 }) {
+  // The box is relative to the frame as the camera is mounted
+  const { data, info } = await sharp(frame)
+    .rotate(rotation)
+    .toBuffer({ resolveWithObject: true });
+
+  const left = Math.floor(box[0] * info.width);
+  const top = Math.floor(box[1] * info.height);
+  const width = Math.max(Math.round((box[2] - box[0]) * info.width), 1);
+  const height = Math.max(Math.round((box[3] - box[1]) * info.height), 1);
+  const targetWidth = Math.min(Math.round(width * upscale), MAX_ZOOM_WIDTH);
+
+  const image = await sharp(data)
+    .extract({
+      left,
+      top,
+      width: Math.min(width, info.width - left),
+      height: Math.min(height, info.height - top),
+    })
+    .resize(targetWidth, null, { kernel: "lanczos3" })
+    .jpeg({ quality: 85 })
+    .toBuffer({ resolveWithObject: true });
+  return {
+    image: image.data,
+    width: image.info.width,
+    height: image.info.height,
+  };
+}
@@ -0,0 +1,402 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { WebSocket, WebSocketServer } from "ws";
+import { authenticate } from "./auth/index.js";
+import { browserCaptureSource } from "../shared/captureSource.js";
+import { logger } from "./logger.js";
+import { gauge } from "./metrics.js";
+import { mockEnabled, mockRelayKey } from "./mockRealtime.js";
+import { MODELS } from "./presets.js";
+import { limitTokens } from "./rateLimit.js";
+import {
+  REALTIME_MODEL,
+  REALTIME_URL,
+  REALTIME_VOICE,
+  routeUpgrades,
+} from "./realtime.js";
+import {
+  HOLDING_RESPONSE,
+  createResponseQueue,
+} from "../shared/responseQueue.js";
+import {
+  isServerTool,
+  isSlowTool,
+  runServerTool,
+  serverToolDefinitions,
+} from "./tools.js";
+import { checkBudget } from "./usage.js";
+import { stopAllWatches, subscribeWatchEvents, watchOwner } from "./watch.js";
+
+// Relay mode: browsers (or headless devices) connect to the server over a
+// WebSocket at /relay and the server holds the upstream Realtime session, so
+// clients never see an OpenAI key. Server tools run here, and every event in
+// both directions is logged to data/relay/<session>.jsonl.
+export const relayEnabled = process.env.REALTIME_RELAY === "true";
+
+const logDir =
+  process.env.RELAY_LOG_DIR || path.join(process.cwd(), "data", "relay");
+
+let openConnections = 0;
+gauge("relay_connections_active", "Open Realtime relay connections", () => [
+  { value: openConnections },
+]);
+
+// Audio payloads are large and unreadable; log their size instead
+function redactAudio(event) {
+  if (event.type === "input_audio_buffer.append" && event.audio) {
+    return { ...event, audio: `[${event.audio.length} base64 chars]` };
+  }
+  if (event.type === "response.audio.delta" && event.delta) {
+    return { ...event, delta: `[${event.delta.length} base64 chars]` };
+  }
+  return event;
+}
+
+function isAudioEvent(event) {
+  return (
+    event.type === "input_audio_buffer.append" ||
+    event.type === "response.audio.delta"
+  );
+}
+
+function createEventLog(sessionId) {
+  fs.mkdirSync(logDir, { recursive: true });
+  const date = new Date().toISOString().slice(0, 10);
+  const file = path.join(logDir, `${date}_${sessionId}.jsonl`);
+  const stream = fs.createWriteStream(file, { flags: "a" });
+
+  return {
+    file,
+    write(direction, event) {
+      if (!isAudioEvent(event)) {
+        logger.debug("Relay event", {
+          session: sessionId,
+          direction,
+          type: event.type,
+        });
+      }
+      stream.write(
+        JSON.stringify({
+          timestamp: new Date().toISOString(),
+          direction,
+          event: redactAudio(event),
+        }) + "\n",
+      );
+    },
+    close() {
+      stream.end();
+    },
+  };
+}
+
+// Clients register their own UI tools with session.update; keep the server
+// tools in the list so one client can't switch them off for everyone
+function withServerTools(event) {
+  if (event.type !== "session.update" || !event.session?.tools) return event;
+
+  const clientTools = event.session.tools.filter(
+    (tool) => !isServerTool(tool.name),
+  );
+  return {
+    ...event,
+    session: {
+      ...event.session,
+      tools: [...serverToolDefinitions(), ...clientTools],
+    },
+  };
+}
+
+// With `holding` the model says a holding phrase while slow tools run.
+// `connection` is the id the browser's session goes by (see watch.js);
+// without one, the relay session's own id is used.
+function handleConnection(
+  client,
+  upstreamUrl,
+  { holding = false, user = null, connection = null } = {},
+) {
+  const sessionId = crypto.randomUUID();
+  const owner = watchOwner(user, connection || sessionId);
+  const log = createEventLog(sessionId);
+  const pending = [];
+  openConnections++;
+  logger.info("Relay client connected", {
+    session: sessionId,
+    user: user?.id,
+  });
+
+  const upstream = new WebSocket(upstreamUrl, {
+    headers: {
+      Authorization: `Bearer ${mockEnabled ? mockRelayKey : process.env.OPENAI_API_KEY}`,
+      "OpenAI-Beta": "realtime=v1",
+    },
+  });
+
+  function sendUpstream(event) {
+    log.write("client", event);
+    if (upstream.readyState === WebSocket.OPEN) {
+      upstream.send(JSON.stringify(event));
+    } else {
+      pending.push(event);
+    }
+  }
+
+  // Events the relay sends on its own are mirrored to the client so its
+  // event log shows the whole conversation
+  function sendAsRelay(event) {
+    const relayEvent = { event_id: `relay_${crypto.randomUUID()}`, ...event };
+    sendUpstream(relayEvent);
+    sendToClient(relayEvent);
+  }
+
+  function sendToClient(event) {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify(event));
+    }
+  }
+
+  // response.create waits for the response in progress
+  const responses = createResponseQueue(sendAsRelay);
+
+  // The image source the browser has selected and the camera of the frame
+  // pinned in its live preview, from relay.capture_state
+  let captureState = { captureSource: "camera", pinnedCamera: null };
+
+  function parseArguments(item) {
+    try {
+      return item.arguments ? JSON.parse(item.arguments) : {};
+    } catch (error) {
+      logger.error("Error parsing function arguments", {
+        session: sessionId,
+        error,
+      });
+      return {};
+    }
+  }
+
+  async function runTool(item, args) {
+    if (holding && isSlowTool(item.name)) {
+      responses.request(HOLDING_RESPONSE);
+    }
+
+    // The client shows the analysis as it streams in; progress isn't logged
+    const { output, display } = await runServerTool(item.name, args, {
+      onProgress: (event) =>
+        sendToClient({
+          type: "relay.tool_progress",
+          name: item.name,
+          call_id: item.call_id,
+          event,
+        }),
+      user,
+      connection: owner.connection,
+    });
+    sendToClient({
+      type: "relay.tool_result",
+      name: item.name,
+      call_id: item.call_id,
+      output,
+      display,
+    });
+    sendAsRelay({
+      type: "conversation.item.create",
+      item: {
+        type: "function_call_output",
+        call_id: item.call_id,
+        output: JSON.stringify(output),
+      },
+    });
+    responses.request();
+  }
+
+  function handleWatchEvent(event) {
+    if (event.type !== "watch.change") return;
+    sendAsRelay({
+      type: "conversation.item.create",
+      item: {
+        // Lets clients match the alert in the conversation to its image
+        id: `watch_${event.id}`,
+        type: "message",
+        role: "system",
+        content: [
+          {
+            type: "input_text",
+            text: `Watch alert from the "${event.camera.name}" camera: ${event.description}`,
+          },
+        ],
+      },
+    });
+    responses.request({
+      instructions:
+        "Briefly tell the user what just changed on the camera you are watching.",
+    });
+  }
+  // Watches started in this session report here
+  const unsubscribeWatches = subscribeWatchEvents(owner, handleWatchEvent);
+
+  // Queued ahead of anything the client sends
+  sendUpstream({
+    type: "session.update",
+    session: {
+      voice: REALTIME_VOICE,
+      tools: serverToolDefinitions(),
+      tool_choice: "auto",
+    },
+  });
+
+  upstream.on("open", () => {
+    logger.info("Relay upstream connected", { session: sessionId });
+    pending.splice(0).forEach((event) => upstream.send(JSON.stringify(event)));
+  });
+
+  upstream.on("message", (data) => {
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch (error) {
+      logger.error("Invalid upstream event", { session: sessionId, error });
+      return;
+    }
+
+    log.write("server", event);
+    sendToClient(event);
+    responses.handleServerEvent(event);
+
+    if (
+      event.type === "response.output_item.done" &&
+      event.item?.type === "function_call" &&
+      isServerTool(event.item.name)
+    ) {
+      const args = parseArguments(event.item);
+      // Webcam, screen and pinned frames are only in the browser, which
+      // takes those pictures and sends the output itself
+      if (
+        event.item.name === "take_picture" &&
+        browserCaptureSource(args, captureState)
+      ) {
+        return;
+      }
+      runTool(event.item, args);
+    }
+  });
+
+  client.on("message", (data) => {
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch (error) {
+      logger.error("Invalid client event", { session: sessionId, error });
+      return;
+    }
+    // For the relay only; the Realtime API doesn't know it
+    if (event.type === "relay.capture_state") {
+      log.write("client", event);
+      const { capture_source: source, pinned_camera: camera } = event;
+      captureState = {
+        captureSource: ["webcam", "screen"].includes(source)
+          ? source
+          : "camera",
+        pinnedCamera:
+          typeof camera?.id === "string" && typeof camera?.name === "string"
+            ? { id: camera.id, name: camera.name }
+            : null,
+      };
+      return;
+    }
+    sendUpstream(withServerTools(event));
+  });
+
+  let closed = false;
+  function close(reason) {
+    if (closed) return;
+    closed = true;
+    unsubscribeWatches();
+    // A client that named its connection keeps its watches across
+    // reconnects, like a direct one; they stop if it doesn't come back
+    if (!connection) stopAllWatches(owner);
+    if (upstream.readyState <= WebSocket.OPEN) upstream.close();
+    if (client.readyState <= WebSocket.OPEN) client.close();
+    log.close();
+    openConnections--;
+    logger.info("Relay session closed", { session: sessionId, reason });
+  }
+
+  upstream.on("error", (error) => {
+    logger.error("Relay upstream error", { session: sessionId, error });
+    sendToClient({
+      type: "error",
+      error: { type: "relay_error", message: error.message },
+    });
+  });
+  upstream.on("close", () => close("upstream closed"));
+  client.on("close", () => close("client disconnected"));
+}
+
+// The model is fixed when the upstream connects, so clients pick it with
+// /relay?model= (and turn on holding phrases with &holding=true). The mock
+// Realtime server runs in this process; reach it over loopback.
+function upstreamUrl(server, req) {
+  const requested = new URL(req.url, "http://localhost").searchParams.get(
+    "model",
+  );
+  const model = MODELS.includes(requested) ? requested : REALTIME_MODEL;
+
+  if (mockEnabled) {
+    return `ws://127.0.0.1:${server.address().port}/mock/realtime?model=${model}`;
+  }
+  return `${REALTIME_URL}?model=${model}`;
+}
+
+export function attachRealtimeRelay(server) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    // The relay spends the server's API key, so only signed-in users get one,
+    // as often as they could get a token
+    verifyClient: ({ req }, done) => {
+      const user = authenticate(req);
+      if (!user) return done(false, 401);
+      const retryAfter = limitTokens.take(user.id || req.socket.remoteAddress);
+      if (retryAfter) {
+        return done(false, 429, limitTokens.message(retryAfter), {
+          "Retry-After": String(retryAfter),
+        });
+      }
+      done(true);
+    },
+  });
+  wss.on("connection", (client, req) => {
+    const user = authenticate(req);
+    // Like /token, no new sessions once the budget is spent. The refusal is
+    // an error event rather than an HTTP status, which browsers can't read.
+    try {
+      checkBudget(user);
+    } catch (error) {
+      logger.warn("Relay connection refused", {
+        user: user?.id,
+        reason: error.message,
+      });
+      client.send(
+        JSON.stringify({
+          type: "error",
+          error: {
+            type: "relay_error",
+            code: error.code,
+            message: error.message,
+            hint: error.hint,
+          },
+        }),
+      );
+      client.close(1008, error.code);
+      return;
+    }
+
+    const params = new URL(req.url, "http://localhost").searchParams;
+    handleConnection(client, upstreamUrl(server, req), {
+      holding: params.get("holding") === "true",
+      user,
+      connection: params.get("connection"),
+    });
+  });
+  routeUpgrades(server, "/relay", wss);
+  logger.info("Realtime relay listening on /relay");
+}
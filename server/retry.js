@@ -0,0 +1,51 @@
+import { CaptureError } from "./errors.js";
+import { logger } from "./logger.js";
+
+// Retries for the capture pipeline's stages. Only errors marked retryable
+// (see errors.js) are tried again, after an exponential backoff with jitter,
+// or after the delay a rate-limited service asked for.
+const RETRIES = {
+  capture: Number(process.env.CAPTURE_RETRIES ?? 1),
+  vision: Number(process.env.VISION_RETRIES ?? 2),
+};
+const BASE_DELAY_MS = Number(process.env.RETRY_BASE_DELAY_MS) || 500;
+// Waiting longer than this isn't worth it while the user is waiting too
+const MAX_DELAY_MS = 10000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Runs fn() for the given stage, trying again on retryable errors. With
+// `canRetry` the caller can rule out a retry, e.g. once part of a streamed
+// answer has been shown.
+export async function withRetries(stage, fn, { canRetry = () => true } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const delay =
+        error.retryAfterMs ??
+        Math.round(BASE_DELAY_MS * 2 ** attempt * (0.5 + Math.random() / 2));
+      if (
+        !(error instanceof CaptureError) ||
+        !error.retryable ||
+        attempt >= RETRIES[stage] ||
+        delay > MAX_DELAY_MS ||
+        !canRetry(error)
+      ) {
+        throw error;
+      }
+
+      logger.warn("Retrying stage", {
+        stage,
+        code: error.code,
+        attempt: attempt + 1,
+        of: RETRIES[stage],
+        delayMs: delay,
+        error: error.message,
+      });
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,52 @@
+import express from "express";
+import { authProvider, authenticate } from "../auth/index.js";
+import { endSession, startSession } from "../auth/sessions.js";
+import { sendError } from "../errors.js";
+import { logger } from "../logger.js";
+import { rateLimit } from "../rateLimit.js";
+
+const router = express.Router();
+
+// Slows down password guessing
+const limitLogins = rateLimit({
+  name: "sign-in",
+  limit: Number(process.env.LOGIN_RATE_LIMIT) || 10,
+});
+
+// Who is signed in, and how to sign in: { provider, user }
+router.get("/session", (req, res) => {
+  res.json({ provider: authProvider.name, user: authenticate(req) });
+});
+
+// Signs in with { username, password } or { token }
+router.post("/login", limitLogins, async (req, res) => {
+  const { username, password, token } = req.body || {};
+  let user;
+  try {
+    user = await authProvider.login({ username, password, token });
+  } catch (error) {
+    // Express doesn't catch errors thrown by async handlers
+    logger.error("Sign-in failed", { error: error.cause || error });
+    return sendError(res, error);
+  }
+  if (!user) {
+    logger.warn("Failed sign-in", { username: username || null, ip: req.ip });
+    return res.status(401).json({
+      error:
+        authProvider.name === "token"
+          ? "Wrong access token"
+          : "Wrong username or password",
+    });
+  }
+
+  startSession(req, res, user);
+  logger.info("Signed in", { user: user.id });
+  res.json({ provider: authProvider.name, user });
+});
+
+router.post("/logout", (req, res) => {
+  endSession(req, res);
+  res.json({ provider: authProvider.name, user: null });
+});
+
+export default router;
@@ -0,0 +1,160 @@
+import express from "express";
+import sharp from "sharp";
+import { captureSnapshot, checkCameraHost } from "../capture.js";
+import {
+  createCamera,
+  deleteCamera,
+  getCamera,
+  listCameras,
+  updateCamera,
+  validateCamera,
+} from "../cameras.js";
+import { sendError } from "../errors.js";
+import { logger } from "../logger.js";
+import { limitCaptures } from "../rateLimit.js";
+import { stopStream, subscribeFrames } from "../streams.js";
+
+const router = express.Router();
+
+// Live previews are thinned to this many frames per second
+const PREVIEW_MAX_FPS = Number(process.env.PREVIEW_MAX_FPS) || 10;
+
+router.get("/", (req, res) => {
+  res.json({ cameras: listCameras() });
+});
+
+router.get("/:id", (req, res) => {
+  const camera = getCamera(req.params.id);
+  if (!camera) {
+    return res.status(404).json({ error: "Camera not found" });
+  }
+  res.json(camera);
+});
+
+// The camera's current frame as a JPEG (`?width=`, default 800), without
+// analysis: the diagnostics page polls it as a preview
+router.get("/:id/snapshot.jpg", async (req, res) => {
+  const camera = getCamera(req.params.id);
+  if (!camera) {
+    return res.status(404).json({ error: "Camera not found" });
+  }
+
+  const width = Math.min(Math.max(Number(req.query.width) || 800, 64), 1920);
+  try {
+    const image = await captureSnapshot(camera, { width });
+    res.set("Cache-Control", "no-store").type("image/jpeg").send(image);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// The camera's stream re-served as MJPEG (multipart/x-mixed-replace), so
+// the browser shows it in an <img> without reaching the camera itself.
+// Frames are the camera's own, not rotated; a slow client skips frames.
+router.get("/:id/stream.mjpeg", async (req, res) => {
+  const camera = getCamera(req.params.id);
+  if (!camera) {
+    return res.status(404).json({ error: "Camera not found" });
+  }
+  try {
+    await checkCameraHost(camera);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "multipart/x-mixed-replace; boundary=frame",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+  });
+
+  let lastSent = 0;
+  let draining = false;
+  const unsubscribe = subscribeFrames(camera, (frame, time) => {
+    if (draining || time - lastSent < 1000 / PREVIEW_MAX_FPS) return;
+    lastSent = time;
+    const part = Buffer.concat([
+      Buffer.from(
+        `--frame\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n\r\n`,
+      ),
+      frame,
+      Buffer.from("\r\n"),
+    ]);
+    if (!res.write(part)) {
+      draining = true;
+      res.once("drain", () => (draining = false));
+    }
+  });
+  req.on("close", unsubscribe);
+});
+
+// A test capture that skips the vision model, so a camera can be checked
+// without spending tokens
+router.post("/:id/test", limitCaptures, async (req, res) => {
+  const camera = getCamera(req.params.id);
+  if (!camera) {
+    return res.status(404).json({ error: "Camera not found" });
+  }
+
+  const start = Date.now();
+  try {
+    const image = await captureSnapshot(camera);
+    const { width, height } = await sharp(image).metadata();
+    res.json({
+      success: true,
+      imageData: `data:image/jpeg;base64,${image.toString("base64")}`,
+      bytes: image.length,
+      width,
+      height,
+      durationMs: Date.now() - start,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post("/", (req, res) => {
+  const errors = validateCamera(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join("; ") });
+  }
+
+  const camera = createCamera(req.body);
+  logger.info("Added camera", { camera: camera.id });
+  res.status(201).json(camera);
+});
+
+router.patch("/:id", (req, res) => {
+  if (!getCamera(req.params.id)) {
+    return res.status(404).json({ error: "Camera not found" });
+  }
+
+  const errors = validateCamera(req.body || {}, {
+    partial: true,
+    id: req.params.id,
+  });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join("; ") });
+  }
+
+  const camera = updateCamera(req.params.id, req.body);
+  // Reconnect with the new settings on the next capture. Rotation and regions
+  // only apply to captured frames, so the stream can stay open for those.
+  if (["url", "protocol", "resolution"].some((key) => key in req.body)) {
+    stopStream(camera.id);
+  }
+  logger.info("Updated camera", { camera: camera.id });
+  res.json(camera);
+});
+
+router.delete("/:id", (req, res) => {
+  if (!deleteCamera(req.params.id)) {
+    return res.status(404).json({ error: "Camera not found" });
+  }
+  stopStream(req.params.id);
+
+  logger.info("Removed camera", { camera: req.params.id });
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,86 @@
+import express from "express";
+import { logger } from "../logger.js";
+import {
+  deleteMemory,
+  getMemory,
+  getMemoryImage,
+  listMemories,
+  searchMemory,
+} from "../memory.js";
+
+const router = express.Router();
+
+function limitParam(value, fallback) {
+  return Math.min(Math.max(Number(value) || fallback, 1), 200);
+}
+
+// Browse the user's captures newest first (paging back with
+// ?before=<timestamp>), or search them with ?q=. Both filter by ?camera= and
+// ?source=. Other users' entries answer 404, as if they didn't exist.
+router.get("/", async (req, res) => {
+  const { q, camera, source, since, before } = req.query;
+
+  try {
+    if (q) {
+      const entries = await searchMemory({
+        user: req.user,
+        query: q,
+        camera,
+        source,
+        since,
+        until: before,
+        limit: limitParam(req.query.limit, 50),
+      });
+      return res.json({ entries, more: false });
+    }
+
+    res.json(
+      listMemories({
+        user: req.user,
+        camera,
+        source,
+        since,
+        before,
+        limit: limitParam(req.query.limit, 50),
+      }),
+    );
+  } catch (error) {
+    logger.error("Memory search failed", { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get("/:id", (req, res) => {
+  const entry = getMemory(req.params.id, req.user);
+  if (!entry) {
+    return res.status(404).json({ error: "Memory not found" });
+  }
+  res.json(entry);
+});
+
+router.get("/:id/image.jpg", (req, res) => {
+  const file = getMemoryImage(req.params.id, "image", req.user);
+  if (!file) {
+    return res.status(404).json({ error: "Memory not found" });
+  }
+  res.type("image/jpeg").sendFile(file);
+});
+
+router.get("/:id/thumbnail.jpg", (req, res) => {
+  const file = getMemoryImage(req.params.id, "thumbnail", req.user);
+  if (!file) {
+    return res.status(404).json({ error: "Memory not found" });
+  }
+  res.type("image/jpeg").sendFile(file);
+});
+
+router.delete("/:id", (req, res) => {
+  if (!deleteMemory(req.params.id, req.user)) {
+    return res.status(404).json({ error: "Memory not found" });
+  }
+
+  logger.info("Forgot capture", { id: req.params.id });
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,70 @@
+import express from "express";
+import { logger } from "../logger.js";
+import {
+  DEFAULT_PRESET,
+  MODELS,
+  TRANSCRIPTION_MODELS,
+  VOICES,
+  deletePreset,
+  getPreset,
+  listPresets,
+  savePreset,
+  validateSettings,
+} from "../presets.js";
+
+const router = express.Router();
+
+router.get("/", (req, res) => {
+  res.json({
+    presets: listPresets(),
+    options: {
+      models: MODELS,
+      voices: VOICES,
+      transcriptionModels: TRANSCRIPTION_MODELS,
+    },
+  });
+});
+
+router.get("/:name", (req, res) => {
+  const preset = getPreset(req.params.name);
+  if (!preset) {
+    return res.status(404).json({ error: "Preset not found" });
+  }
+  res.json(preset);
+});
+
+// Creates or replaces a preset
+router.put("/:name", (req, res) => {
+  const name = req.params.name.trim();
+  if (!name || name.length > 50) {
+    return res
+      .status(400)
+      .json({ error: "name must be 1 to 50 characters long" });
+  }
+
+  const { settings } = req.body || {};
+  const errors = validateSettings(settings);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join("; ") });
+  }
+
+  const preset = savePreset(name, settings);
+  logger.info("Saved preset", { preset: preset.name });
+  res.json(preset);
+});
+
+router.delete("/:name", (req, res) => {
+  if (req.params.name === DEFAULT_PRESET) {
+    return res
+      .status(400)
+      .json({ error: "The default preset can't be deleted" });
+  }
+  if (!deletePreset(req.params.name)) {
+    return res.status(404).json({ error: "Preset not found" });
+  }
+
+  logger.info("Removed preset", { preset: req.params.name });
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,136 @@
+import express from "express";
+import { sendError } from "../errors.js";
+import { logger } from "../logger.js";
+import {
+  addCapture,
+  appendEvents,
+  createSession,
+  endSession,
+  exportBundle,
+  exportMarkdown,
+  getSession,
+  getSessionAudio,
+  getSessionEventsFile,
+  listSessions,
+  saveAudio,
+} from "../sessions.js";
+
+const router = express.Router();
+
+router.get("/", (req, res) => {
+  res.json({ sessions: listSessions(req.user) });
+});
+
+router.post("/", (req, res) => {
+  let session;
+  try {
+    session = createSession({ mode: req.body?.mode, user: req.user });
+  } catch (error) {
+    return sendError(res, error);
+  }
+  logger.info("Recording session", { session: session.id });
+  res.status(201).json(session);
+});
+
+router.get("/:id", (req, res) => {
+  const session = getSession(req.params.id, req.user);
+  if (!session) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  res.json(session);
+});
+
+router.post("/:id/events", (req, res) => {
+  const { events } = req.body || {};
+  if (!Array.isArray(events)) {
+    return res.status(400).json({ error: "events must be an array" });
+  }
+
+  const session = appendEvents(req.params.id, events, req.user);
+  if (!session) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  res.json({ events: session.events });
+});
+
+router.post("/:id/captures", (req, res) => {
+  try {
+    const capture = addCapture(req.params.id, req.body || {}, req.user);
+    if (!capture) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    res.status(201).json(capture);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.put(
+  "/:id/audio",
+  express.raw({ type: "audio/*", limit: "200mb" }),
+  (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: "Expected an audio body" });
+    }
+
+    const session = saveAudio(
+      req.params.id,
+      req.body,
+      req.headers["content-type"],
+      req.user,
+    );
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    res.json(session);
+  },
+);
+
+router.post("/:id/end", (req, res) => {
+  const session = endSession(req.params.id, req.user);
+  if (!session) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  logger.info("Saved session", {
+    session: session.id,
+    events: session.events,
+  });
+  res.json(session);
+});
+
+router.get("/:id/bundle.json", (req, res) => {
+  const bundle = exportBundle(req.params.id, req.user);
+  if (!bundle) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  res.attachment(`session-${req.params.id}.json`).json(bundle);
+});
+
+router.get("/:id/transcript.md", (req, res) => {
+  const markdown = exportMarkdown(req.params.id, req.user);
+  if (markdown === null) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  res
+    .attachment(`session-${req.params.id}.md`)
+    .type("text/markdown")
+    .send(markdown);
+});
+
+router.get("/:id/events.jsonl", (req, res) => {
+  const file = getSessionEventsFile(req.params.id, req.user);
+  if (!file) {
+    return res.status(404).json({ error: "No events recorded" });
+  }
+  res.type("application/x-ndjson").sendFile(file);
+});
+
+router.get("/:id/audio", (req, res) => {
+  const audio = getSessionAudio(req.params.id, req.user);
+  if (!audio) {
+    return res.status(404).json({ error: "No audio recorded" });
+  }
+  res.type(audio.mimeType).sendFile(audio.file);
+});
+
+export default router;
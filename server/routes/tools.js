@@ -0,0 +1,62 @@
+import express from "express";
+import { logger } from "../logger.js";
+import {
+  isServerTool,
+  isSlowTool,
+  runServerTool,
+  serverToolDefinitions,
+} from "../tools.js";
+import { limitCaptures } from "../rateLimit.js";
+import { openEventStream, wantsEventStream } from "../sse.js";
+
+const router = express.Router();
+
+// Function definitions for the tools the server implements, for clients to
+// register with their Realtime session
+router.get("/", (req, res) => {
+  res.json({ tools: serverToolDefinitions() });
+});
+
+// The tools that capture count against the user's capture limit
+function limitCaptureTools(req, res, next) {
+  if (!isSlowTool(req.params.name)) return next();
+  limitCaptures(req, res, next);
+}
+
+// Run a server tool; responds with { output, display }. With
+// Accept: text/event-stream it streams the tool's progress events instead,
+// followed by { type: "result", output, display }. Browsers pass their
+// session's id as ?connection= (see server/watch.js).
+router.post("/:name", limitCaptureTools, async (req, res) => {
+  if (!isServerTool(req.params.name)) {
+    return res.status(404).json({ error: `Unknown tool: ${req.params.name}` });
+  }
+
+  // Not the arguments themselves, which carry the user's prompts and queries
+  const { camera, mode, task } = req.body || {};
+  logger.info("Running server tool", {
+    tool: req.params.name,
+    camera,
+    mode,
+    task,
+  });
+  if (!wantsEventStream(req)) {
+    return res.json(
+      await runServerTool(req.params.name, req.body || {}, {
+        user: req.user,
+        connection: req.query.connection,
+      }),
+    );
+  }
+
+  const stream = openEventStream(res);
+  const result = await runServerTool(req.params.name, req.body || {}, {
+    onProgress: stream.send,
+    user: req.user,
+    connection: req.query.connection,
+  });
+  stream.send({ type: "result", ...result });
+  stream.end();
+});
+
+export default router;
@@ -0,0 +1,31 @@
+import express from "express";
+import { recordRealtime, recordSession, usageSummary } from "../usage.js";
+
+const router = express.Router();
+
+// Totals of the last ?days= days (default 30) by day, user and camera, with
+// the budgets and what has been spent today
+router.get("/", (req, res) => {
+  res.json(usageSummary({ days: req.query.days, user: req.user }));
+});
+
+// The client reports the usage of each Realtime response from response.done:
+// { model, usage }
+router.post("/realtime", (req, res) => {
+  const { model, usage } = req.body || {};
+  if (!usage || typeof usage !== "object") {
+    return res.status(400).json({ error: "usage is required" });
+  }
+  res.status(201).json(recordRealtime({ model, usage }, req.user));
+});
+
+// ...and the length of each session once it stops: { model, durationMs }
+router.post("/session", (req, res) => {
+  const { model, durationMs } = req.body || {};
+  if (!(Number(durationMs) >= 0)) {
+    return res.status(400).json({ error: "durationMs must be a number" });
+  }
+  res.status(201).json(recordSession({ model, durationMs }, req.user));
+});
+
+export default router;
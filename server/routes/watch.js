@@ -0,0 +1,87 @@
+import express from "express";
+import { resolveCamera } from "../cameras.js";
+import { openEventStream } from "../sse.js";
+import { getVisionProvider } from "../vision/index.js";
+import {
+  listWatches,
+  startWatch,
+  stopAllWatches,
+  stopWatch,
+  subscribeWatchEvents,
+  watchOwner,
+} from "../watch.js";
+
+const router = express.Router();
+
+// A browser passes its session's id as ?connection= so its watches, and
+// their events, stay its own
+function ownerOf(req) {
+  return watchOwner(req.user, req.query.connection);
+}
+
+router.get("/", (req, res) => {
+  res.json({ watches: listWatches(req.user) });
+});
+
+router.post("/start", (req, res) => {
+  const {
+    camera: cameraName,
+    interval,
+    threshold,
+    prompt,
+    provider,
+  } = req.body || {};
+
+  const camera = resolveCamera(cameraName);
+  if (!camera) {
+    return res.status(404).json({
+      error: cameraName
+        ? `Unknown camera: ${cameraName}`
+        : "No cameras are configured",
+    });
+  }
+  if (provider && !getVisionProvider(provider)) {
+    return res
+      .status(400)
+      .json({ error: `Unknown vision provider: ${provider}` });
+  }
+
+  const watch = startWatch(camera, {
+    interval,
+    threshold,
+    prompt,
+    provider,
+    user: req.user,
+    connection: req.query.connection,
+  });
+  res.status(201).json(watch);
+});
+
+// Stops the named camera's watch, or all of the connection's watches when no
+// camera is given
+router.post("/stop", (req, res) => {
+  const { camera: cameraName } = req.body || {};
+
+  if (!cameraName) {
+    return res.json({ stopped: stopAllWatches(ownerOf(req)) });
+  }
+
+  const camera = resolveCamera(cameraName);
+  if (!camera || !stopWatch(camera.id, ownerOf(req))) {
+    return res
+      .status(404)
+      .json({ error: `Not watching camera: ${cameraName}` });
+  }
+  res.json({ stopped: [camera.id] });
+});
+
+// Server-sent events stream of the connection's watch.* events for the
+// browser
+router.get("/events", (req, res) => {
+  const stream = openEventStream(res, {
+    onClose: () => unsubscribe(),
+  });
+  const unsubscribe = subscribeWatchEvents(ownerOf(req), stream.send);
+});
+
+export default router;
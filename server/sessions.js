@@ -0,0 +1,319 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { buildTranscript } from "../shared/transcript.js";
+import { CaptureError } from "./errors.js";
+import { gauge } from "./metrics.js";
+
+// Session archive: the browser streams every client and server event, each
+// captured image and optionally the session audio here, so a session can be
+// inspected after the fact. Each session is a directory:
+//
+//   session.json     metadata
+//   events.jsonl     { timestamp, direction, event } per line
+//   captures.jsonl   { timestamp, id, analysis, image } per line
+//   images/          the captured JPEG/PNG files
+//   audio.*          mixed mic and model audio, when recorded
+//
+// A session belongs to the user who recorded it; to anyone else it doesn't
+// exist.
+// Resolved, since recordings are served with res.sendFile
+const sessionsDir = path.resolve(
+  process.env.SESSIONS_DIR || path.join(process.cwd(), "data", "sessions"),
+);
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+// How a session connects; also the realtime_sessions_active label
+const MODES = ["webrtc", "relay", "replay", "mock"];
+
+// Sessions being recorded right now, for the realtime_sessions_active
+// metric. A browser that went away without ending its session stops
+// counting once it has sent nothing for a while.
+const STALE_SESSION_MS = 10 * 60 * 1000;
+const activeSessions = new Map();
+
+gauge(
+  "realtime_sessions_active",
+  "Realtime sessions currently being recorded, by connection mode",
+  () => {
+    const counts = {};
+    for (const [id, { mode, lastActivity }] of activeSessions) {
+      if (Date.now() - lastActivity > STALE_SESSION_MS) {
+        activeSessions.delete(id);
+      } else {
+        counts[mode] = (counts[mode] || 0) + 1;
+      }
+    }
+    return Object.entries(counts).map(([mode, value]) => ({
+      labels: { mode },
+      value,
+    }));
+  },
+);
+
+const IMAGE_EXTENSIONS = { jpeg: "jpg", png: "png", webp: "webp" };
+const AUDIO_EXTENSIONS = {
+  "audio/webm": "webm",
+  "audio/ogg": "ogg",
+  "audio/mp4": "m4a",
+};
+
+function readMetadata(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, "session.json"), "utf-8"));
+}
+
+// Sessions from before users were recorded count as the anonymous user's,
+// like in usage.js
+function ownedBy(metadata, user) {
+  return (metadata.user || "anonymous") === (user?.id || "anonymous");
+}
+
+function sessionDir(id, user) {
+  // Ids come from URLs; only ever touch directories we created
+  if (!ID_PATTERN.test(id)) return null;
+  const dir = path.join(sessionsDir, id);
+  if (!fs.existsSync(path.join(dir, "session.json"))) return null;
+  return ownedBy(readMetadata(dir), user) ? dir : null;
+}
+
+function writeMetadata(dir, metadata) {
+  fs.writeFileSync(
+    path.join(dir, "session.json"),
+    JSON.stringify(metadata, null, 2),
+  );
+}
+
+function updateMetadata(dir, fields) {
+  const metadata = { ...readMetadata(dir), ...fields };
+  writeMetadata(dir, metadata);
+  return metadata;
+}
+
+function readJsonl(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf-8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+export function createSession({ mode = "webrtc", user = null } = {}) {
+  if (!MODES.includes(mode)) {
+    throw new CaptureError(
+      "invalid_request",
+      `mode must be one of: ${MODES.join(", ")}`,
+    );
+  }
+  const id = crypto.randomUUID();
+  const dir = path.join(sessionsDir, id);
+  fs.mkdirSync(path.join(dir, "images"), { recursive: true });
+
+  const metadata = {
+    id,
+    user: user?.id || "anonymous",
+    mode,
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    events: 0,
+    captures: 0,
+    audio: null,
+  };
+  writeMetadata(dir, metadata);
+  activeSessions.set(id, { mode, lastActivity: Date.now() });
+  return metadata;
+}
+
+export function listSessions(user) {
+  if (!fs.existsSync(sessionsDir)) return [];
+  return fs
+    .readdirSync(sessionsDir)
+    .map((id) => sessionDir(id, user))
+    .filter(Boolean)
+    .map(readMetadata)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+export function getSession(id, user) {
+  const dir = sessionDir(id, user);
+  return dir ? readMetadata(dir) : null;
+}
+
+// Appends { timestamp, direction, event } records. Returns null when the
+// session doesn't exist (or isn't `user`'s), like the functions below.
+export function appendEvents(id, records, user) {
+  const dir = sessionDir(id, user);
+  if (!dir) return null;
+
+  const lines = records.map(
+    ({ timestamp, direction, event }) =>
+      JSON.stringify({
+        timestamp: timestamp || new Date().toISOString(),
+        direction,
+        event,
+      }) + "\n",
+  );
+  fs.appendFileSync(path.join(dir, "events.jsonl"), lines.join(""));
+  const active = activeSessions.get(id);
+  if (active) active.lastActivity = Date.now();
+
+  const { events } = readMetadata(dir);
+  return updateMetadata(dir, { events: events + records.length });
+}
+
+// Saves a captured image (a data URL) and its analysis. `captureId` is the
+// function call_id or watch alert item id the image belongs to.
+export function addCapture(
+  id,
+  { captureId, imageData, analysis, timestamp },
+  user,
+) {
+  const dir = sessionDir(id, user);
+  if (!dir) return null;
+
+  const match = /^data:image\/(jpeg|png|webp);base64,(.+)$/.exec(
+    imageData || "",
+  );
+  if (!match) {
+    throw new Error("imageData must be a base64 JPEG, PNG or WebP data URL");
+  }
+
+  const metadata = readMetadata(dir);
+  const image = `images/${metadata.captures + 1}.${IMAGE_EXTENSIONS[match[1]]}`;
+  fs.writeFileSync(path.join(dir, image), Buffer.from(match[2], "base64"));
+
+  const capture = {
+    timestamp: timestamp || new Date().toISOString(),
+    id: captureId || null,
+    analysis: analysis || "",
+    image,
+  };
+  fs.appendFileSync(
+    path.join(dir, "captures.jsonl"),
+    JSON.stringify(capture) + "\n",
+  );
+  updateMetadata(dir, { captures: metadata.captures + 1 });
+  return capture;
+}
+
+export function saveAudio(id, buffer, mimeType, user) {
+  const dir = sessionDir(id, user);
+  if (!dir) return null;
+
+  const type = mimeType.split(";")[0];
+  const file = `audio.${AUDIO_EXTENSIONS[type] || "webm"}`;
+  fs.writeFileSync(path.join(dir, file), buffer);
+  return updateMetadata(dir, { audio: { file, mimeType: type } });
+}
+
+export function endSession(id, user) {
+  const dir = sessionDir(id, user);
+  if (!dir) return null;
+  activeSessions.delete(id);
+  return updateMetadata(dir, { endedAt: new Date().toISOString() });
+}
+
+// Path of the recorded events, for replaying the session
+export function getSessionEventsFile(id, user) {
+  const dir = sessionDir(id, user);
+  if (!dir) return null;
+
+  const file = path.join(dir, "events.jsonl");
+  return fs.existsSync(file) ? file : null;
+}
+
+export function getSessionAudio(id, user) {
+  const dir = sessionDir(id, user);
+  if (!dir) return null;
+
+  const { audio } = readMetadata(dir);
+  if (!audio) return null;
+  return { file: path.join(dir, audio.file), mimeType: audio.mimeType };
+}
+
+function imageDataUrl(dir, image) {
+  const extension = path.extname(image).slice(1);
+  const type = extension === "jpg" ? "jpeg" : extension;
+  const data = fs.readFileSync(path.join(dir, image)).toString("base64");
+  return `data:image/${type};base64,${data}`;
+}
+
+// Everything in one JSON document, with images and audio inlined
+export function exportBundle(id, user) {
+  const dir = sessionDir(id, user);
+  if (!dir) return null;
+
+  const session = readMetadata(dir);
+  const captures = readJsonl(path.join(dir, "captures.jsonl")).map(
+    (capture) => ({ ...capture, imageData: imageDataUrl(dir, capture.image) }),
+  );
+
+  let audio = null;
+  if (session.audio) {
+    const data = fs.readFileSync(path.join(dir, session.audio.file));
+    audio = `data:${session.audio.mimeType};base64,${data.toString("base64")}`;
+  }
+
+  return {
+    session,
+    events: readJsonl(path.join(dir, "events.jsonl")),
+    captures,
+    audio,
+  };
+}
+
+function quote(text) {
+  return text
+    .split("\n")
+    .map((line) => `> ${line}`)
+    .join("\n");
+}
+
+// A readable transcript, built the same way as the transcript view, with the
+// captured images embedded where they were taken
+export function exportMarkdown(id, user) {
+  const dir = sessionDir(id, user);
+  if (!dir) return null;
+
+  const session = readMetadata(dir);
+  const records = readJsonl(path.join(dir, "events.jsonl"));
+  const captures = new Map(
+    readJsonl(path.join(dir, "captures.jsonl")).map((capture) => [
+      capture.id,
+      capture,
+    ]),
+  );
+
+  const lines = [
+    `# Session ${session.id}`,
+    "",
+    `- Mode: ${session.mode}`,
+    `- Started: ${session.startedAt}`,
+    `- Ended: ${session.endedAt || "-"}`,
+    "",
+  ];
+
+  function addCaptureLines(capture) {
+    if (!capture) return;
+    lines.push(`![Captured image](${imageDataUrl(dir, capture.image)})`, "");
+    if (capture.analysis) lines.push(quote(capture.analysis), "");
+  }
+
+  // buildTranscript takes the event log newest first
+  const events = records.map((record) => record.event).reverse();
+  for (const entry of buildTranscript(events)) {
+    if (entry.kind === "function_call") {
+      lines.push(`**🔧 ${entry.name}** \`${entry.arguments || "{}"}\``, "");
+      if (entry.output?.status === "error") {
+        lines.push(`Error: ${entry.output.error}`, "");
+      }
+      addCaptureLines(captures.get(entry.callId));
+    } else {
+      const role = entry.role[0].toUpperCase() + entry.role.slice(1);
+      lines.push(`**${role}:** ${entry.text || "_(no transcript)_"}`, "");
+      addCaptureLines(captures.get(entry.id));
+    }
+  }
+
+  return lines.join("\n");
+}
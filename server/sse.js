@@ -0,0 +1,29 @@
+// Server-sent events: one JSON object per `data:` message.
+
+// Clients ask for a streamed response with Accept: text/event-stream
+export function wantsEventStream(req) {
+  return (req.get("Accept") || "").includes("text/event-stream");
+}
+
+// Starts an event stream on the response. Returns { send, end }; call
+// onClose to clean up when the client goes away.
+export function openEventStream(res, { onClose } = {}) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    onClose?.();
+  });
+
+  return {
+    send: (event) => res.write(`data: ${JSON.stringify(event)}\n\n`),
+    end: () => res.end(),
+  };
+}
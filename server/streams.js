@@ -0,0 +1,419 @@
+import ffmpeg from "fluent-ffmpeg";
+import http from "http";
+import https from "https";
+import fetch from "node-fetch";
+import { cameraAddressAllowed, cameraLookup } from "./cameras.js";
+import { CaptureError, cameraError } from "./errors.js";
+import { detachLogContext, logger } from "./logger.js";
+import { ffmpegFailures } from "./metrics.js";
+import { createJpegFrameSplitter } from "./mjpeg.js";
+
+// Long-lived frame grabbers, one per camera. Each keeps its connection open
+// and holds the latest JPEG frame in memory, so a capture doesn't have to
+// spawn ffmpeg and wait for the stream to start. HTTP MJPEG streams are parsed
+// natively; RTSP and HLS go through one long-running ffmpeg pipe.
+const streams = new Map();
+
+// A frame older than this is stale: the stream has stalled and a capture
+// waits for a fresh frame instead of returning the old one
+const MAX_FRAME_AGE_MS = Number(process.env.STREAM_MAX_FRAME_AGE_MS) || 2000;
+// Reconnect when no frame arrived for this long
+const STALL_TIMEOUT_MS = Number(process.env.STREAM_STALL_TIMEOUT_MS) || 10000;
+const FIRST_FRAME_TIMEOUT_MS =
+  Number(process.env.STREAM_FIRST_FRAME_TIMEOUT_MS) || 10000;
+// Close a stream nobody has asked for frames for this long, so it doesn't
+// hold the camera (an ESP32 serves one client at a time) or keep
+// reconnecting to one that's off. The next capture opens it again.
+const IDLE_TIMEOUT_MS =
+  Number(process.env.STREAM_IDLE_TIMEOUT_MS) || 5 * 60 * 1000;
+
+const MIN_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+const FPS_WINDOW_MS = 5000;
+
+// Connections to MJPEG cameras check where the host name resolves to (see
+// cameras.js)
+const agents = {
+  "http:": new http.Agent({ lookup: cameraLookup }),
+  "https:": new https.Agent({ lookup: cameraLookup }),
+};
+
+function createCameraStream(camera) {
+  const stream = {
+    camera,
+    status: "idle",
+    latestFrame: null,
+    latestFrameAt: 0,
+    frameTimes: [],
+    frames: 0,
+    reconnects: 0,
+    lastError: null,
+    connectedAt: null,
+    backoff: MIN_BACKOFF_MS,
+    stopped: false,
+    // When a frame was last asked for, or a preview last stopped following
+    lastUsedAt: Date.now(),
+    waiters: new Set(),
+    // Called with (frame, time) for every frame, for clips
+    listeners: new Set(),
+    close: null,
+    retryTimer: null,
+    stallTimer: null,
+  };
+
+  function handleFrame(frame) {
+    const now = Date.now();
+    stream.latestFrame = frame;
+    stream.latestFrameAt = now;
+    stream.frames++;
+    stream.frameTimes.push(now);
+    trimFrameTimes(now);
+
+    if (stream.status !== "streaming") {
+      logger.info("Streaming frames", { camera: camera.id });
+      stream.status = "streaming";
+      stream.backoff = MIN_BACKOFF_MS;
+      stream.lastError = null;
+    }
+
+    armStallTimer();
+    for (const waiter of stream.waiters) waiter(frame);
+    stream.waiters.clear();
+    for (const listener of stream.listeners) listener(frame, now);
+  }
+
+  // A capture that got no frame: the camera is unreachable when connecting
+  // to it failed, otherwise it's just slow
+  function noFrameError(message) {
+    return new CaptureError(
+      stream.lastError ? "camera_unreachable" : "capture_timeout",
+      message + (stream.lastError ? ` (${stream.lastError})` : ""),
+      { stage: "capture" },
+    );
+  }
+
+  function trimFrameTimes(now) {
+    while (stream.frameTimes[0] < now - FPS_WINDOW_MS) {
+      stream.frameTimes.shift();
+    }
+  }
+
+  // Frames per second over the recent window, 0 once the stream stalls
+  function fps() {
+    trimFrameTimes(Date.now());
+    const times = stream.frameTimes;
+    if (times.length < 2) return 0;
+    const seconds = (times[times.length - 1] - times[0]) / 1000;
+    return Number(((times.length - 1) / seconds).toFixed(1));
+  }
+
+  function armStallTimer() {
+    clearTimeout(stream.stallTimer);
+    stream.stallTimer = setTimeout(() => {
+      handleFailure(
+        new CaptureError(
+          "capture_timeout",
+          `No frames for ${STALL_TIMEOUT_MS / 1000}s`,
+          { stage: "capture" },
+        ),
+      );
+    }, STALL_TIMEOUT_MS);
+  }
+
+  function handleFailure(error) {
+    if (stream.stopped || stream.status === "reconnecting") return;
+
+    logger.error("Stream error", { camera: camera.id, error: error.message });
+    ffmpegFailures.inc({ camera: camera.id, kind: "stream" });
+    stream.status = "reconnecting";
+    stream.lastError = error.message;
+    teardown();
+
+    // Captures waiting for a frame fail now rather than at their timeout
+    for (const waiter of stream.waiters) waiter(null, error);
+    stream.waiters.clear();
+
+    const delay = stream.backoff;
+    stream.backoff = Math.min(stream.backoff * 2, MAX_BACKOFF_MS);
+    stream.retryTimer = setTimeout(() => {
+      stream.reconnects++;
+      connect();
+    }, delay);
+  }
+
+  function teardown() {
+    clearTimeout(stream.stallTimer);
+    if (stream.close) {
+      stream.close();
+      stream.close = null;
+    }
+  }
+
+  function connect() {
+    if (stream.stopped) return;
+
+    logger.info("Connecting to stream", { camera: camera.id });
+    stream.status = "connecting";
+    stream.connectedAt = new Date().toISOString();
+    armStallTimer();
+
+    const push = createJpegFrameSplitter(handleFrame);
+    if (camera.protocol === "rtsp" || camera.protocol === "hls") {
+      connectFfmpeg(push);
+    } else {
+      connectMjpeg(push);
+    }
+  }
+
+  function connectMjpeg(push) {
+    const controller = new AbortController();
+    stream.close = () => controller.abort();
+
+    // A redirect could lead anywhere, past the camera host checks
+    fetch(camera.url, {
+      signal: controller.signal,
+      redirect: "manual",
+      agent: (url) => agents[url.protocol],
+    })
+      .then(async (response) => {
+        if (response.status >= 300 && response.status < 400) {
+          throw new Error(
+            `Camera redirected to ${response.headers.get("location")}, which isn't followed`,
+          );
+        }
+        if (!response.ok) {
+          throw new Error(`Camera responded with HTTP ${response.status}`);
+        }
+        for await (const chunk of response.body) push(chunk);
+        throw new Error("Stream ended");
+      })
+      .catch((error) => {
+        if (!controller.signal.aborted) handleFailure(error);
+      });
+  }
+
+  // ffmpeg resolves host names itself, so they're checked beforehand
+  async function connectFfmpeg(push) {
+    let closed = false;
+    stream.close = () => (closed = true);
+    if (!(await cameraAddressAllowed(camera.url))) {
+      handleFailure(new Error(`${camera.name} is at an internal address`));
+      return;
+    }
+    if (closed) return;
+
+    const command = ffmpeg(camera.url)
+      .inputOptions(
+        camera.protocol === "rtsp" ? ["-rtsp_transport", "tcp"] : [],
+      )
+      .outputOptions(["-f", "image2pipe", "-vcodec", "mjpeg", "-q:v", "3"])
+      .size(camera.resolution || "640x360");
+
+    let killed = false;
+    stream.close = () => {
+      killed = true;
+      command.kill("SIGKILL");
+    };
+
+    command.on("error", (error) => {
+      if (!killed) handleFailure(error);
+    });
+    command.on("end", () => {
+      if (!killed) handleFailure(new Error("Stream ended"));
+    });
+    command.pipe().on("data", push);
+  }
+
+  stream.start = () => {
+    if (stream.status === "idle") detachLogContext(connect);
+  };
+
+  // Someone is waiting for a frame, so don't wait out the backoff: either the
+  // camera is back, or the capture fails right away
+  function reconnectNow() {
+    if (stream.status !== "reconnecting") return;
+    clearTimeout(stream.retryTimer);
+    stream.reconnects++;
+    detachLogContext(connect);
+  }
+
+  stream.stop = () => {
+    stream.stopped = true;
+    stream.status = "stopped";
+    clearTimeout(stream.retryTimer);
+    teardown();
+    for (const waiter of stream.waiters) waiter(null);
+    stream.waiters.clear();
+  };
+
+  // Resolves with the latest frame, or waits for the next one when there's no
+  // fresh frame yet
+  stream.grab = ({ timeoutMs = FIRST_FRAME_TIMEOUT_MS } = {}) => {
+    stream.lastUsedAt = Date.now();
+    stream.start();
+    reconnectNow();
+
+    if (
+      stream.latestFrame &&
+      Date.now() - stream.latestFrameAt <= MAX_FRAME_AGE_MS
+    ) {
+      return Promise.resolve(stream.latestFrame);
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        stream.waiters.delete(waiter);
+        reject(
+          noFrameError(`Timed out waiting for a frame from ${camera.name}`),
+        );
+      }, timeoutMs);
+
+      const waiter = (frame, error) => {
+        clearTimeout(timer);
+        if (frame) {
+          resolve(frame);
+        } else if (error) {
+          reject(cameraError(error));
+        } else {
+          reject(
+            new CaptureError(
+              "capture_failed",
+              `Stream for ${camera.name} was stopped`,
+              { stage: "capture" },
+            ),
+          );
+        }
+      };
+      stream.waiters.add(waiter);
+    });
+  };
+
+  // Resolves with every frame that arrives in the next `durationMs` as
+  // { frame, time }
+  stream.collect = (durationMs) => {
+    stream.lastUsedAt = Date.now();
+    stream.start();
+
+    return new Promise((resolve, reject) => {
+      const frames = [];
+      const listener = (frame, time) => frames.push({ frame, time });
+      stream.listeners.add(listener);
+
+      setTimeout(() => {
+        stream.listeners.delete(listener);
+        stream.lastUsedAt = Date.now();
+        if (frames.length > 0) {
+          resolve(frames);
+        } else {
+          reject(
+            noFrameError(
+              `No frames from ${camera.name} in ${durationMs / 1000}s`,
+            ),
+          );
+        }
+      }, durationMs);
+    });
+  };
+
+  // Calls `listener(frame, time)` with every frame until the returned
+  // function is called
+  stream.subscribe = (listener) => {
+    stream.start();
+    reconnectNow();
+    stream.listeners.add(listener);
+    return () => {
+      stream.listeners.delete(listener);
+      stream.lastUsedAt = Date.now();
+    };
+  };
+
+  // Nobody follows its frames or waits for one, and none was asked for in
+  // IDLE_TIMEOUT_MS
+  stream.idle = (now) =>
+    stream.listeners.size === 0 &&
+    stream.waiters.size === 0 &&
+    now - stream.lastUsedAt > IDLE_TIMEOUT_MS;
+
+  stream.stats = () => ({
+    camera: { id: camera.id, name: camera.name },
+    status: stream.status,
+    fps: fps(),
+    frames: stream.frames,
+    reconnects: stream.reconnects,
+    lastFrameAt: stream.latestFrameAt
+      ? new Date(stream.latestFrameAt).toISOString()
+      : null,
+    connectedAt: stream.connectedAt,
+    lastError: stream.lastError,
+  });
+
+  return stream;
+}
+
+function getStream(camera) {
+  let stream = streams.get(camera.id);
+
+  // Settings that change how we connect mean starting over
+  if (
+    stream &&
+    (stream.camera.url !== camera.url ||
+      stream.camera.protocol !== camera.protocol ||
+      stream.camera.resolution !== camera.resolution)
+  ) {
+    stopStream(camera.id);
+    stream = null;
+  }
+
+  if (!stream) {
+    stream = createCameraStream({ ...camera });
+    streams.set(camera.id, stream);
+  }
+  return stream;
+}
+
+// Latest JPEG frame from the camera, opening its stream on first use
+export function grabFrame(camera, options) {
+  return getStream(camera).grab(options);
+}
+
+// Every frame from the camera over the next `durationMs`
+export function collectFrames(camera, durationMs) {
+  return getStream(camera).collect(durationMs);
+}
+
+// Follows the camera's frames as they arrive, for previews. Returns a
+// function that stops following.
+export function subscribeFrames(camera, listener) {
+  return getStream(camera).subscribe(listener);
+}
+
+export function stopStream(cameraId) {
+  const stream = streams.get(cameraId);
+  if (!stream) return false;
+
+  stream.stop();
+  streams.delete(cameraId);
+  logger.info("Closed stream", { camera: stream.camera.id });
+  return true;
+}
+
+const idleSweep = setInterval(
+  () => {
+    const now = Date.now();
+    for (const [cameraId, stream] of streams) {
+      if (stream.idle(now)) {
+        logger.info("Stream unused", {
+          camera: cameraId,
+          idleTimeoutMs: IDLE_TIMEOUT_MS,
+        });
+        stopStream(cameraId);
+      }
+    }
+  },
+  Math.min(IDLE_TIMEOUT_MS, 60 * 1000),
+);
+idleSweep.unref();
+
+export function listStreamStats() {
+  return [...streams.values()].map((stream) => stream.stats());
+}
@@ -0,0 +1,418 @@
+import { listCameras, resolveCamera } from "./cameras.js";
+import { captureAndAnalyze, captureOutput } from "./capture.js";
+import { CaptureError, errorOutput } from "./errors.js";
+import { logger } from "./logger.js";
+import { searchMemory } from "./memory.js";
+import { continueReading } from "./reading.js";
+import { BUILTIN_REGIONS, MAX_UPSCALE } from "./regions.js";
+import { startWatch, stopAllWatches, stopWatch, watchOwner } from "./watch.js";
+
+// Tools implemented on the server, so the relay (and any client) can run
+// them without a browser. Each tool has a Realtime function definition and a
+// run(args, { onProgress, user, connection }) returning { output, display }:
+// `output` is sent back to the model as the function_call_output, `display`
+// is extra data for the UI such as the captured image. Tools that call the vision model report
+// its answer through onProgress as it streams in, and are marked `slow` so the
+// Realtime model can say something while they run.
+
+function cameraParameter(description) {
+  const names = listCameras().map((camera) => camera.name);
+  return {
+    type: "string",
+    description,
+    ...(names.length > 0 && { enum: names }),
+  };
+}
+
+function findCamera(name) {
+  const camera = resolveCamera(name);
+  if (!camera) {
+    throw new CaptureError(
+      "invalid_request",
+      name ? `Unknown camera: ${name}` : "No cameras are configured",
+    );
+  }
+  return camera;
+}
+
+// Built-in regions plus the ones cameras define, e.g.
+// "Kitchen: thermostat, oven clock"
+function regionDescription() {
+  const cameraRegions = listCameras()
+    .filter((camera) => Object.keys(camera.regions || {}).length > 0)
+    .map(
+      (camera) => `${camera.name}: ${Object.keys(camera.regions).join(", ")}`,
+    );
+  return (
+    `Optional named region to zoom into: ${Object.keys(BUILTIN_REGIONS).join(", ")}` +
+    (cameraRegions.length > 0
+      ? `, or one the camera defines (${cameraRegions.join("; ")}).`
+      : ".")
+  );
+}
+
+function timestampArgument(name, value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be an ISO 8601 timestamp`);
+  }
+  return date.toISOString();
+}
+
+const tools = {
+  take_picture: {
+    definition: () => ({
+      type: "function",
+      name: "take_picture",
+      description:
+        "Captures an image from a camera and analyzes its contents. Use this when the user asks to take a picture, capture an image, analyze what's in the camera, or similar requests, including questions about a frame they picked in the live preview, which is then analyzed instead of a new picture.",
+      parameters: {
+        type: "object",
+        properties: {
+          prompt: {
+            type: "string",
+            description:
+              "Optional prompt to guide the image analysis. If not provided, a general description will be returned.",
+          },
+          camera: cameraParameter(
+            "Optional name of the camera to use. If not provided, the default camera is used.",
+          ),
+          source: {
+            type: "string",
+            enum: ["camera", "webcam", "screen"],
+            description:
+              "Optional image source: a configured camera, the user's webcam, or the screen the user is sharing. Use 'screen' when the user asks about what's on their screen. If not provided, the source the user selected is used.",
+          },
+          mode: {
+            type: "string",
+            enum: ["single", "burst", "clip"],
+            description:
+              "Optional capture mode. 'single' (the default) takes one picture. Use 'burst' (a few pictures over a few seconds) or 'clip' (a short recording) for questions about movement or change over time, like whether a door is opening or closing or whether a light blinked.",
+          },
+          frames: {
+            type: "number",
+            description:
+              "Optional number of frames to analyze for a burst or clip, 2 to 10. Defaults to 4 for a burst and 6 for a clip.",
+          },
+          duration: {
+            type: "number",
+            description:
+              "Optional number of seconds a burst or clip spans, up to 10. Defaults to 2 for a burst and 3 for a clip.",
+          },
+          task: {
+            type: "string",
+            enum: ["describe", "detect", "read"],
+            description:
+              "Optional analysis task. 'describe' (the default) returns a description. Use 'detect' to get a list of the objects in a single picture with their locations, for counting things ('how many cups are on the table?') or finding where something is. Use 'read' when the user wants text read to them ('read this to me'): it returns the text word for word, one part at a time.",
+          },
+        },
+        required: [],
+      },
+    }),
+    slow: true,
+    async run(
+      { prompt, camera, source, mode, frames, duration, task },
+      { onProgress, user } = {},
+    ) {
+      // Webcam and screen frames only exist in the browser, which captures
+      // them itself and uploads them to /analyze-image
+      if (source && source !== "camera") {
+        throw new CaptureError(
+          "invalid_request",
+          `The ${source} can only be captured by the browser, not by the server`,
+        );
+      }
+
+      const result = await captureAndAnalyze({
+        camera: findCamera(camera),
+        prompt,
+        mode,
+        frames,
+        duration,
+        task,
+        onProgress,
+        user,
+      });
+      return {
+        output: { status: "success", result: captureOutput(result) },
+        display: result,
+      };
+    },
+  },
+
+  zoom_picture: {
+    definition: () => ({
+      type: "function",
+      name: "zoom_picture",
+      description:
+        "Captures a close-up of part of a camera's view at full resolution and analyzes it. Use this for small details a whole picture loses, like reading a label, a thermostat or a display, or when the user asks to zoom in on something. Pass either a region or a box.",
+      parameters: {
+        type: "object",
+        properties: {
+          region: {
+            type: "string",
+            description: regionDescription(),
+          },
+          box: {
+            type: "array",
+            items: { type: "number" },
+            description:
+              "Optional area to zoom into as [x_min, y_min, x_max, y_max], fractions of the picture's width and height from 0 to 1 measured from the top left, e.g. a box from object detection.",
+          },
+          upscale: {
+            type: "number",
+            description: `Optional factor to enlarge the close-up by, 1 to ${MAX_UPSCALE}. Defaults to 1; use 2 or more for tiny text.`,
+          },
+          prompt: {
+            type: "string",
+            description:
+              "Optional prompt to guide the analysis, e.g. 'what temperature is the thermostat set to?'.",
+          },
+          task: {
+            type: "string",
+            enum: ["describe", "detect", "read"],
+            description:
+              "Optional analysis task, as for take_picture. Use 'read' to read a page or sign in the region aloud word for word.",
+          },
+          camera: cameraParameter(
+            "Optional name of the camera to use. If not provided, the default camera is used.",
+          ),
+        },
+        required: [],
+      },
+    }),
+    slow: true,
+    async run(
+      { region, box, upscale, prompt, camera, task },
+      { onProgress, user } = {},
+    ) {
+      if (!region && !box) {
+        throw new CaptureError(
+          "invalid_request",
+          "Pass a region or a box to zoom into",
+        );
+      }
+
+      const result = await captureAndAnalyze({
+        camera: findCamera(camera),
+        prompt,
+        task,
+        zoom: { region, box, upscale },
+        onProgress,
+        user,
+      });
+      return {
+        output: { status: "success", result: captureOutput(result) },
+        display: result,
+      };
+    },
+  },
+
+  continue_reading: {
+    definition: () => ({
+      type: "function",
+      name: "continue_reading",
+      description:
+        "Moves through text read with take_picture's 'read' task. Use this when the user says 'continue', 'go back', 'repeat that' or 'start over' while you are reading to them.",
+      parameters: {
+        type: "object",
+        properties: {
+          action: {
+            type: "string",
+            enum: ["next", "previous", "repeat", "restart"],
+            description:
+              "Which part to read: the next one (the default), the previous one, the same one again, or the first one.",
+          },
+          part: {
+            type: "number",
+            description: "Optional part number to jump to, starting at 1.",
+          },
+          document: {
+            type: "string",
+            description:
+              "Optional document id from an earlier result. Defaults to the text read last.",
+          },
+        },
+        required: [],
+      },
+    }),
+    async run({ action, part, document }, { user } = {}) {
+      const result = continueReading({ action, part, document, user });
+      return {
+        output: { status: "success", result },
+        display: result,
+      };
+    },
+  },
+
+  search_visual_memory: {
+    definition: () => ({
+      type: "function",
+      name: "search_visual_memory",
+      description:
+        "Searches earlier pictures and watch alerts by what was seen in them. Use this to answer questions about the past, like 'when did you last see my keys?' or 'was anyone at the door this morning?'. Results include when each picture was taken and what it showed.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: {
+            type: "string",
+            description:
+              "What to look for, e.g. 'keys' or 'person at the front door'.",
+          },
+          camera: {
+            type: "string",
+            description: "Optional name of the camera to search.",
+          },
+          since: {
+            type: "string",
+            description:
+              "Optional ISO 8601 timestamp; only pictures taken after it are searched.",
+          },
+          until: {
+            type: "string",
+            description:
+              "Optional ISO 8601 timestamp; only pictures taken before it are searched.",
+          },
+          limit: {
+            type: "number",
+            description:
+              "Optional maximum number of results, 1 to 20. Defaults to 5.",
+          },
+        },
+        required: ["query"],
+      },
+    }),
+    async run({ query, camera, since, until, limit }, { user } = {}) {
+      const results = await searchMemory({
+        user,
+        query,
+        camera,
+        since: timestampArgument("since", since),
+        until: timestampArgument("until", until),
+        limit: Math.min(Math.max(Math.round(Number(limit) || 5), 1), 20),
+      });
+      return {
+        output: {
+          status: "success",
+          result: {
+            // The model doesn't know the time, so it can't tell how long ago
+            // a picture was taken without it
+            now: new Date().toISOString(),
+            matches: results.map((entry) => ({
+              timestamp: entry.timestamp,
+              camera: entry.camera?.name || entry.source,
+              analysis: entry.analysis,
+            })),
+          },
+        },
+        display: { query, results },
+      };
+    },
+  },
+
+  start_watch: {
+    definition: () => ({
+      type: "function",
+      name: "start_watch",
+      description:
+        "Starts watching a camera continuously and reports when the scene changes, e.g. someone walks in. Use this when the user asks you to keep an eye on something, monitor a camera, or tell them when something happens.",
+      parameters: {
+        type: "object",
+        properties: {
+          camera: cameraParameter(
+            "Optional name of the camera to watch. If not provided, the default camera is used.",
+          ),
+          interval: {
+            type: "number",
+            description:
+              "Optional number of seconds between checks. Defaults to 10.",
+          },
+          prompt: {
+            type: "string",
+            description:
+              "Optional description of what the user wants to be alerted about, e.g. 'the cat jumping on the table'.",
+          },
+        },
+        required: [],
+      },
+    }),
+    async run({ camera, interval, prompt }, { user, connection } = {}) {
+      const watch = startWatch(findCamera(camera), {
+        interval,
+        prompt,
+        user,
+        connection,
+      });
+      return { output: { status: "success", result: watch } };
+    },
+  },
+
+  stop_watch: {
+    definition: () => ({
+      type: "function",
+      name: "stop_watch",
+      description:
+        "Stops watching a camera. Use this when the user asks you to stop monitoring.",
+      parameters: {
+        type: "object",
+        properties: {
+          camera: cameraParameter(
+            "Optional name of the camera to stop watching. If not provided, all of this session's watches are stopped.",
+          ),
+        },
+        required: [],
+      },
+    }),
+    async run({ camera }, { user, connection } = {}) {
+      const owner = watchOwner(user, connection);
+      if (!camera) {
+        return {
+          output: {
+            status: "success",
+            result: { stopped: stopAllWatches(owner) },
+          },
+        };
+      }
+
+      const { id } = findCamera(camera);
+      if (!stopWatch(id, owner)) {
+        throw new Error(`Not watching camera: ${camera}`);
+      }
+      return { output: { status: "success", result: { stopped: [id] } } };
+    },
+  },
+};
+
+export function isServerTool(name) {
+  return Object.hasOwn(tools, name);
+}
+
+export function isSlowTool(name) {
+  return Boolean(tools[name]?.slow);
+}
+
+export function serverToolDefinitions() {
+  return Object.values(tools).map((tool) => tool.definition());
+}
+
+// Runs a server tool, turning failures into an error output the model can
+// explain to the user (see errors.js). `user` is who the tool runs for, for
+// metering, and `connection` the session it runs in, which owns the watches
+// it starts.
+export async function runServerTool(
+  name,
+  args = {},
+  { onProgress, user, connection } = {},
+) {
+  if (!isServerTool(name)) {
+    return { output: { status: "error", error: `Unknown tool: ${name}` } };
+  }
+
+  try {
+    return await tools[name].run(args, { onProgress, user, connection });
+  } catch (error) {
+    logger.error("Tool failed", { tool: name, error });
+    return { output: errorOutput(error) };
+  }
+}
@@ -0,0 +1,275 @@
+import fs from "fs";
+import path from "path";
+import { CaptureError } from "./errors.js";
+import { logger } from "./logger.js";
+
+// Usage metering: every capture's vision tokens, the Realtime usage the
+// client reports from response.done, and session lengths, per user and per
+// camera. Records are appended to data/usage.jsonl (or USAGE_FILE), one per
+// line:
+//
+//   { timestamp, kind: "capture" | "realtime" | "session", user, camera,
+//     source, provider, model, inputTokens, outputTokens, costUsd,
+//     durationMs }
+//
+// Days are UTC. USAGE_DAILY_BUDGET and USAGE_USER_DAILY_BUDGET (in USD) cap
+// what all users, and each user, can spend a day; past them /token and
+// captures are refused with budget_exceeded.
+const usageFile =
+  process.env.USAGE_FILE || path.join(process.cwd(), "data", "usage.jsonl");
+
+function budget(name) {
+  const value = Number(process.env[name]);
+  return value > 0 ? value : null;
+}
+
+export const BUDGETS = {
+  dailyUsd: budget("USAGE_DAILY_BUDGET"),
+  userDailyUsd: budget("USAGE_USER_DAILY_BUDGET"),
+};
+
+// USD per million tokens, matched by the longest model name prefix. Models
+// without a price (local Ollama models, the mocks) cost nothing. Cached
+// input is counted at the full price, so costs err high.
+const VISION_PRICES = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+};
+const REALTIME_PRICES = {
+  "gpt-4o-realtime-preview": {
+    text: { input: 5, output: 20 },
+    audio: { input: 40, output: 80 },
+  },
+  "gpt-4o-realtime-preview-2024-10-01": {
+    text: { input: 5, output: 20 },
+    audio: { input: 100, output: 200 },
+  },
+  "gpt-4o-mini-realtime-preview": {
+    text: { input: 0.6, output: 2.4 },
+    audio: { input: 10, output: 20 },
+  },
+};
+
+function priceFor(prices, model = "") {
+  const match = Object.keys(prices)
+    .filter((prefix) => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+}
+
+function tokens(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.round(number) : 0;
+}
+
+function dollars(tokenCount, perMillion) {
+  return (tokenCount * perMillion) / 1e6;
+}
+
+let records = null;
+// Spend per day, and per day and user, for the budget checks
+const spent = new Map();
+
+function addSpend(record) {
+  const day = record.timestamp.slice(0, 10);
+  for (const key of [day, `${day}:${record.user}`]) {
+    spent.set(key, (spent.get(key) || 0) + record.costUsd);
+  }
+}
+
+function load() {
+  if (records) return records;
+
+  records = [];
+  if (fs.existsSync(usageFile)) {
+    for (const line of fs.readFileSync(usageFile, "utf-8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // A line cut short by a crash
+      }
+    }
+  }
+  records.forEach(addSpend);
+  return records;
+}
+
+function addRecord(fields, user) {
+  const record = {
+    timestamp: new Date().toISOString(),
+    kind: null,
+    user: user?.id || "anonymous",
+    camera: null,
+    source: null,
+    provider: null,
+    model: null,
+    inputTokens: 0,
+    outputTokens: 0,
+    costUsd: 0,
+    durationMs: null,
+    ...fields,
+  };
+
+  load().push(record);
+  addSpend(record);
+  try {
+    fs.mkdirSync(path.dirname(usageFile), { recursive: true });
+    fs.appendFileSync(usageFile, `${JSON.stringify(record)}\n`);
+  } catch (error) {
+    logger.error("Failed to save usage", { error });
+  }
+  return record;
+}
+
+// A finished capture (or watch alert): its vision tokens and their cost
+export function recordCapture(result, user) {
+  const inputTokens = tokens(result.usage?.prompt_tokens);
+  const outputTokens = tokens(result.usage?.completion_tokens);
+  const price =
+    result.provider === "openai" ? priceFor(VISION_PRICES, result.model) : null;
+
+  return addRecord(
+    {
+      kind: "capture",
+      camera: result.camera?.id || null,
+      source: result.source || null,
+      provider: result.provider || null,
+      model: result.model || null,
+      inputTokens,
+      outputTokens,
+      costUsd: price
+        ? dollars(inputTokens, price.input) +
+          dollars(outputTokens, price.output)
+        : 0,
+    },
+    user,
+  );
+}
+
+// The usage of a Realtime response, as reported by the client from
+// response.done
+export function recordRealtime({ model, usage }, user) {
+  const input = usage?.input_token_details || {};
+  const output = usage?.output_token_details || {};
+  const price = priceFor(REALTIME_PRICES, model);
+  const costUsd = price
+    ? dollars(tokens(input.text_tokens), price.text.input) +
+      dollars(tokens(input.audio_tokens), price.audio.input) +
+      dollars(tokens(output.text_tokens), price.text.output) +
+      dollars(tokens(output.audio_tokens), price.audio.output)
+    : 0;
+
+  return addRecord(
+    {
+      kind: "realtime",
+      provider: "openai",
+      model: typeof model === "string" ? model : null,
+      inputTokens: tokens(usage?.input_tokens),
+      outputTokens: tokens(usage?.output_tokens),
+      costUsd,
+    },
+    user,
+  );
+}
+
+export function recordSession({ model, durationMs }, user) {
+  return addRecord(
+    {
+      kind: "session",
+      model: typeof model === "string" ? model : null,
+      durationMs: tokens(durationMs),
+    },
+    user,
+  );
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// What's been spent today, overall and by `user`
+export function spentToday(user) {
+  const day = today();
+  return {
+    costUsd: spent.get(day) || 0,
+    userCostUsd: user ? spent.get(`${day}:${user.id}`) || 0 : 0,
+  };
+}
+
+// Throws budget_exceeded when today's spending has reached a cap
+export function checkBudget(user) {
+  load();
+  const { costUsd, userCostUsd } = spentToday(user);
+  let message = null;
+  if (BUDGETS.dailyUsd !== null && costUsd >= BUDGETS.dailyUsd) {
+    message = `The daily budget of $${BUDGETS.dailyUsd} has been spent`;
+  } else if (
+    BUDGETS.userDailyUsd !== null &&
+    userCostUsd >= BUDGETS.userDailyUsd
+  ) {
+    message = `Your daily budget of $${BUDGETS.userDailyUsd} has been spent`;
+  }
+  if (message) throw new CaptureError("budget_exceeded", message);
+}
+
+function emptyTotals() {
+  return {
+    costUsd: 0,
+    captures: 0,
+    sessions: 0,
+    sessionMs: 0,
+    visionTokens: 0,
+    realtimeTokens: 0,
+  };
+}
+
+function addToTotals(totals, record) {
+  totals.costUsd += record.costUsd;
+  if (record.kind === "capture") {
+    totals.captures++;
+    totals.visionTokens += record.inputTokens + record.outputTokens;
+  } else if (record.kind === "realtime") {
+    totals.realtimeTokens += record.inputTokens + record.outputTokens;
+  } else if (record.kind === "session") {
+    totals.sessions++;
+    totals.sessionMs += record.durationMs || 0;
+  }
+}
+
+function totalsBy(list, key) {
+  const groups = new Map();
+  for (const record of list) {
+    const name = key(record);
+    if (name === null) continue;
+    if (!groups.has(name)) groups.set(name, emptyTotals());
+    addToTotals(groups.get(name), record);
+  }
+  return groups;
+}
+
+// Totals of the last `days` days: by day (newest first, every day listed),
+// by user and by camera
+export function usageSummary({ days = 30, user } = {}) {
+  const count = Math.min(Math.max(Math.round(Number(days)) || 30, 1), 366);
+  const dayList = Array.from({ length: count }, (_, i) =>
+    new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+  );
+  const since = dayList[dayList.length - 1];
+  const recent = load().filter(
+    (record) => record.timestamp.slice(0, 10) >= since,
+  );
+
+  const byDay = totalsBy(recent, (record) => record.timestamp.slice(0, 10));
+  const byUser = totalsBy(recent, (record) => record.user);
+  const byCamera = totalsBy(recent, (record) => record.camera);
+  return {
+    days: dayList.map((day) => ({ day, ...(byDay.get(day) || emptyTotals()) })),
+    users: [...byUser].map(([user, totals]) => ({ user, ...totals })),
+    cameras: [...byCamera].map(([camera, totals]) => ({ camera, ...totals })),
+    budgets: BUDGETS,
+    today: spentToday(user),
+  };
+}
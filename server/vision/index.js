@@ -0,0 +1,158 @@
+import { CaptureError } from "../errors.js";
+import { logger } from "../logger.js";
+import { timeStage, visionRequests } from "../metrics.js";
+import { withRetries } from "../retry.js";
+import createMockProvider from "./mock.js";
+import createOllamaProvider from "./ollama.js";
+import createOpenAIProvider from "./openai.js";
+
+// Vision providers share one interface:
+//   analyze({ prompt, images: [{ data: Buffer, mimeType }], model, maxTokens,
+//             json, onDelta })
+//     -> { text, model, usage }
+// With `json` the provider asks the model for a JSON object instead of prose.
+// With `onDelta` it streams the answer, calling onDelta with each piece of
+// text as it arrives, and still resolves with the whole result. `signal`
+// aborts the request. Failures are CaptureErrors (see errors.js).
+// The default is picked with VISION_PROVIDER and can be overridden per request.
+const providers = {
+  openai: createOpenAIProvider(),
+  ollama: createOllamaProvider(),
+  mock: createMockProvider(),
+};
+
+export const DEFAULT_PROMPT =
+  "Describe what's in this image clearly and conversationally and concisely, in a way that would sound natural if spoken aloud.";
+
+const defaultProvider = process.env.VISION_PROVIDER || "openai";
+// Models a request may ask for besides each provider's default, since the
+// server's key pays for them
+const extraModels = (process.env.VISION_MODELS || "")
+  .split(",")
+  .map((model) => model.trim())
+  .filter(Boolean);
+const defaultMaxTokens = Number(process.env.VISION_MAX_TOKENS) || 300;
+// Per attempt, including streaming the whole answer
+const VISION_TIMEOUT_MS = Number(process.env.VISION_TIMEOUT_MS) || 60000;
+
+// The model a provider uses when a request doesn't name one. VISION_MODEL
+// only applies to the env-selected provider, so asking for a different
+// provider per request doesn't inherit a model it can't serve.
+function defaultModelOf(provider) {
+  return (
+    (provider.name === defaultProvider && process.env.VISION_MODEL) ||
+    provider.defaultModel
+  );
+}
+
+// The models requests may pick for a provider: its default plus VISION_MODELS
+export function visionModels(provider) {
+  return [...new Set([defaultModelOf(provider), ...extraModels])];
+}
+
+export function listVisionProviders() {
+  return {
+    default: defaultProvider,
+    providers: Object.values(providers).map((provider) => ({
+      name: provider.name,
+      defaultModel: defaultModelOf(provider),
+      models: visionModels(provider),
+    })),
+  };
+}
+
+export function getVisionProvider(name = defaultProvider) {
+  return providers[name] || null;
+}
+
+export async function analyzeImages({
+  images,
+  prompt,
+  provider: providerName,
+  model,
+  maxTokens = defaultMaxTokens,
+  json = false,
+  onDelta,
+}) {
+  const provider = getVisionProvider(providerName || undefined);
+  if (!provider) {
+    throw new CaptureError(
+      "invalid_request",
+      `Unknown vision provider: ${providerName}`,
+    );
+  }
+
+  const resolvedModel = model || defaultModelOf(provider);
+
+  logger.info("Sending images to vision provider", {
+    images: images.length,
+    provider: provider.name,
+    model: resolvedModel,
+  });
+  // A streamed answer can't be taken back once part of it was shown, so
+  // only failures before the first piece are retried
+  let streamed = false;
+  const result = await timeStage("vision", () =>
+    withRetries(
+      "vision",
+      async () => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), VISION_TIMEOUT_MS);
+        try {
+          const answer = await provider.analyze({
+            prompt: prompt || DEFAULT_PROMPT,
+            images,
+            model: resolvedModel,
+            maxTokens,
+            json,
+            onDelta:
+              onDelta &&
+              ((text) => {
+                streamed = true;
+                onDelta(text);
+              }),
+            signal: controller.signal,
+          });
+          visionRequests.inc({ provider: provider.name, status: "200" });
+          return answer;
+        } catch (error) {
+          const failure = visionError(error, controller.signal.aborted);
+          visionRequests.inc({
+            provider: provider.name,
+            status: String(
+              failure.upstreamStatus ||
+                (failure.code === "vision_timeout" ? "timeout" : "error"),
+            ),
+          });
+          throw failure;
+        } finally {
+          clearTimeout(timer);
+        }
+      },
+      { canRetry: () => !streamed },
+    ),
+  );
+
+  return { ...result, provider: provider.name };
+}
+
+// Types the network and parsing failures the providers don't
+function visionError(error, timedOut) {
+  if (error instanceof CaptureError) return error;
+  if (timedOut) {
+    return new CaptureError(
+      "vision_timeout",
+      `The vision model didn't answer within ${VISION_TIMEOUT_MS / 1000}s`,
+      { stage: "vision", cause: error },
+    );
+  }
+  // Unparseable or unexpectedly shaped responses
+  const code =
+    error instanceof SyntaxError || error instanceof TypeError
+      ? "vision_bad_response"
+      : "vision_unavailable";
+  return new CaptureError(code, `Vision API error: ${error.message}`, {
+    stage: "vision",
+    cause: error,
+  });
+}
@@ -0,0 +1,14 @@
+// Splits a streamed response body into lines, for the providers' streaming
+// modes (server-sent events from OpenAI, newline-delimited JSON from Ollama)
+export async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffered = "";
+  for await (const chunk of body) {
+    buffered += decoder.decode(chunk, { stream: true });
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+    yield* lines;
+  }
+  buffered += decoder.decode();
+  if (buffered) yield buffered;
+}
@@ -0,0 +1,88 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import { CaptureError } from "../errors.js";
+import { NO_TEXT } from "../reading.js";
+
+// Deterministic provider for offline development and CI: the same images and
+// prompt always produce the same text, and no network is touched. Reading
+// prompts (which mention NO_TEXT) get a page long enough for a few
+// continue_reading parts, detection a fixed JSON answer.
+// VISION_MOCK_ERROR (an error code such as vision_rate_limited) makes every
+// request fail, for trying out error handling.
+const STREAM_DELAY = 20;
+
+export default function createMockProvider({
+  fixedResponse = process.env.VISION_MOCK_RESPONSE,
+  failWith = process.env.VISION_MOCK_ERROR,
+} = {}) {
+  return {
+    name: "mock",
+    defaultModel: "mock-vision",
+
+    async analyze({ prompt, images, model, json, onDelta }) {
+      if (failWith) {
+        throw new CaptureError(failWith, `Mock vision error: ${failWith}`, {
+          stage: "vision",
+        });
+      }
+      if (fixedResponse) {
+        await streamWords(fixedResponse, onDelta);
+        return { text: fixedResponse, model, usage: null };
+      }
+
+      const hash = crypto.createHash("sha256").update(prompt);
+      const sizes = [];
+      for (const image of images) {
+        hash.update(image.data);
+        const { width, height } = await sharp(image.data).metadata();
+        sizes.push(`${width}x${height}`);
+      }
+      const digest = hash.digest("hex").slice(0, 8);
+
+      let text =
+        `Mock analysis ${digest}: ${images.length} image(s) ` +
+        `(${sizes.join(", ")}) for the prompt "${prompt}".`;
+      if (prompt.includes(NO_TEXT)) {
+        text = mockPage(digest);
+      } else if (json) {
+        // Shaped like an object detection answer, with two fixed boxes
+        text = JSON.stringify({
+          summary: `Mock detection ${digest}: two objects.`,
+          objects: [
+            { label: "object", box: [0.1, 0.1, 0.4, 0.5], confidence: 0.9 },
+            { label: "object", box: [0.5, 0.4, 0.9, 0.9], confidence: 0.6 },
+          ],
+        });
+      }
+
+      await streamWords(text, onDelta);
+      return {
+        text,
+        model,
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      };
+    },
+  };
+}
+
+// Shaped like a transcription: a heading and four paragraphs, each too long
+// to share a part with the next at the default READING_PART_CHARS
+function mockPage(digest) {
+  const paragraphs = [1, 2, 3, 4].map((paragraph) =>
+    Array.from(
+      { length: 6 },
+      (_, sentence) =>
+        `Paragraph ${paragraph}, sentence ${sentence + 1} of mock page ${digest}, read word for word.`,
+    ).join(" "),
+  );
+  return [`# Mock page ${digest}`, ...paragraphs].join("\n\n");
+}
+
+// Streams the text a word at a time, like a real model would
+async function streamWords(text, onDelta) {
+  if (!onDelta) return;
+  for (const word of text.match(/\S+\s*/g) || []) {
+    onDelta(word);
+    await new Promise((resolve) => setTimeout(resolve, STREAM_DELAY));
+  }
+}
@@ -0,0 +1,77 @@
+import fetch from "node-fetch";
+import { visionHttpError } from "../errors.js";
+import { logger } from "../logger.js";
+import { readLines } from "./lines.js";
+
+// A local Ollama-style endpoint (POST /api/chat with base64 images), for
+// running against a self-hosted model such as llava on the LAN.
+export default function createOllamaProvider({
+  baseUrl = process.env.OLLAMA_URL || "http://localhost:11434",
+  defaultModel = process.env.OLLAMA_MODEL || "llava",
+} = {}) {
+  return {
+    name: "ollama",
+    defaultModel,
+
+    async analyze({ prompt, images, model, maxTokens, json, onDelta, signal }) {
+      const response = await fetch(`${baseUrl.replace(/\/$/, "")}/api/chat`, {
+        method: "POST",
+        signal,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          model,
+          stream: Boolean(onDelta),
+          ...(json && { format: "json" }),
+          messages: [
+            {
+              role: "user",
+              content: prompt,
+              images: images.map((image) => image.data.toString("base64")),
+            },
+          ],
+          options: { num_predict: maxTokens },
+        }),
+      });
+
+      logger.debug("Ollama response", { status: response.status });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        logger.error("Ollama error", {
+          status: response.status,
+          error: errorData.error,
+        });
+        throw visionHttpError(response, errorData.error);
+      }
+
+      if (!onDelta) return toResult(await response.json(), model);
+
+      // Streamed replies are one JSON object per line; the last one has
+      // done: true and the token counts
+      let text = "";
+      let last = {};
+      for await (const line of readLines(response.body)) {
+        if (!line.trim()) continue;
+        last = JSON.parse(line);
+        const delta = last.message?.content;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      }
+      return toResult({ ...last, message: { content: text } }, model);
+    },
+  };
+}
+
+function toResult(data, model) {
+  return {
+    text: data.message.content,
+    model: data.model || model,
+    usage: {
+      prompt_tokens: data.prompt_eval_count || 0,
+      completion_tokens: data.eval_count || 0,
+      total_tokens: (data.prompt_eval_count || 0) + (data.eval_count || 0),
+    },
+  };
+}
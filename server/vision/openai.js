@@ -0,0 +1,94 @@
+import fetch from "node-fetch";
+import { visionHttpError } from "../errors.js";
+import { logger } from "../logger.js";
+import { readLines } from "./lines.js";
+
+// Any endpoint that speaks the OpenAI chat completions API with image_url
+// content parts (OpenAI itself, vLLM, LM Studio, llama.cpp server, ...).
+export default function createOpenAIProvider({
+  baseUrl = process.env.VISION_BASE_URL || "https://api.openai.com/v1",
+  apiKey = process.env.VISION_API_KEY || process.env.OPENAI_API_KEY,
+  defaultModel = "gpt-4o",
+} = {}) {
+  return {
+    name: "openai",
+    defaultModel,
+
+    async analyze({ prompt, images, model, maxTokens, json, onDelta, signal }) {
+      const url = `${baseUrl.replace(/\/$/, "")}/chat/completions`;
+      const response = await fetch(url, {
+        method: "POST",
+        signal,
+        headers: {
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          model,
+          messages: [
+            {
+              role: "user",
+              content: [
+                { type: "text", text: prompt },
+                ...images.map((image) => ({
+                  type: "image_url",
+                  image_url: {
+                    url: `data:${image.mimeType};base64,${image.data.toString("base64")}`,
+                  },
+                })),
+              ],
+            },
+          ],
+          max_tokens: maxTokens,
+          ...(json && { response_format: { type: "json_object" } }),
+          ...(onDelta && {
+            stream: true,
+            stream_options: { include_usage: true },
+          }),
+        }),
+      });
+
+      logger.debug("Vision API response", { status: response.status });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        logger.error("Vision API error", {
+          status: response.status,
+          error: errorData.error?.message,
+        });
+        throw visionHttpError(response, errorData.error?.message);
+      }
+
+      if (onDelta) return readStream(response.body, model, onDelta);
+
+      const data = await response.json();
+      return {
+        text: data.choices[0].message.content,
+        model: data.model || model,
+        usage: data.usage || null,
+      };
+    },
+  };
+}
+
+// Reads a streamed chat completion, passing each piece of text to onDelta as
+// it arrives
+async function readStream(body, model, onDelta) {
+  let text = "";
+  let usage = null;
+  for await (const line of readLines(body)) {
+    if (!line.startsWith("data:")) continue;
+    const payload = line.slice(5).trim();
+    if (payload === "[DONE]") break;
+
+    const chunk = JSON.parse(payload);
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      text += delta;
+      onDelta(delta);
+    }
+    model = chunk.model || model;
+    usage = chunk.usage || usage;
+  }
+  return { text, model, usage };
+}
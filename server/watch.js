@@ -0,0 +1,314 @@
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import sharp from "sharp";
+import { captureFrame, processFrame } from "./capture.js";
+import { detachLogContext, logger } from "./logger.js";
+import { rememberResult } from "./memory.js";
+import { checkBudget, recordCapture } from "./usage.js";
+import { analyzeImages } from "./vision/index.js";
+
+// Watch mode: sample a camera every few seconds, compare each frame with the
+// previous one and only ask the vision model about frames that changed.
+// Each watch belongs to whoever started it (see watchOwner): only they can
+// stop it, and only their subscribers (the /watch/events stream, their relay
+// session) receive its watch.* events. Every alert is a paid vision call, so
+// an owner's watches stop once nobody has subscribed to them for a while.
+const watchEvents = new EventEmitter();
+
+// By owner and camera; one owner has at most one watch per camera
+const watches = new Map();
+
+// Subscriber counts by owner, and the timers that stop an owner's watches
+// once their last subscriber has gone
+const subscribers = new Map();
+const orphanTimers = new Map();
+// Long enough for a browser to reconnect
+const ORPHAN_GRACE_MS =
+  (Number(process.env.WATCH_ORPHAN_GRACE_SECONDS) || 60) * 1000;
+
+const MIN_INTERVAL_SECONDS = 2;
+const MAX_INTERVAL_SECONDS = 3600;
+
+// Size of the greyscale thumbnail frames are compared at, and how far a pixel
+// has to move (0-255) before it counts as changed rather than sensor noise
+const SIGNATURE_SIZE = 32;
+const PIXEL_NOISE = 24;
+
+const NO_CHANGE = "NO_CHANGE";
+
+// Who a watch belongs to: the signed-in user and the connection that started
+// it, a relay session or the id a browser sends with ?connection=
+export function watchOwner(user, connection = null) {
+  return { user: user?.id ?? null, connection: connection || null };
+}
+
+function sameOwner(a, b) {
+  return a.user === b.user && a.connection === b.connection;
+}
+
+function ownerKey(owner) {
+  return JSON.stringify([owner.user, owner.connection]);
+}
+
+function watchKey(owner, cameraId) {
+  return JSON.stringify([owner.user, owner.connection, cameraId]);
+}
+
+// Stops `owner`'s watches after the grace period, unless a subscriber comes
+// back (or is there already)
+function stopWhenOrphaned(owner) {
+  const key = ownerKey(owner);
+  if (subscribers.get(key) || orphanTimers.has(key)) return;
+
+  const timer = setTimeout(() => {
+    orphanTimers.delete(key);
+    const stopped = stopAllWatches(owner);
+    if (stopped.length > 0) {
+      logger.info("Stopped watches nobody listens to", { cameras: stopped });
+    }
+  }, ORPHAN_GRACE_MS);
+  timer.unref();
+  orphanTimers.set(key, timer);
+}
+
+function emit(watch, event) {
+  watchEvents.emit("event", event, watch.owner);
+}
+
+// Calls listener with the events of `owner`'s watches; returns a function
+// that unsubscribes
+export function subscribeWatchEvents(owner, listener) {
+  const key = ownerKey(owner);
+  subscribers.set(key, (subscribers.get(key) || 0) + 1);
+  clearTimeout(orphanTimers.get(key));
+  orphanTimers.delete(key);
+
+  const handler = (event, eventOwner) => {
+    if (sameOwner(eventOwner, owner)) listener(event);
+  };
+  watchEvents.on("event", handler);
+
+  let subscribed = true;
+  return () => {
+    if (!subscribed) return;
+    subscribed = false;
+    watchEvents.off("event", handler);
+    const remaining = subscribers.get(key) - 1;
+    if (remaining > 0) {
+      subscribers.set(key, remaining);
+    } else {
+      subscribers.delete(key);
+      stopWhenOrphaned(owner);
+    }
+  };
+}
+
+async function computeSignature(frame, camera) {
+  return sharp(frame)
+    .rotate(camera.rotation || 0)
+    .resize(SIGNATURE_SIZE, SIGNATURE_SIZE, { fit: "fill" })
+    .greyscale()
+    .raw()
+    .toBuffer();
+}
+
+// Fraction of thumbnail pixels that changed noticeably, from 0 to 1
+function diffSignatures(previous, current) {
+  let changed = 0;
+  for (let i = 0; i < current.length; i++) {
+    if (Math.abs(current[i] - previous[i]) > PIXEL_NOISE) changed++;
+  }
+  return changed / current.length;
+}
+
+function buildPrompt(watch) {
+  const context = watch.lastDescription
+    ? `Earlier the scene looked like this: "${watch.lastDescription}". `
+    : "";
+  return (
+    `${context}You are monitoring the "${watch.camera.name}" camera and the ` +
+    "picture just changed. In one short sentence that would sound natural " +
+    "if spoken aloud, say what is happening now, focusing on people, animals " +
+    "or objects that appeared, moved or left. " +
+    (watch.prompt ? `The user asked to watch for: ${watch.prompt}. ` : "") +
+    `If nothing meaningful changed (only lighting or camera noise), reply with exactly ${NO_CHANGE}.`
+  );
+}
+
+function describe(watch) {
+  return {
+    camera: { id: watch.camera.id, name: watch.camera.name },
+    interval: watch.interval,
+    threshold: watch.threshold,
+    prompt: watch.prompt,
+    provider: watch.provider,
+    startedAt: watch.startedAt,
+    lastCheckAt: watch.lastCheckAt,
+    lastChangeAt: watch.lastChangeAt,
+    changes: watch.changes,
+    lastError: watch.lastError,
+  };
+}
+
+async function sample(watch) {
+  try {
+    const frame = await captureFrame(watch.camera);
+    const signature = await computeSignature(frame, watch.camera);
+
+    const previous = watch.signature;
+    watch.signature = signature;
+    watch.lastCheckAt = new Date().toISOString();
+    watch.lastError = null;
+
+    // The first frame only establishes the baseline
+    if (!previous) return;
+
+    const score = diffSignatures(previous, signature);
+    if (score < watch.threshold) return;
+
+    logger.info("Scene change", {
+      camera: watch.camera.id,
+      score: Number(score.toFixed(2)),
+    });
+    checkBudget(watch.user);
+    const image = await processFrame(frame, {
+      rotation: watch.camera.rotation,
+    });
+    const vision = await analyzeImages({
+      images: [{ data: image, mimeType: "image/jpeg" }],
+      prompt: buildPrompt(watch),
+      provider: watch.provider,
+    });
+    // Metered even when nothing worth telling changed; the tokens were spent
+    recordCapture(
+      { source: "watch", camera: watch.camera, ...vision },
+      watch.user,
+    );
+
+    const description = vision.text.trim();
+    if (!description || description.includes(NO_CHANGE)) return;
+
+    watch.lastDescription = description;
+    watch.lastChangeAt = watch.lastCheckAt;
+    watch.changes++;
+
+    const imageData = `data:image/jpeg;base64,${image.toString("base64")}`;
+    await rememberResult(
+      {
+        imageData,
+        source: "watch",
+        camera: watch.camera,
+        analysis: description,
+        provider: vision.provider,
+        model: vision.model,
+        timestamp: watch.lastChangeAt,
+      },
+      { prompt: watch.prompt, user: watch.user },
+    );
+
+    emit(watch, {
+      type: "watch.change",
+      id: crypto.randomBytes(8).toString("hex"),
+      camera: { id: watch.camera.id, name: watch.camera.name },
+      description,
+      score: Number(score.toFixed(3)),
+      imageData,
+      timestamp: watch.lastChangeAt,
+    });
+  } catch (error) {
+    logger.error("Watch sample failed", { camera: watch.camera.id, error });
+    watch.lastError = error.message;
+    emit(watch, {
+      type: "watch.error",
+      camera: { id: watch.camera.id, name: watch.camera.name },
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  } finally {
+    // Schedule the next sample only after this one finished, so slow captures
+    // never pile up, and only if the watch wasn't stopped or replaced meanwhile
+    if (watches.get(watch.key) === watch) {
+      watch.timer = setTimeout(() => sample(watch), watch.interval * 1000);
+    }
+  }
+}
+
+export function startWatch(
+  camera,
+  {
+    interval = 10,
+    threshold = 0.1,
+    prompt = null,
+    provider = null,
+    user = null,
+    connection = null,
+  } = {},
+) {
+  const owner = watchOwner(user, connection);
+  // Restarting a watch replaces its settings and resets the baseline
+  stopWatch(camera.id, owner, { silent: true });
+
+  const watch = {
+    key: watchKey(owner, camera.id),
+    owner,
+    camera,
+    interval: Math.min(
+      Math.max(Number(interval) || 10, MIN_INTERVAL_SECONDS),
+      MAX_INTERVAL_SECONDS,
+    ),
+    threshold: Math.min(Math.max(Number(threshold) || 0.1, 0.01), 1),
+    prompt,
+    provider,
+    // Alerts are metered to whoever started it
+    user,
+    signature: null,
+    lastDescription: null,
+    startedAt: new Date().toISOString(),
+    lastCheckAt: null,
+    lastChangeAt: null,
+    changes: 0,
+    lastError: null,
+    timer: null,
+  };
+  watches.set(watch.key, watch);
+  logger.info("Watching camera", {
+    camera: camera.id,
+    interval: watch.interval,
+  });
+
+  emit(watch, { type: "watch.started", ...describe(watch) });
+  detachLogContext(() => sample(watch));
+  // Started without anyone subscribed, e.g. before the event stream opened
+  stopWhenOrphaned(owner);
+  return describe(watch);
+}
+
+// Stops `owner`'s watch of the camera
+export function stopWatch(cameraId, owner, { silent = false } = {}) {
+  const watch = watches.get(watchKey(owner, cameraId));
+  if (!watch) return false;
+
+  clearTimeout(watch.timer);
+  watches.delete(watch.key);
+  logger.info("Stopped watching camera", { camera: watch.camera.id });
+
+  if (!silent) {
+    emit(watch, { type: "watch.stopped", ...describe(watch) });
+  }
+  return true;
+}
+
+export function stopAllWatches(owner) {
+  const cameraIds = [...watches.values()]
+    .filter((watch) => sameOwner(watch.owner, owner))
+    .map((watch) => watch.camera.id);
+  cameraIds.forEach((cameraId) => stopWatch(cameraId, owner));
+  return cameraIds;
+}
+
+// The watches `user` started, from any connection
+export function listWatches(user) {
+  return [...watches.values()]
+    .filter((watch) => watch.owner.user === (user?.id ?? null))
+    .map(describe);
+}
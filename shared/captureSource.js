@@ -0,0 +1,30 @@
+// Where a take_picture call gets its picture. Webcam and screen frames, and
+// camera frames pinned in the live preview, only exist in the browser, which
+// captures and uploads them itself; other camera pictures are taken by the
+// server. Shared by the browser and the relay, which leaves those calls to
+// the browser.
+
+// Whether a call is about the frame pinned in the live preview: a single
+// picture from that camera, or from no camera in particular. `pinnedCamera`
+// is the { id, name } of the camera the frame is from.
+function usesPinnedFrame(args, pinnedCamera) {
+  return (
+    (!args.source || args.source === "camera") &&
+    (!args.mode || args.mode === "single") &&
+    (!args.camera ||
+      [pinnedCamera.id, pinnedCamera.name.toLowerCase()].includes(
+        String(args.camera).trim().toLowerCase(),
+      ))
+  );
+}
+
+// "pinned", "webcam" or "screen" for pictures the browser takes, null for
+// ones the server takes. `captureSource` is the source the user selected.
+export function browserCaptureSource(
+  args,
+  { captureSource = "camera", pinnedCamera = null } = {},
+) {
+  if (pinnedCamera && usesPinnedFrame(args, pinnedCamera)) return "pinned";
+  const source = args.source || captureSource;
+  return source === "camera" ? null : source;
+}
@@ -0,0 +1,61 @@
+// The Realtime API runs one response at a time, and a response.create sent
+// while another is in progress fails. Tool outputs can be ready before the
+// response that called the tool is done, or while the model is still saying
+// a holding phrase, so response.create goes through this queue, which waits
+// for the current response to finish. Shared by the browser and the relay.
+
+// Asks the model to say something short while a slow tool runs. The tool's
+// output follows in its own response once it's ready.
+export const HOLDING_RESPONSE = {
+  instructions:
+    'The tool you just called takes a few seconds. Say a few words so the user knows you\'re on it, like "Let me take a look…", without guessing at the answer.',
+  tool_choice: "none",
+};
+
+// `send` sends a client event. Every server event has to go through
+// handleServerEvent so the queue knows when a response is running.
+export function createResponseQueue(send) {
+  const queue = [];
+  let active = false;
+  // The event_id of the response.create that has been sent, while its
+  // response hasn't started yet
+  let requested = null;
+
+  function flush() {
+    if (active || requested || queue.length === 0) return;
+    const event = queue.shift();
+    requested = event.event_id;
+    send(event);
+  }
+
+  return {
+    // Queues a response.create with optional `response` options
+    request(response) {
+      queue.push({
+        event_id: crypto.randomUUID(),
+        type: "response.create",
+        ...(response && { response }),
+      });
+      flush();
+    },
+
+    handleServerEvent(event) {
+      if (event.type === "response.created") {
+        active = true;
+        requested = null;
+      } else if (event.type === "response.done") {
+        active = false;
+        flush();
+      } else if (
+        event.type === "error" &&
+        requested &&
+        [event.event_id, event.error?.event_id].includes(requested)
+      ) {
+        // The request was rejected, so no response is coming for it. Other
+        // errors, such as a bad conversation.item.create, leave it waiting.
+        requested = null;
+        flush();
+      }
+    },
+  };
+}
@@ -0,0 +1,151 @@
+// Builds conversation turns from the Realtime event stream. `events` is the
+// event log, newest first. Each entry is either
+//
+//   { kind: "message", id, role, text, pending, timestamp }
+//   { kind: "function_call", id, callId, name, arguments, output, timestamp }
+//
+// keyed by the conversation item id, in the order the items were created.
+// Assistant speech arrives as transcript deltas, user speech as input audio
+// transcription events once the session has transcription turned on.
+// Shared by the browser's transcript view and the server's session exports.
+
+function contentText(content = []) {
+  return content
+    .map((part) => part.text ?? part.transcript ?? "")
+    .join("")
+    .trim();
+}
+
+function parseOutput(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+export function buildTranscript(events) {
+  const entries = [];
+  const byItemId = new Map();
+  const byCallId = new Map();
+
+  function addEntry(entry) {
+    entries.push(entry);
+    byItemId.set(entry.id, entry);
+    if (entry.callId) byCallId.set(entry.callId, entry);
+    return entry;
+  }
+
+  // Deltas can arrive for items we haven't seen created, e.g. when the log
+  // was cleared mid-response
+  function messageEntry(itemId, role, timestamp) {
+    return (
+      byItemId.get(itemId) ||
+      addEntry({
+        kind: "message",
+        id: itemId,
+        role,
+        text: "",
+        pending: true,
+        timestamp,
+      })
+    );
+  }
+
+  for (let i = events.length - 1; i >= 0; i--) {
+    const event = events[i];
+
+    switch (event.type) {
+      case "conversation.item.created": {
+        const { item } = event;
+        if (!item || byItemId.has(item.id)) break;
+        // The recap replayed after a reconnect (see resume.js) repeats turns
+        // that are already in the log
+        if (item.id?.startsWith("resume_")) break;
+
+        if (item.type === "message") {
+          const text = contentText(item.content);
+          // User audio has no text until it's transcribed, assistant
+          // messages fill in as the response streams
+          addEntry({
+            kind: "message",
+            id: item.id,
+            role: item.role,
+            text,
+            pending: !text && item.role !== "system",
+            timestamp: event.timestamp,
+          });
+        } else if (item.type === "function_call") {
+          addEntry({
+            kind: "function_call",
+            id: item.id,
+            callId: item.call_id,
+            name: item.name,
+            arguments: item.arguments || "",
+            output: null,
+            timestamp: event.timestamp,
+          });
+        } else if (item.type === "function_call_output") {
+          const call = byCallId.get(item.call_id);
+          if (call) call.output = parseOutput(item.output);
+        }
+        break;
+      }
+
+      case "response.output_item.done": {
+        const { item } = event;
+        if (item?.type !== "function_call") break;
+
+        const call =
+          byItemId.get(item.id) ||
+          addEntry({
+            kind: "function_call",
+            id: item.id,
+            callId: item.call_id,
+            name: item.name,
+            output: null,
+            timestamp: event.timestamp,
+          });
+        call.arguments = item.arguments || "";
+        break;
+      }
+
+      case "response.audio_transcript.delta":
+      case "response.text.delta": {
+        const entry = messageEntry(event.item_id, "assistant", event.timestamp);
+        entry.text += event.delta || "";
+        break;
+      }
+
+      case "response.audio_transcript.done":
+      case "response.text.done": {
+        const entry = messageEntry(event.item_id, "assistant", event.timestamp);
+        entry.text = event.transcript ?? event.text ?? entry.text;
+        entry.pending = false;
+        break;
+      }
+
+      case "conversation.item.input_audio_transcription.delta": {
+        const entry = messageEntry(event.item_id, "user", event.timestamp);
+        entry.text += event.delta || "";
+        break;
+      }
+
+      case "conversation.item.input_audio_transcription.completed": {
+        const entry = messageEntry(event.item_id, "user", event.timestamp);
+        entry.text = (event.transcript || "").trim();
+        entry.pending = false;
+        break;
+      }
+
+      case "conversation.item.input_audio_transcription.failed": {
+        const entry = messageEntry(event.item_id, "user", event.timestamp);
+        entry.pending = false;
+        entry.error = event.error?.message || "Transcription failed";
+        break;
+      }
+    }
+  }
+
+  return entries;
+}
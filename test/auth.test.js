@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-test-"));
+process.env.USERS_FILE = path.join(dir, "users.json");
+const {
+  default: createLocalProvider,
+  hashPassword,
+  saveUser,
+} = await import("../server/auth/local.js");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe("local accounts", () => {
+  it("hashes passwords with a fresh salt", async () => {
+    const first = await hashPassword("correct horse");
+    const second = await hashPassword("correct horse");
+    assert.match(first, /^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/);
+    assert.notEqual(first, second);
+  });
+
+  it("signs in with the right password only", async () => {
+    await saveUser("alice", "password1");
+    const provider = createLocalProvider();
+
+    assert.deepEqual(
+      await provider.login({ username: "alice", password: "password1" }),
+      { id: "alice", name: "alice" },
+    );
+    assert.equal(
+      await provider.login({ username: "alice", password: "password2" }),
+      null,
+    );
+    assert.equal(
+      await provider.login({ username: "bob", password: "password1" }),
+      null,
+    );
+    assert.equal(await provider.login({ username: "alice" }), null);
+  });
+
+  it("changes the password of an existing account", async () => {
+    await saveUser("alice", "password1");
+    assert.deepEqual(await saveUser("alice", "password3"), { created: false });
+    const provider = createLocalProvider();
+
+    assert.equal(
+      await provider.login({ username: "alice", password: "password1" }),
+      null,
+    );
+    assert.ok(
+      await provider.login({ username: "alice", password: "password3" }),
+    );
+  });
+
+  it("fails sign-ins when the users file is corrupt", async () => {
+    fs.writeFileSync(process.env.USERS_FILE, "{ not json");
+    const provider = createLocalProvider();
+
+    await assert.rejects(
+      provider.login({ username: "alice", password: "password1" }),
+      /can't be read/,
+    );
+  });
+});
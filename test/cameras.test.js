@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+// cameras.js reads CAMERA_HOSTS when it's loaded, so each setting gets its
+// own copy of the module
+async function loadCameras(cameraHosts) {
+  process.env.CAMERA_HOSTS = cameraHosts;
+  return import(`../server/cameras.js?hosts=${cameraHosts}`);
+}
+const open = await loadCameras("");
+const listed = await loadCameras(
+  "192.168.1.0/24, *.cams.example.com, 127.0.0.1",
+);
+
+describe("isInternalAddress", () => {
+  const { isInternalAddress } = open;
+
+  it("recognizes loopback, link-local and private addresses", () => {
+    for (const ip of [
+      "127.0.0.1",
+      "10.1.2.3",
+      "172.20.0.1",
+      "192.168.1.10",
+      "169.254.169.254",
+      "100.64.0.1",
+      "0.0.0.0",
+      "::1",
+      "fe80::1",
+      "fd00::1",
+      "::ffff:127.0.0.1",
+    ]) {
+      assert.equal(isInternalAddress(ip), true, ip);
+    }
+  });
+
+  it("lets public addresses and host names through", () => {
+    for (const ip of ["203.0.113.7", "8.8.8.8", "2001:db8::1", "camera.lan"]) {
+      assert.equal(isInternalAddress(ip), false, ip);
+    }
+  });
+});
+
+describe("cameraHostAllowed without CAMERA_HOSTS", () => {
+  const { cameraHostAllowed } = open;
+
+  it("refuses internal addresses and localhost", () => {
+    for (const url of [
+      "http://127.0.0.1:8080/stream",
+      "http://169.254.169.254/latest/meta-data",
+      "http://10.0.0.5/stream",
+      "http://[::1]/stream",
+      "http://localhost:3000/",
+      "http://api.localhost/",
+    ]) {
+      assert.equal(cameraHostAllowed(url), false, url);
+    }
+  });
+
+  it("allows public hosts and the default camera", () => {
+    assert.equal(cameraHostAllowed("http://203.0.113.7/stream"), true);
+    assert.equal(cameraHostAllowed("rtsp://camera.example.com/live"), true);
+    assert.equal(cameraHostAllowed("http://192.168.137.99:81/stream"), true);
+  });
+
+  it("refuses URLs it can't parse", () => {
+    assert.equal(cameraHostAllowed("not a url"), false);
+  });
+});
+
+describe("cameraHostAllowed with CAMERA_HOSTS", () => {
+  const { cameraHostAllowed } = listed;
+
+  it("allows only the listed hosts, wildcards and ranges", () => {
+    assert.equal(cameraHostAllowed("http://192.168.1.42/stream"), true);
+    assert.equal(cameraHostAllowed("http://porch.cams.example.com/"), true);
+    assert.equal(cameraHostAllowed("http://127.0.0.1:3222/stream"), true);
+    assert.equal(cameraHostAllowed("http://192.168.2.42/stream"), false);
+    assert.equal(cameraHostAllowed("http://cams.example.com.evil.net/"), false);
+    assert.equal(cameraHostAllowed("http://203.0.113.7/stream"), false);
+  });
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createJpegFrameSplitter } from "../server/mjpeg.js";
+
+function segment(marker, payload) {
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(payload.length + 2);
+  return Buffer.concat([Buffer.from([0xff, marker]), length, payload]);
+}
+
+// A minimal JPEG: headers, a scan with a stuffed 0xFF byte, and the end
+function jpeg(scan, headers = []) {
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    segment(0xe0, Buffer.from("JFIF\0")),
+    ...headers,
+    segment(0xda, Buffer.from([1, 1, 0, 0, 0x3f, 0])),
+    Buffer.from([scan, 0xff, 0x00, scan]),
+    Buffer.from([0xff, 0xd9]),
+  ]);
+}
+
+function part(frame) {
+  return Buffer.concat([
+    Buffer.from("--frame\r\nContent-Type: image/jpeg\r\n\r\n"),
+    frame,
+    Buffer.from("\r\n"),
+  ]);
+}
+
+function split(chunks) {
+  const frames = [];
+  const push = createJpegFrameSplitter((frame) => frames.push(frame));
+  for (const chunk of chunks) push(chunk);
+  return frames;
+}
+
+describe("createJpegFrameSplitter", () => {
+  it("splits multipart MJPEG into frames", () => {
+    const first = jpeg(1);
+    const second = jpeg(2);
+    const frames = split([Buffer.concat([part(first), part(second)])]);
+    assert.deepEqual(frames, [first, second]);
+  });
+
+  it("puts frames back together across chunks", () => {
+    const first = jpeg(1);
+    const second = jpeg(2);
+    const stream = Buffer.concat([part(first), part(second)]);
+    const bytes = [...stream].map((byte) => Buffer.from([byte]));
+    assert.deepEqual(split(bytes), [first, second]);
+  });
+
+  it("doesn't end a frame at an EXIF thumbnail's end marker", () => {
+    const exif = segment(
+      0xe1,
+      Buffer.concat([Buffer.from("Exif\0\0"), jpeg(9)]),
+    );
+    const frame = jpeg(1, [exif]);
+    assert.deepEqual(split([part(frame)]), [frame]);
+  });
+
+  it("waits for the rest of an incomplete frame", () => {
+    const frame = jpeg(1);
+    assert.deepEqual(split([frame.subarray(0, frame.length - 1)]), []);
+  });
+
+  it("drops a frame that outgrows maxFrameBytes", () => {
+    const frames = [];
+    const push = createJpegFrameSplitter((frame) => frames.push(frame), {
+      maxFrameBytes: 64,
+    });
+    push(Buffer.concat([Buffer.from([0xff, 0xd8]), Buffer.alloc(100, 1)]));
+    const frame = jpeg(1);
+    push(frame);
+    assert.deepEqual(frames, [frame]);
+  });
+});
@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it, mock } from "node:test";
+
+process.env.LOG_LEVEL = "error";
+const { rateLimit } = await import("../server/rateLimit.js");
+
+describe("rateLimit", () => {
+  let now;
+  beforeEach(() => {
+    now = 1_000_000;
+    mock.method(Date, "now", () => now);
+  });
+
+  it("allows `limit` requests per window and says when to try again", () => {
+    const limit = rateLimit({ name: "test", limit: 2, windowMs: 10000 });
+    assert.equal(limit.take("alice"), 0);
+    now += 4000;
+    assert.equal(limit.take("alice"), 0);
+    assert.equal(limit.take("alice"), 6);
+  });
+
+  it("counts each key on its own", () => {
+    const limit = rateLimit({ name: "test", limit: 1, windowMs: 10000 });
+    assert.equal(limit.take("alice"), 0);
+    assert.equal(limit.take("bob"), 0);
+    assert.ok(limit.take("alice") > 0);
+  });
+
+  it("allows requests again once earlier ones leave the window", () => {
+    const limit = rateLimit({ name: "test", limit: 1, windowMs: 10000 });
+    assert.equal(limit.take("alice"), 0);
+    now += 10000;
+    assert.equal(limit.take("alice"), 0);
+  });
+
+  it("doesn't count refused requests", () => {
+    const limit = rateLimit({ name: "test", limit: 1, windowMs: 10000 });
+    limit.take("alice");
+    now += 5000;
+    assert.ok(limit.take("alice") > 0);
+    now += 5000;
+    assert.equal(limit.take("alice"), 0);
+  });
+
+  it("answers 429 with Retry-After over the limit", () => {
+    const limit = rateLimit({ name: "test", limit: 1, windowMs: 10000 });
+    const req = { user: { id: "alice" }, ip: "203.0.113.1" };
+    const res = {
+      status(code) {
+        this.code = code;
+        return this;
+      },
+      set(name, value) {
+        this.headers = { [name]: value };
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+    const next = mock.fn();
+
+    limit(req, res, next);
+    limit(req, res, next);
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(res.code, 429);
+    assert.deepEqual(res.headers, { "Retry-After": "10" });
+    assert.match(res.body.error, /Too many test requests/);
+  });
+});
@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { describe, it, mock } from "node:test";
+
+process.env.LOG_LEVEL = "error";
+process.env.RETRY_BASE_DELAY_MS = "1";
+process.env.VISION_RETRIES = "2";
+const { CaptureError } = await import("../server/errors.js");
+const { withRetries } = await import("../server/retry.js");
+
+function failing(error, result = "ok") {
+  let failures = 0;
+  return mock.fn(async () => {
+    if (failures++ < error.times) throw error.error;
+    return result;
+  });
+}
+
+describe("withRetries", () => {
+  it("returns the result when the stage succeeds", async () => {
+    const fn = mock.fn(async () => "ok");
+    assert.equal(await withRetries("vision", fn), "ok");
+    assert.equal(fn.mock.callCount(), 1);
+  });
+
+  it("tries retryable errors again", async () => {
+    const error = new CaptureError("vision_unavailable", "down");
+    const fn = failing({ error, times: 2 });
+    assert.equal(await withRetries("vision", fn), "ok");
+    assert.equal(fn.mock.callCount(), 3);
+  });
+
+  it("gives up after the stage's retries", async () => {
+    const error = new CaptureError("vision_unavailable", "down");
+    const fn = failing({ error, times: 5 });
+    await assert.rejects(withRetries("vision", fn), error);
+    assert.equal(fn.mock.callCount(), 3);
+  });
+
+  it("doesn't retry errors that won't go away", async () => {
+    for (const error of [
+      new CaptureError("vision_auth_failed", "bad key"),
+      new Error("bug"),
+    ]) {
+      const fn = failing({ error, times: 1 });
+      await assert.rejects(withRetries("vision", fn), error);
+      assert.equal(fn.mock.callCount(), 1);
+    }
+  });
+
+  it("doesn't wait longer than a user would", async () => {
+    const error = new CaptureError("vision_rate_limited", "slow down", {
+      retryAfterMs: 60000,
+    });
+    const fn = failing({ error, times: 1 });
+    await assert.rejects(withRetries("vision", fn), error);
+    assert.equal(fn.mock.callCount(), 1);
+  });
+
+  it("stops when the caller rules out a retry", async () => {
+    const error = new CaptureError("vision_unavailable", "down");
+    const fn = failing({ error, times: 1 });
+    await assert.rejects(
+      withRetries("vision", fn, { canRetry: () => false }),
+      error,
+    );
+    assert.equal(fn.mock.callCount(), 1);
+  });
+});